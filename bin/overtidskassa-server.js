@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * Local HTTP JSON API for the Calculation Engine
+ *
+ * A small server without dependencies for dashboards and spreadsheets:
+ *
+ *   POST /overtime       calculateOvertimeTakeHome()
+ *   POST /withholding    calculateMonthlyWithholding()
+ *   POST /annual-tax     calculateAnnualTax()
+ *   GET  /openapi.json   Machine-readable description of the endpoints
+ *
+ * Requests are JSON objects with the parameters of the library function.
+ * They are checked against the parameter types in the OpenAPI description
+ * and then with validateParameters(); invalid requests get status 400 and
+ * { error, errors }. The server listens on 127.0.0.1 only.
+ *
+ * Usage: node bin/overtidskassa-server.js [--port 8787]
+ */
+
+const http = require('http');
+const { findNearestTaxYear } = require('../lib/tax-rates.js');
+const {
+  calculateOvertimeTakeHome,
+  calculateMonthlyWithholding,
+  calculateAnnualTax,
+  validateParameters
+} = require('../lib/trekktabell.js');
+
+const DEFAULT_PORT = 8787;
+const HOST = '127.0.0.1';
+
+// Largest accepted request body (room for an official withholding table)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const NUMBER = { type: 'number' };
+const INTEGER = { type: 'integer' };
+const TAX_CARD = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['tabelltrekk', 'prosenttrekk', 'frikort'] },
+    percentage: NUMBER,
+    remaining: NUMBER
+  }
+};
+const OTHER_INCOME = {
+  type: 'object',
+  properties: {
+    bonus: NUMBER, secondJob: NUMBER, benefitsInKind: NUMBER, capitalIncome: NUMBER, capitalDeductions: NUMBER
+  }
+};
+const OTHER_INCOME_REF = { $ref: '#/components/schemas/OtherIncome' };
+const OVERTIME_ENTRIES = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { hours: NUMBER, multiplier: NUMBER, label: { type: 'string' } }
+  }
+};
+
+/**
+ * Endpoints with their request parameters (JSON Schema)
+ *
+ * Used both to pick the parameters out of a request and to build the
+ * OpenAPI description.
+ */
+const ENDPOINTS = {
+  '/overtime': {
+    summary: 'Take-home pay for overtime hours',
+    description: 'Parameters of calculateOvertimeTakeHome(). Dates are YYYY-MM-DD. Without taxYear, the ' +
+      'payout year is used, or the nearest year with rates (the result is then marked approximate).',
+    required: [],
+    parameters: {
+      yearlySalary: NUMBER,
+      salaryHistory: {
+        type: 'array',
+        items: { type: 'object', properties: { from: { type: 'string', format: 'date' }, yearlySalary: NUMBER } }
+      },
+      annualHourDivisor: NUMBER,
+      positionPercentage: NUMBER,
+      fixedSupplements: NUMBER,
+      holidayPayRate: NUMBER,
+      yearToDateGross: NUMBER,
+      otherIncome: OTHER_INCOME_REF,
+      overtimeHours: NUMBER,
+      overtimeEntries: OVERTIME_ENTRIES,
+      tableNumber: INTEGER,
+      taxYear: INTEGER,
+      periodDate: { type: 'string', format: 'date' },
+      payoutDelayMonths: NUMBER,
+      withholdingTable: { type: 'array', items: { type: 'array', items: NUMBER } },
+      taxCard: TAX_CARD
+    }
+  },
+  '/withholding': {
+    summary: 'Monthly withholding (tabelltrekk) for a monthly gross salary',
+    description: 'Parameters of calculateMonthlyWithholding(). taxYear defaults to the current year.',
+    required: ['monthlyGross', 'tableNumber'],
+    parameters: {
+      monthlyGross: NUMBER,
+      tableNumber: INTEGER,
+      taxYear: INTEGER,
+      payoutMonth: { type: 'integer', minimum: 1, maximum: 12 }
+    }
+  },
+  '/annual-tax': {
+    summary: 'Annual tax for an annual gross income',
+    description: 'Parameters of calculateAnnualTax(). taxYear defaults to the current year.',
+    required: ['annualGross', 'tableNumber'],
+    parameters: {
+      annualGross: NUMBER,
+      tableNumber: INTEGER,
+      taxYear: INTEGER,
+      otherIncome: OTHER_INCOME_REF
+    }
+  }
+};
+
+/**
+ * Schemas referenced from the parameters ($ref: '#/components/schemas/<name>')
+ */
+const COMPONENT_SCHEMAS = {
+  OtherIncome: OTHER_INCOME
+};
+
+/**
+ * Checks and names of the JSON Schema types used in ENDPOINTS
+ */
+const SCHEMA_TYPES = {
+  number: { name: 'a number', check: value => typeof value === 'number' && Number.isFinite(value) },
+  integer: { name: 'an integer', check: value => Number.isInteger(value) },
+  string: { name: 'a string', check: value => typeof value === 'string' },
+  array: { name: 'an array', check: value => Array.isArray(value) },
+  object: { name: 'an object', check: value => typeof value === 'object' && !Array.isArray(value) }
+};
+
+/**
+ * Error with an HTTP status and the messages to return
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Short description
+   * @param {string[]} [errors] - Details, e.g. from validateParameters()
+   */
+  constructor(status, message, errors = []) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Build the OpenAPI description of the endpoints
+ * @returns {object} OpenAPI 3.0 document
+ */
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const [path, endpoint] of Object.entries(ENDPOINTS)) {
+    paths[path] = {
+      post: {
+        summary: endpoint.summary,
+        description: endpoint.description,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: endpoint.required, properties: endpoint.parameters }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Calculation result',
+            content: { 'application/json': { schema: { type: 'object' } } }
+          },
+          400: { $ref: '#/components/responses/InvalidRequest' }
+        }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Overtidskassa API',
+      version: require('../package.json').version,
+      description: 'Estimates of Norwegian tax on overtime. Amounts are in NOK.'
+    },
+    servers: [{ url: `http://${HOST}:${DEFAULT_PORT}` }],
+    paths,
+    components: {
+      schemas: {
+        ...COMPONENT_SCHEMAS,
+        Error: {
+          type: 'object',
+          properties: { error: { type: 'string' }, errors: { type: 'array', items: { type: 'string' } } }
+        }
+      },
+      responses: {
+        InvalidRequest: {
+          description: 'Invalid JSON or parameters',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Keep only the parameters the endpoint knows
+ * @param {object} body - Parsed request body
+ * @param {object} endpoint - Endpoint from ENDPOINTS
+ * @returns {object} Known parameters
+ */
+function pickParameters(body, endpoint) {
+  const params = {};
+  for (const name of Object.keys(endpoint.parameters)) {
+    if (body[name] !== undefined && body[name] !== null) {
+      params[name] = body[name];
+    }
+  }
+  return params;
+}
+
+/**
+ * Check a value against its schema in ENDPOINTS
+ *
+ * Covers what the endpoints use: type, enum, minimum and maximum, array
+ * items and object properties. Absent (null) properties are not checked.
+ *
+ * @param {*} value - Value from the request
+ * @param {object} schema - JSON Schema of the value
+ * @param {string} name - Name of the value in the error messages
+ * @returns {string[]} Error messages
+ */
+function checkSchema(value, schema, name) {
+  if (schema.$ref) {
+    return checkSchema(value, COMPONENT_SCHEMAS[schema.$ref.split('/').pop()], name);
+  }
+
+  const type = SCHEMA_TYPES[schema.type];
+  if (value === null || !type.check(value)) {
+    return [`${name} must be ${type.name}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${name} must be one of: ${schema.enum.join(', ')}`];
+  }
+  if ((schema.minimum !== undefined && value < schema.minimum) ||
+      (schema.maximum !== undefined && value > schema.maximum)) {
+    return [`${name} must be ${schema.minimum}-${schema.maximum}`];
+  }
+
+  if (schema.type === 'array') {
+    return value.flatMap((item, index) => checkSchema(item, schema.items, `${name}[${index}]`));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    return Object.entries(schema.properties)
+      .filter(([property]) => value[property] !== undefined && value[property] !== null)
+      .flatMap(([property, propertySchema]) =>
+        checkSchema(value[property], propertySchema, `${name}.${property}`));
+  }
+  return [];
+}
+
+/**
+ * Throw a 400 error if any check failed
+ * @param {string[]} errors - Error messages
+ * @throws {HttpError} If there are errors
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid parameters', errors);
+  }
+}
+
+/**
+ * Parse a YYYY-MM-DD date as a local date
+ * @param {string} value - Date string
+ * @returns {Date|null} Date, or null if the format is wrong
+ */
+function parseDate(value) {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+}
+
+/**
+ * Tax year used when a request has none: the current year, or the nearest with rates
+ * @returns {number} Tax year
+ */
+function currentTaxYear() {
+  return findNearestTaxYear(new Date().getFullYear());
+}
+
+const HANDLERS = {
+  '/overtime': (params) => {
+    const errors = [];
+    if (params.periodDate !== undefined) {
+      params.periodDate = parseDate(params.periodDate);
+      if (!params.periodDate) errors.push('Period date must be a date (YYYY-MM-DD)');
+    }
+    assertValid([...errors, ...validateParameters(params).errors]);
+    return calculateOvertimeTakeHome(params);
+  },
+
+  '/withholding': ({ monthlyGross, tableNumber, taxYear = currentTaxYear(), payoutMonth }) => {
+    // The monthly gross is checked as a yearly salary of 12 months
+    assertValid(validateParameters({
+      yearlySalary: monthlyGross * 12, tableNumber, taxYear, overtimeHours: 0
+    }).errors);
+
+    const withholding = calculateMonthlyWithholding(monthlyGross, tableNumber, taxYear, payoutMonth);
+    return {
+      monthlyGross,
+      tableNumber,
+      taxYear,
+      payoutMonth: payoutMonth !== undefined ? payoutMonth : null,
+      withholding,
+      effectiveRate: monthlyGross > 0 ? Math.round(withholding / monthlyGross * 1000) / 1000 : 0
+    };
+  },
+
+  '/annual-tax': ({ annualGross, tableNumber, taxYear = currentTaxYear(), otherIncome }) => {
+    // The annual gross is checked like a yearly salary
+    assertValid(validateParameters({
+      yearlySalary: annualGross, tableNumber, taxYear, otherIncome, overtimeHours: 0
+    }).errors);
+
+    const tax = calculateAnnualTax(annualGross, tableNumber, taxYear, otherIncome);
+    return {
+      annualGross,
+      tableNumber,
+      taxYear,
+      tax,
+      effectiveRate: annualGross > 0 ? Math.round(tax / annualGross * 1000) / 1000 : 0
+    };
+  }
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<object>} Parsed body
+ * @throws {HttpError} If the body is too large or not a JSON object
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Discard the rest of the body, so the 413 response reaches the client
+        request.removeAllListeners('data');
+        request.removeAllListeners('end');
+        request.resume();
+        reject(new HttpError(413, 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    request.on('end', () => {
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new HttpError(400, 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {object} body - Response body
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    // Local dashboards are served from other origins
+    'Access-Control-Allow-Origin': '*'
+  });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Handle one request
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+async function handleRequest(request, response) {
+  const path = new URL(request.url, `http://${HOST}`).pathname;
+
+  try {
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      response.end();
+      return;
+    }
+
+    if (path === '/openapi.json') {
+      if (request.method !== 'GET') throw new HttpError(405, 'Use GET');
+      sendJson(response, 200, buildOpenApiDocument());
+      return;
+    }
+
+    const endpoint = ENDPOINTS[path];
+    if (!endpoint) {
+      throw new HttpError(404, `Unknown endpoint: ${path}`);
+    }
+    if (request.method !== 'POST') {
+      throw new HttpError(405, 'Use POST with a JSON body');
+    }
+
+    const body = await readJsonBody(request);
+    const missing = endpoint.required.filter(name => body[name] === undefined || body[name] === null);
+    if (missing.length > 0) {
+      throw new HttpError(400, 'Invalid parameters', missing.map(name => `Missing parameter: ${name}`));
+    }
+
+    const params = pickParameters(body, endpoint);
+    assertValid(Object.entries(params).flatMap(([name, value]) =>
+      checkSchema(value, endpoint.parameters[name], name)));
+
+    sendJson(response, 200, HANDLERS[path](params));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      // The rest of a body that is too large is not read; close the connection after the response
+      if (error.status === 413) {
+        response.setHeader('Connection', 'close');
+      }
+      sendJson(response, error.status, { error: error.message, errors: error.errors });
+      return;
+    }
+    console.error('Overtidskassa API:', error);
+    sendJson(response, 500, { error: 'Calculation failed', errors: [] });
+  }
+}
+
+/**
+ * Create the API server (not listening yet)
+ * @returns {http.Server} Server
+ */
+function createServer() {
+  return http.createServer((request, response) => {
+    handleRequest(request, response);
+  });
+}
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : DEFAULT_PORT;
+  if (isNaN(port)) {
+    console.error('--port må være et tall');
+    process.exitCode = 2;
+  } else {
+    createServer().listen(port, HOST, () => {
+      console.log(`Overtidskassa API: http://${HOST}:${port} (beskrivelse: /openapi.json)`);
+    });
+  }
+}
+
+module.exports = { createServer, buildOpenApiDocument, ENDPOINTS };
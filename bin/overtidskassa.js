@@ -0,0 +1,632 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Calculator for Overtime Take-Home Pay
+ *
+ * Runs the same calculations as the extension from a terminal:
+ *
+ *   net          Take-home pay for a number of overtime hours
+ *   withholding  Forskuddstrekk for a monthly gross salary
+ *   reverse      Overtime hours needed for a target take-home amount
+ *   table        Take-home pay for a range of hours
+ *
+ * Output is Norwegian text (default), JSON or CSV. Input is checked with
+ * validateParameters() from trekktabell.js, and its issue codes are shown
+ * with the Norwegian text from ui-text.js. Without --year, a payout year
+ * with no rates yet is calculated with the nearest year's rates and marked
+ * in the text output.
+ *
+ * Exit codes: 0 on success, 1 for invalid input (validation failed or an
+ * unreadable table file), 2 for usage errors (unknown command or option,
+ * or a value that is not a number).
+ *
+ * Usage: node bin/overtidskassa.js <command> [options]
+ */
+
+const fs = require('fs');
+const { findNearestTaxYear } = require('../lib/tax-rates.js');
+const {
+  calculateOvertimeTakeHome,
+  calculateOvertimeTakeHomeBatch,
+  calculateHoursForTakeHome,
+  calculateMonthlyWithholding,
+  lookupMonthlyWithholding,
+  getWithholdingMonthFactor,
+  validateParameters,
+  parseTableNumber,
+  toOre,
+  fromOre,
+  applyRate,
+  DEFAULT_OVERTIME_MULTIPLIER
+} = require('../lib/trekktabell.js');
+const { parseTrekktabellFile, TABLE_TYPES } = require('../lib/trekktabell-parser.js');
+const { translateValidationIssue } = require('../lib/ui-text.js');
+
+const EXIT_CODES = {
+  OK: 0,
+  INVALID_INPUT: 1,
+  USAGE: 2
+};
+
+const FORMATS = ['text', 'json', 'csv'];
+
+// Most hour values a table sweep may calculate
+const MAX_SWEEP_ROWS = 1000;
+
+/**
+ * Command-line options: parameter name and value type
+ */
+const OPTIONS = {
+  salary: { key: 'yearlySalary', type: 'number' },
+  table: { key: 'tableNumber', type: 'number' },
+  year: { key: 'taxYear', type: 'number' },
+  hours: { key: 'hours', type: 'number' },
+  multiplier: { key: 'multiplier', type: 'number' },
+  period: { key: 'period', type: 'date' },
+  'payout-delay': { key: 'payoutDelayMonths', type: 'number' },
+  'year-to-date': { key: 'yearToDateGross', type: 'number' },
+  'holiday-rate': { key: 'holidayPayRate', type: 'number' },
+  position: { key: 'positionPercentage', type: 'number' },
+  'hour-divisor': { key: 'annualHourDivisor', type: 'number' },
+  supplements: { key: 'fixedSupplements', type: 'number' },
+  card: { key: 'taxCardType', type: 'string' },
+  percentage: { key: 'taxPercentage', type: 'number' },
+  'frikort-remaining': { key: 'frikortRemaining', type: 'number' },
+  'table-file': { key: 'tableFile', type: 'string' },
+  gross: { key: 'monthlyGross', type: 'number' },
+  month: { key: 'payoutMonth', type: 'number' },
+  target: { key: 'target', type: 'number' },
+  method: { key: 'method', type: 'string' },
+  from: { key: 'from', type: 'number' },
+  to: { key: 'to', type: 'number' },
+  step: { key: 'step', type: 'number' },
+  format: { key: 'format', type: 'string' }
+};
+
+const USAGE = `Bruk: overtidskassa <kommando> [valg]
+
+Kommandoer:
+  net          Netto for overtidstimer (--hours)
+  withholding  Forskuddstrekk for en månedslønn (--gross)
+  reverse      Timer som trengs for et netto beløp (--target)
+  table        Netto for en rekke timer (--from, --to, --step)
+
+Valg:
+  --salary <kr>             Årslønn
+  --table <nr>              Skattetabell, f.eks. 8115
+  --year <år>               Skatteår (standard: utbetalingsåret, ellers nærmeste år med satser)
+  --hours <timer>           Overtidstimer
+  --multiplier <faktor>     Overtidsfaktor (standard: 1.4)
+  --period <YYYY-MM[-DD]>   Perioden overtiden er jobbet (standard: i dag)
+  --payout-delay <mnd>      Måneder til utbetaling, 0-2 (standard: 1)
+  --year-to-date <kr>       Overtid utbetalt tidligere i år
+  --holiday-rate <sats>     Feriepengesats, f.eks. 0.12 (0 for å se bort fra)
+  --position <prosent>      Stillingsprosent (standard: 100)
+  --hour-divisor <timer>    Timer per år i full stilling (standard: 1950)
+  --supplements <kr>        Faste tillegg per år
+  --card <type>             tabelltrekk, prosenttrekk eller frikort
+  --percentage <prosent>    Prosent for prosenttrekk
+  --frikort-remaining <kr>  Gjenstående frikortbeløp
+  --table-file <fil>        Skatteetatens trekktabellfil for skatteåret
+  --gross <kr>              Månedslønn (withholding)
+  --month <1-12>            Utbetalingsmåned (withholding)
+  --target <kr>             Ønsket netto (reverse)
+  --method <metode>         actual (faktisk skatt) eller withholding (reverse)
+  --from, --to, --step      Timer for table (standard: 0, 40, 5)
+  --format <format>         text, json eller csv (standard: text)
+  --help                    Vis denne hjelpen
+`;
+
+/**
+ * Option to name after a translated validateParameters() issue, by code
+ */
+const ISSUE_OPTIONS = {
+  salaryMissing: '--salary',
+  taxCardTypeInvalid: '--card',
+  prosenttrekkPercentageInvalid: '--percentage'
+};
+
+/**
+ * Norwegian message for a validateParameters() issue, with the option to fix it
+ * @param {object} issue - { code, params } from validateParameters().issues
+ * @returns {string} Norwegian message
+ */
+function describeIssue(issue) {
+  const message = translateValidationIssue(issue);
+  return ISSUE_OPTIONS[issue.code] ? `${message} (${ISSUE_OPTIONS[issue.code]})` : message;
+}
+
+/**
+ * Error in how the command is used (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Error in the input values (exit code 1)
+ */
+class InvalidInputError extends Error {
+  /**
+   * @param {string[]} errors - Messages, usually from validateParameters()
+   */
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse a period as YYYY-MM or YYYY-MM-DD into a local date
+ * @param {string} value - Period from the command line
+ * @returns {Date|null} Date, or null if the format is wrong
+ */
+function parsePeriod(value) {
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  return new Date(parseInt(year, 10), parseInt(month, 10) - 1, day ? parseInt(day, 10) : 1);
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} { command, options, help }
+ * @throws {UsageError} For unknown options, missing values or values that are not numbers
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    // --name value or --name=value
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/);
+    const option = OPTIONS[name];
+    if (!option) {
+      throw new UsageError(`Ukjent valg: --${name}`);
+    }
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new UsageError(`Mangler verdi for --${name}`);
+    }
+
+    if (option.type === 'number') {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new UsageError(`--${name} må være et tall, fikk «${value}»`);
+      }
+      options[option.key] = number;
+    } else if (option.type === 'date') {
+      const date = parsePeriod(value);
+      if (!date) {
+        throw new UsageError(`--${name} må være på formen YYYY-MM eller YYYY-MM-DD, fikk «${value}»`);
+      }
+      options[option.key] = date;
+    } else {
+      options[option.key] = value;
+    }
+  }
+
+  if (positional.length > 1) {
+    throw new UsageError(`Ukjent argument: ${positional[1]}`);
+  }
+
+  return { command: positional[0], options, help };
+}
+
+/**
+ * Build the tax card from the options
+ * @param {object} options - Parsed options
+ * @returns {object} Tax card for calculateOvertimeTakeHome()
+ */
+function buildTaxCard(options) {
+  const taxCard = { type: options.taxCardType || 'tabelltrekk' };
+  if (taxCard.type === 'prosenttrekk') taxCard.percentage = options.taxPercentage;
+  if (taxCard.type === 'frikort') taxCard.remaining = options.frikortRemaining;
+  return taxCard;
+}
+
+/**
+ * Read the rows for one table number from a trekktabell file
+ * @param {string} fileName - Path to Skatteetaten's table file
+ * @param {number} tableNumber - Table number to read
+ * @returns {Array} Rows of [grunnlag, trekk]
+ * @throws {InvalidInputError} If the file cannot be read or has no rows for the table
+ */
+function readWithholdingTable(fileName, tableNumber) {
+  // Pension tables are separate records (tabelltype 1) in the file
+  const parsed = parseTableNumber(tableNumber);
+  const tableType = parsed && parsed.special === 'pension' ? TABLE_TYPES.PENSION : TABLE_TYPES.SALARY;
+  let tables;
+  try {
+    tables = parseTrekktabellFile(fs.readFileSync(fileName, 'utf8'), { tableNumbers: [tableNumber], tableType });
+  } catch (error) {
+    throw new InvalidInputError([`Kunne ikke lese trekktabellen ${fileName}: ${error.message}`]);
+  }
+  return tables[tableNumber];
+}
+
+/**
+ * Build parameters for calculateOvertimeTakeHome() from the options
+ *
+ * Only given options are set, so the library defaults apply to the rest.
+ *
+ * @param {object} options - Parsed options
+ * @returns {object} Calculation parameters, without hours
+ */
+function buildOvertimeParams(options) {
+  const params = { taxCard: buildTaxCard(options) };
+  const passthrough = [
+    'yearlySalary', 'tableNumber', 'taxYear', 'payoutDelayMonths', 'yearToDateGross',
+    'holidayPayRate', 'positionPercentage', 'annualHourDivisor', 'fixedSupplements'
+  ];
+  passthrough.forEach(key => {
+    if (options[key] !== undefined) params[key] = options[key];
+  });
+  if (options.period) params.periodDate = options.period;
+  return params;
+}
+
+/**
+ * Check parameters with validateParameters() and load the table file if given
+ * @param {object} params - Calculation parameters, with overtimeHours for the check
+ * @param {object} options - Parsed options
+ * @param {string[]} [extraErrors] - Errors found by the command itself
+ * @returns {object} Parameters ready for calculation
+ * @throws {InvalidInputError} If any check fails
+ */
+function checkParams(params, options, extraErrors = []) {
+  const errors = [...extraErrors, ...validateParameters(params).issues.map(describeIssue)];
+  if (options.multiplier !== undefined && options.multiplier < 1) {
+    errors.push('Overtidsfaktor (--multiplier) må være minst 1');
+  }
+  if (errors.length > 0) {
+    throw new InvalidInputError(errors);
+  }
+
+  const { overtimeHours, ...checked } = params;
+  if (options.tableFile) {
+    checked.withholdingTable = readWithholdingTable(options.tableFile, params.tableNumber);
+  }
+  return checked;
+}
+
+/**
+ * Format an amount as "12 345 kr"
+ * @param {number} amount - Amount in NOK
+ * @returns {string} Formatted amount
+ */
+function formatKroner(amount) {
+  return `${Math.round(amount).toLocaleString('nb-NO')} kr`;
+}
+
+/**
+ * Format a rate as "43,4 %"
+ * @param {number} rate - Rate as a fraction
+ * @returns {string} Formatted percentage
+ */
+function formatPercent(rate) {
+  return `${(rate * 100).toLocaleString('nb-NO', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} %`;
+}
+
+/**
+ * Format a deduction with its rate, e.g. "−2 726 kr (43,4 %)"
+ * Nothing deducted, as in a June payout with no withholding, is "0 kr".
+ * @param {number} amount - Amount in NOK
+ * @param {number} rate - Rate as a fraction
+ * @returns {string} Formatted deduction
+ */
+function formatDeduction(amount, rate) {
+  if (Math.round(amount) === 0) {
+    return formatKroner(0);
+  }
+  return `−${formatKroner(amount)} (${formatPercent(rate)})`;
+}
+
+/**
+ * Format label/value lines with the values right-aligned
+ * @param {Array} lines - [label, value] pairs
+ * @returns {string} Text block
+ */
+function formatLines(lines) {
+  const labelWidth = Math.max(...lines.map(([label]) => label.length)) + 2;
+  const valueWidth = Math.max(...lines.map(([, value]) => value.length));
+  return lines.map(([label, value]) => `${`${label}:`.padEnd(labelWidth)}${value.padStart(valueWidth)}`).join('\n');
+}
+
+/**
+ * Format rows as CSV with a header line
+ * @param {object[]} rows - Rows with the same keys
+ * @returns {string} CSV text
+ */
+function formatCsv(rows) {
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+}
+
+/**
+ * Summarize an overtime result as one flat row
+ * @param {number} hours - Overtime hours
+ * @param {object} result - Result of calculateOvertimeTakeHome()
+ * @returns {object} Row for CSV and table output
+ */
+function summarizeResult(hours, result) {
+  return {
+    hours,
+    grossPay: result.grossPay,
+    actualTax: result.actualTax,
+    takeHome: result.takeHome,
+    effectiveRate: result.effectiveRate,
+    withholding: result.withholding,
+    takeHomeWithholding: result.takeHomeWithholding,
+    effectiveRateWithholding: result.effectiveRateWithholding,
+    holidayPayNet: result.holidayPay.net
+  };
+}
+
+/**
+ * Format net feriepenger, marked when the payout year has no rates yet
+ * @param {object} holidayPay - holidayPay of calculateOvertimeTakeHome()
+ * @returns {string} Formatted amount
+ */
+function formatHolidayPay(holidayPay) {
+  return holidayPay.approximate
+    ? `≈${formatKroner(holidayPay.net)} (satser for ${holidayPay.payoutYear} mangler)`
+    : formatKroner(holidayPay.net);
+}
+
+/**
+ * Describe the calculation basis, e.g. "tabell 8115, skatteår 2025, utbetales 04.2025"
+ * @param {object} result - Result of calculateOvertimeTakeHome()
+ * @param {object} params - Calculation parameters
+ * @returns {string} Description
+ */
+function describeBasis(result, params) {
+  const parts = [];
+  if (params.tableNumber) parts.push(`tabell ${params.tableNumber}`);
+  parts.push(result.approximate
+    ? `skatteår ${result.taxYear}, satser for ${result.requestedYear} mangler`
+    : `skatteår ${result.taxYear}`);
+  parts.push(`utbetales ${String(result.payout.month).padStart(2, '0')}.${result.payout.year}`);
+  return parts.join(', ');
+}
+
+/**
+ * net: take-home pay for the given hours
+ */
+function runNet(options) {
+  const multiplier = options.multiplier !== undefined ? options.multiplier : DEFAULT_OVERTIME_MULTIPLIER;
+  const params = checkParams({ ...buildOvertimeParams(options), overtimeHours: options.hours }, options);
+  const result = calculateOvertimeTakeHome({ ...params, overtimeEntries: [{ hours: options.hours, multiplier }] });
+
+  return {
+    json: result,
+    csv: [summarizeResult(options.hours, result)],
+    text: () => {
+      const lines = [
+        ['Timelønn', formatKroner(result.hourlyRate)],
+        ['Brutto', formatKroner(result.grossPay)],
+        ['Faktisk skatt', formatDeduction(result.actualTax, result.effectiveRate)],
+        ['Netto', formatKroner(result.takeHome)],
+        ['Forskuddstrekk', formatDeduction(result.withholding, result.effectiveRateWithholding)],
+        ['Utbetalt', formatKroner(result.takeHomeWithholding)]
+      ];
+      if (result.holidayPay.amount > 0) {
+        lines.push([`Feriepenger ${result.holidayPay.payoutYear} (netto)`, formatHolidayPay(result.holidayPay)]);
+      }
+      const hours = options.hours.toLocaleString('nb-NO');
+      const factor = multiplier.toLocaleString('nb-NO');
+      return `${hours} timer overtid × ${factor} (${describeBasis(result, params)})\n\n${formatLines(lines)}`;
+    }
+  };
+}
+
+/**
+ * withholding: forskuddstrekk for a monthly gross salary
+ */
+function runWithholding(options) {
+  const errors = [];
+  if (options.monthlyGross === undefined) {
+    errors.push('Månedslønn (--gross) må oppgis');
+  }
+  const { payoutMonth } = options;
+  if (payoutMonth !== undefined && (!Number.isInteger(payoutMonth) || payoutMonth < 1 || payoutMonth > 12)) {
+    errors.push('Utbetalingsmåned (--month) må være 1-12');
+  }
+
+  // The monthly gross is checked as a yearly salary of 12 months
+  const taxYear = options.taxYear !== undefined ? options.taxYear : findNearestTaxYear(new Date().getFullYear());
+  const params = checkParams({
+    yearlySalary: options.monthlyGross !== undefined ? options.monthlyGross * 12 : undefined,
+    tableNumber: options.tableNumber,
+    taxYear,
+    overtimeHours: 0
+  }, options, errors);
+
+  const { monthlyGross, tableNumber } = options;
+  const withholding = params.withholdingTable
+    ? fromOre(applyRate(toOre(lookupMonthlyWithholding(monthlyGross, params.withholdingTable)),
+      getWithholdingMonthFactor(payoutMonth)))
+    : calculateMonthlyWithholding(monthlyGross, tableNumber, taxYear, payoutMonth);
+  const result = {
+    monthlyGross,
+    tableNumber,
+    taxYear,
+    payoutMonth: payoutMonth !== undefined ? payoutMonth : null,
+    withholdingSource: params.withholdingTable ? 'table' : 'formula',
+    withholding,
+    netPay: fromOre(toOre(monthlyGross) - toOre(withholding)),
+    effectiveRate: monthlyGross > 0 ? Math.round(withholding / monthlyGross * 1000) / 1000 : 0
+  };
+
+  return {
+    json: result,
+    csv: [result],
+    text: () => {
+      const month = payoutMonth !== undefined ? `, utbetalingsmåned ${payoutMonth}` : '';
+      const source = params.withholdingTable ? 'fra trekktabellen' : 'anslått med formel';
+      const basis = `tabell ${tableNumber}, skatteår ${taxYear}${month}`;
+      return `Månedslønn ${formatKroner(monthlyGross)} (${basis})\n\n` +
+        formatLines([
+          [`Forskuddstrekk (${source})`, formatDeduction(withholding, result.effectiveRate)],
+          ['Utbetalt', formatKroner(result.netPay)]
+        ]);
+    }
+  };
+}
+
+/**
+ * reverse: overtime hours needed for a target take-home amount
+ */
+function runReverse(options) {
+  const errors = [];
+  if (options.target === undefined || options.target <= 0) {
+    errors.push('Ønsket netto (--target) må være et positivt tall');
+  }
+  const method = options.method || 'actual';
+  if (!['actual', 'withholding'].includes(method)) {
+    errors.push('Metode (--method) må være actual eller withholding');
+  }
+
+  const multiplier = options.multiplier !== undefined ? options.multiplier : DEFAULT_OVERTIME_MULTIPLIER;
+  const params = checkParams({ ...buildOvertimeParams(options), overtimeHours: 0 }, options, errors);
+  const { hours, reachable, takeHome, result } =
+    calculateHoursForTakeHome(params, options.target, { method, multiplier });
+
+  return {
+    json: { target: options.target, method, multiplier, hours, reachable, takeHome, result },
+    csv: [{ target: options.target, method, multiplier, hours, reachable, takeHome, grossPay: result.grossPay }],
+    text: () => {
+      const basis = describeBasis(result, params);
+      const after = method === 'withholding' ? 'etter forskuddstrekk' : 'etter faktisk skatt';
+      if (!reachable) {
+        return `${formatKroner(options.target)} ${after} krever mer enn 200 timer overtid (${basis}).`;
+      }
+      return `For ${formatKroner(options.target)} ${after} trengs ca. ` +
+        `${hours.toLocaleString('nb-NO')} timer overtid × ${multiplier.toLocaleString('nb-NO')} (${basis}).\n\n` +
+        formatLines([
+          ['Brutto', formatKroner(result.grossPay)],
+          ['Netto', formatKroner(takeHome)]
+        ]);
+    }
+  };
+}
+
+/**
+ * table: take-home pay for a range of hours
+ */
+function runTable(options) {
+  const from = options.from !== undefined ? options.from : 0;
+  const to = options.to !== undefined ? options.to : 40;
+  const step = options.step !== undefined ? options.step : 5;
+
+  const errors = [];
+  if (step <= 0) {
+    errors.push('Steg (--step) må være et positivt tall');
+  } else if (to < from) {
+    errors.push('--to kan ikke være mindre enn --from');
+  } else if ((to - from) / step + 1 > MAX_SWEEP_ROWS) {
+    errors.push(`En tabell kan ha høyst ${MAX_SWEEP_ROWS} rader`);
+  }
+
+  // The highest hours value is checked, the lowest must not be negative
+  const overtimeHours = from < 0 ? from : to;
+  const params = checkParams({ ...buildOvertimeParams(options), overtimeHours }, options, errors);
+  const count = Math.floor((to - from) / step + 1e-9) + 1;
+  const hoursList = Array.from({ length: count }, (_, i) => Math.round((from + i * step) * 1e6) / 1e6);
+  const multiplier = options.multiplier !== undefined ? options.multiplier : DEFAULT_OVERTIME_MULTIPLIER;
+  const results = calculateOvertimeTakeHomeBatch(params, hoursList, { multiplier });
+  const rows = results.map((result, i) => summarizeResult(hoursList[i], result));
+
+  return {
+    json: { taxYear: results[0].taxYear, tableNumber: params.tableNumber || null, multiplier, rows },
+    csv: rows,
+    text: () => {
+      const header = ['Timer', 'Brutto', 'Faktisk skatt', 'Netto', 'Utbetalt'];
+      const lines = rows.map(row => [
+        row.hours.toLocaleString('nb-NO'),
+        formatKroner(row.grossPay),
+        formatPercent(row.effectiveRate),
+        formatKroner(row.takeHome),
+        formatKroner(row.takeHomeWithholding)
+      ]);
+      const widths = header.map((title, column) =>
+        Math.max(title.length, ...lines.map(line => line[column].length))
+      );
+      const format = (line) => line.map((cell, column) => cell.padStart(widths[column])).join('  ');
+      return `Overtid × ${multiplier.toLocaleString('nb-NO')} (${describeBasis(results[0], params)})\n\n` +
+        [format(header), ...lines.map(format)].join('\n');
+    }
+  };
+}
+
+const COMMANDS = {
+  net: runNet,
+  withholding: runWithholding,
+  reverse: runReverse,
+  table: runTable
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} io - Output streams: { stdout, stderr } with write()
+ * @returns {number} Exit code
+ */
+function run(argv, { stdout, stderr } = process) {
+  try {
+    const { command, options, help } = parseArgs(argv);
+    if (help) {
+      stdout.write(USAGE);
+      return EXIT_CODES.OK;
+    }
+    if (!command) {
+      throw new UsageError('Mangler kommando');
+    }
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Ukjent kommando: ${command}`);
+    }
+    const format = options.format || 'text';
+    if (!FORMATS.includes(format)) {
+      throw new UsageError(`--format må være ${FORMATS.join(', ')}`);
+    }
+
+    const output = COMMANDS[command](options);
+    if (format === 'json') {
+      stdout.write(`${JSON.stringify(output.json, null, 2)}\n`);
+    } else if (format === 'csv') {
+      stdout.write(`${formatCsv(output.csv)}\n`);
+    } else {
+      stdout.write(`${output.text()}\n`);
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof InvalidInputError) {
+      stderr.write(`Ugyldig input:\n${error.errors.map(message => `  - ${message}`).join('\n')}\n`);
+      return EXIT_CODES.INVALID_INPUT;
+    }
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, parseArgs, EXIT_CODES };
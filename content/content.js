@@ -25,25 +25,31 @@ const POPUP_MARKER = 'overtime-calculator-popup';
 // State management
 let currentObserver = null;
 let debounceTimer = null;
-let lastKnownHours = null;
+let lastKnownHours = null; // Hours per category ("label:hours|...") of the last calculation
 let pageObserver = null; // Observer for waiting for dynamic content
 let lastCalculationResult = null; // Store for hover popup
 let removalObserver = null; // Observer for detecting when SPA removes our content
 let reinjectDebounceTimer = null; // Debounce for re-injection
 let currentUseWithholding = false; // Current setting for hover popup (avoids closure issues)
 let currentSettings = null; // Current settings for observers (avoids stale closure issues)
+let lastKnownPeriodKey = null; // Period (year-month) of the last calculation
+let currentWithholdingTables = {}; // Official trekktabell rows loaded in the popup, by year
+let currentOvertimeHistory = {}; // Gross overtime pay per viewed (worked) month ("YYYY-MM")
 
 /**
- * Finds the DOM row containing overtime information
+ * Finds all DOM rows containing overtime information
  *
  * Strategy:
  * 1. Search within "Nøkkeltall" section for context
  * 2. Use CSS module patterns ([class*="_row_"])
  * 3. Match on text content ("Overtid")
  *
- * @returns {Object|null} - { row: Element, hoursSpan: Element, labelSpan: Element } or null
+ * Some timesheets split overtime into several rows (e.g. "Overtid 50 %" and
+ * "Overtid 100 %"), so every matching row is returned in page order.
+ *
+ * @returns {Array} - [{ row: Element, hoursSpan: Element, labelSpan: Element }]
  */
-function findOvertimeRow() {
+function findOvertimeRows() {
   // Strategy 1: Find "Nøkkeltall" heading for context
   const headings = Array.from(document.querySelectorAll('h2'));
   const keyFiguresHeading = headings.find(h =>
@@ -63,6 +69,7 @@ function findOvertimeRow() {
 
   // Find all rows within search context (using CSS module pattern)
   const rows = searchRoot.querySelectorAll('[class*="_row_"]');
+  const overtimeRows = [];
 
   for (const row of rows) {
     // Use :scope > span to only select direct children, not nested spans
@@ -76,12 +83,79 @@ function findOvertimeRow() {
 
       // Check if first span contains "Overtid" (case-insensitive)
       if (labelSpan.textContent.toLowerCase().includes('overtid')) {
-        return { row, hoursSpan, labelSpan };
+        overtimeRows.push({ row, hoursSpan, labelSpan });
       }
     }
   }
 
-  return null;
+  return overtimeRows;
+}
+
+/**
+ * Finds the DOM row where the take-home pay is injected
+ * This is the first overtime row on the page.
+ *
+ * @returns {Object|null} - { row: Element, hoursSpan: Element, labelSpan: Element } or null
+ */
+function findOvertimeRow() {
+  const rows = findOvertimeRows();
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Finds the user's overtime category for a timesheet row label
+ *
+ * Matching order:
+ * 1. A premium in the label ("Overtid 100 %") matches the category with that premium,
+ *    or a new ad-hoc category if the user has none with that premium
+ * 2. A category whose name appears in the label (longest name wins)
+ * 3. The first category
+ *
+ * @param {string} labelText - Text of the row label
+ * @param {Array} categories - User categories [{ label, multiplier }]
+ * @returns {Object} - { label, multiplier }
+ */
+function matchOvertimeCategory(labelText, categories) {
+  const text = labelText.toLowerCase();
+
+  const percentMatch = text.match(/(\d+)\s*%/);
+  if (percentMatch) {
+    const multiplier = 1 + parseInt(percentMatch[1], 10) / 100;
+    const byPremium = categories.find(category => Math.abs(category.multiplier - multiplier) < 0.001);
+    return byPremium || { label: labelText.trim(), multiplier };
+  }
+
+  const byLabel = categories
+    .filter(category => category.label && text.includes(category.label.toLowerCase()))
+    .sort((a, b) => b.label.length - a.label.length)[0];
+
+  return byLabel || categories[0];
+}
+
+/**
+ * Collects overtime hours per category from all overtime rows on the page
+ *
+ * @param {Object} settings - User settings (uses overtimeCategories)
+ * @returns {Array} - [{ label, multiplier, hours }] for categories with hours
+ */
+function collectOvertimeEntries(settings) {
+  const entries = [];
+
+  for (const { hoursSpan, labelSpan } of findOvertimeRows()) {
+    const hours = parseOvertimeHours(hoursSpan);
+    if (hours === null || hours === 0) continue;
+
+    const category = matchOvertimeCategory(labelSpan.textContent, settings.overtimeCategories);
+    const existing = entries.find(entry => entry.label === category.label);
+
+    if (existing) {
+      existing.hours += hours;
+    } else {
+      entries.push({ label: category.label, multiplier: category.multiplier, hours });
+    }
+  }
+
+  return entries;
 }
 
 /**
@@ -106,6 +180,104 @@ function parseOvertimeHours(hoursSpan) {
   return null;
 }
 
+// Norwegian month names as they appear in the timesheet period header
+const MONTH_NAMES = [
+  'januar', 'februar', 'mars', 'april', 'mai', 'juni',
+  'juli', 'august', 'september', 'oktober', 'november', 'desember'
+];
+
+/**
+ * Detects which period (year and month) the timesheet is showing
+ *
+ * Strategy:
+ * 1. Look for a year-month pattern in the URL ("2025-03", "?year=2025&month=3")
+ * 2. Look for "<month name> <year>" or a dd.mm.yyyy date in page headings
+ * 3. Fall back to today's date
+ *
+ * @returns {Object} - { year: number, month: number (1-12), source: 'url'|'page'|'today' }
+ */
+function detectPeriod() {
+  const url = window.location.href;
+
+  const urlMatch = url.match(/(20\d{2})-(0[1-9]|1[0-2])/);
+  if (urlMatch) {
+    return { year: parseInt(urlMatch[1], 10), month: parseInt(urlMatch[2], 10), source: 'url' };
+  }
+
+  const yearParam = url.match(/[?&]year=(20\d{2})/);
+  if (yearParam) {
+    const monthParam = url.match(/[?&]month=(\d{1,2})/);
+    const month = monthParam ? parseInt(monthParam[1], 10) : new Date().getMonth() + 1;
+    return { year: parseInt(yearParam[1], 10), month, source: 'url' };
+  }
+
+  const monthPattern = new RegExp(`(${MONTH_NAMES.join('|')})\\s+(20\\d{2})`, 'i');
+  const datePattern = /\b(\d{1,2})\.(\d{1,2})\.(20\d{2})\b/;
+  const headings = document.querySelectorAll('h1, h2, h3, [class*="_period_"], [class*="_header_"]');
+
+  for (const heading of headings) {
+    const text = heading.textContent.trim();
+
+    const monthMatch = text.match(monthPattern);
+    if (monthMatch) {
+      const month = MONTH_NAMES.indexOf(monthMatch[1].toLowerCase()) + 1;
+      return { year: parseInt(monthMatch[2], 10), month, source: 'page' };
+    }
+
+    const dateMatch = text.match(datePattern);
+    if (dateMatch) {
+      return { year: parseInt(dateMatch[3], 10), month: parseInt(dateMatch[2], 10), source: 'page' };
+    }
+  }
+
+  const today = new Date();
+  return { year: today.getFullYear(), month: today.getMonth() + 1, source: 'today' };
+}
+
+/**
+ * Converts a detected period to a date within it
+ *
+ * @param {Object} period - Detected period from detectPeriod()
+ * @returns {Date} - First day of the period's month
+ */
+function getPeriodDate(period) {
+  return new Date(period.year, period.month - 1, 1);
+}
+
+/**
+ * Resolves which tax year to calculate with
+ *
+ * Uses the configured year, or the payout year when set to "auto" (overtime
+ * worked in December is usually paid and taxed in January).
+ * If no rate set exists for that year, the nearest available year is used
+ * and the result is flagged as approximate instead of failing.
+ * A custom rate set is used as it is. If it has been deleted, the payout
+ * year is used instead.
+ *
+ * @param {Object} settings - User settings
+ * @param {Object} period - Detected period from detectPeriod()
+ * @returns {Object} - { taxYear: number|string, requestedYear: number, approximate: boolean, rateSetName }
+ */
+function resolveTaxYear(settings, period) {
+  const rateSet = getCustomRateSet(settings.taxYear);
+  if (rateSet) {
+    return { taxYear: rateSet.id, requestedYear: rateSet.year, approximate: false, rateSetName: rateSet.name };
+  }
+
+  const configuredYear = parseInt(settings.taxYear, 10);
+  const requestedYear = isNaN(configuredYear)
+    ? getPayoutPeriod(getPeriodDate(period), settings.payoutDelayMonths).year
+    : configuredYear;
+  const taxYear = findNearestTaxYear(requestedYear);
+
+  return {
+    taxYear,
+    requestedYear,
+    approximate: taxYear !== requestedYear,
+    rateSetName: null
+  };
+}
+
 /**
  * Formats a number as NOK currency (Norwegian style)
  *
@@ -116,6 +288,196 @@ function formatNOKCompact(amount) {
   return Math.round(amount).toLocaleString('nb-NO');
 }
 
+/**
+ * Creates the feriepenger rows for the hover popup
+ *
+ * @param {Object} result - Calculation result from calculateOvertimeTakeHome
+ * @param {boolean} useWithholding - Whether to show withholding-based values
+ * @returns {string} HTML for the rows
+ */
+function createHolidayPayRows(result, useWithholding) {
+  const totalValue = useWithholding ? result.totalValueWithholding : result.totalValue;
+  const { payoutYear, net, approximate } = result.holidayPay;
+
+  // Feriepenger are taxed in the payout year, which may not have rates yet
+  return `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Feriepenger netto (juni ${payoutYear}):</span>
+      <span class="popup-value">${approximate ? '≈' : ''}+${formatNOKCompact(net)} kr</span>
+    </div>${approximate ? `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Satser for ${payoutYear} mangler, feriepengene er omtrentlige.</span>
+    </div>` : ''}
+    <div class="popup-row popup-rate">
+      <span class="popup-label">Totalt inkl. feriepenger:</span>
+      <span class="popup-value">${formatNOKCompact(totalValue)} kr</span>
+    </div>`;
+}
+
+/**
+ * Creates one row per overtime category for the hover popup
+ *
+ * @param {Array} categories - Category breakdown from calculateOvertimeTakeHome
+ * @param {boolean} useWithholding - Whether to show withholding-based values
+ * @returns {string} HTML for the rows
+ */
+function createCategoryRows(categories, useWithholding) {
+  const rows = categories.map(category => {
+    const takeHome = useWithholding ? category.takeHomeWithholding : category.takeHome;
+    return `
+    <div class="popup-row popup-note">
+      <span class="popup-label">${escapeHTML(category.label)} (${category.hours.toLocaleString('nb-NO')} t):</span>
+      <span class="popup-value">${formatNOKCompact(category.grossPay)} → ${formatNOKCompact(takeHome)} kr</span>
+    </div>`;
+  });
+
+  return `<div class="popup-divider"></div>${rows.join('')}`;
+}
+
+/**
+ * Creates the frikort status rows for the hover popup
+ *
+ * @param {Object} frikort - Frikort status from calculateOvertimeTakeHome
+ * @returns {string} HTML for the rows
+ */
+function createFrikortRows(frikort) {
+  if (frikort.exhausted) {
+    return `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Frikortet er brukt opp. 50 % trekk på ${formatNOKCompact(frikort.taxedAmount)} kr.</span>
+    </div>`;
+  }
+
+  return `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Igjen på frikort:</span>
+      <span class="popup-value">${formatNOKCompact(frikort.remainingAfter)} kr</span>
+    </div>
+    <div class="popup-row popup-note">
+      <span class="popup-label">Frikort brukt opp etter ca.</span>
+      <span class="popup-value">${frikort.hoursUntilExhausted.toLocaleString('nb-NO')} t</span>
+    </div>`;
+}
+
+/**
+ * Creates the tax component rows for the hover popup
+ *
+ * @param {Object} breakdown - Tax breakdown for the shown mode (from result.taxBreakdown)
+ * @returns {string} HTML for the rows (empty without a breakdown)
+ */
+function createTaxBreakdownRows(breakdown) {
+  if (!breakdown || breakdown.total === 0) {
+    return '';
+  }
+
+  const components = [
+    ['Trinnskatt', breakdown.trinnskatt],
+    ['Trygdeavgift', breakdown.trygdeavgift],
+    ['Inntektsskatt', breakdown.inntektsskatt]
+  ];
+
+  return components.map(([label, amount]) => `
+    <div class="popup-row popup-note">
+      <span class="popup-label">${label}:</span>
+      <span class="popup-value">${formatNOKCompact(amount)} kr</span>
+    </div>`).join('');
+}
+
+// Hover popup note when the payout month has reduced tabelltrekk
+const PAYOUT_MONTH_NOTES = {
+  6: 'Utbetales i juni: ingen tabelltrekk.',
+  12: 'Utbetales i desember: halvt tabelltrekk.'
+};
+
+// Only mention the next trinnskatt step when it is within reach
+const BRACKET_HINT_MAX_HOURS = 50;
+
+/**
+ * Creates the trinnskatt proximity row for the hover popup
+ *
+ * @param {Object} bracket - Bracket proximity from calculateOvertimeTakeHome
+ * @returns {string} HTML for the row (empty when the next step is far away)
+ */
+function createBracketRow(bracket) {
+  const next = bracket.nextTrinn;
+  if (!next || next.hours === null || next.hours > BRACKET_HINT_MAX_HOURS) {
+    return '';
+  }
+
+  const hours = Math.max(1, Math.ceil(next.hours));
+  return `
+    <div class="popup-row popup-note">
+      <span class="popup-label">${hours} flere timer og du går over i trinn ${next.trinn} (${(next.rate * 100).toFixed(1)} %)</span>
+    </div>`;
+}
+
+/**
+ * Creates the uncertainty range row for the hover popup
+ *
+ * @param {Object} range - Low/high take-home from calculateOvertimeTakeHome (result.range)
+ * @returns {string} HTML for the row (empty when the estimate has no known spread)
+ */
+function createRangeRow({ low, high }) {
+  const lowText = formatNOKCompact(low);
+  const highText = formatNOKCompact(high);
+  if (lowText === highText) {
+    return '';
+  }
+
+  return `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Trolig mellom:</span>
+      <span class="popup-value">${lowText}–${highText} kr</span>
+    </div>`;
+}
+
+/**
+ * Creates the avspasering comparison rows for the hover popup
+ * Based on actual tax, since the banked hours are never withheld on.
+ *
+ * @param {Object} comparison - Result from calculateTimeOffComparison
+ * @returns {string} HTML for the rows
+ */
+function createTimeOffRows(comparison) {
+  const { timeOff, payout } = comparison;
+  const taxText = comparison.taxDifference >= 0
+    ? `${formatNOKCompact(comparison.taxDifference)} kr mindre`
+    : `${formatNOKCompact(-comparison.taxDifference)} kr mer`;
+  const breakEven = formatNOKCompact(comparison.breakEvenHourValue);
+  const choiceText = comparison.better === 'timeOff'
+    ? 'Avspasering gir mest, selv om en fritime ikke er verdt mer enn vanlig lønn'
+    : `Avspasering lønner seg hvis en fritime er verdt mer enn ${breakEven} kr netto for deg`;
+
+  return `
+    <div class="popup-divider"></div>
+    <div class="popup-row popup-note">
+      <span class="popup-label">Avspasering i stedet (tillegget utbetales):</span>
+    </div>
+    <div class="popup-row popup-note">
+      <span class="popup-label">Tillegg netto:</span>
+      <span class="popup-value">${formatNOKCompact(timeOff.premiumTakeHome)} kr</span>
+    </div>
+    <div class="popup-row popup-note">
+      <span class="popup-label">${timeOff.hours.toLocaleString('nb-NO')} t fri med lønn (netto):</span>
+      <span class="popup-value">${formatNOKCompact(timeOff.bankedValue)} kr</span>
+    </div>
+    <div class="popup-row popup-rate">
+      <span class="popup-label">Avspasering totalt:</span>
+      <span class="popup-value">${formatNOKCompact(timeOff.totalValue)} kr</span>
+    </div>
+    <div class="popup-row popup-rate">
+      <span class="popup-label">Utbetaling totalt:</span>
+      <span class="popup-value">${formatNOKCompact(payout.totalValue)} kr</span>
+    </div>
+    <div class="popup-row popup-note">
+      <span class="popup-label">Skatt ved avspasering:</span>
+      <span class="popup-value">${taxText}</span>
+    </div>
+    <div class="popup-row popup-note">
+      <span class="popup-label">${choiceText}</span>
+    </div>`;
+}
+
 /**
  * Creates or updates the hover popup element
  *
@@ -135,7 +497,9 @@ function createHoverPopup(result, useWithholding) {
   const displayTakeHome = useWithholding ? result.takeHomeWithholding : result.takeHome;
   const displayTax = useWithholding ? result.withholding : result.actualTax;
   const displayRate = useWithholding ? result.effectiveRateWithholding : result.effectiveRate;
-  const calculationLabel = useWithholding ? 'Forskuddstrekk' : 'Faktisk skatt';
+  const calculationLabel = useWithholding
+    ? WITHHOLDING_LABELS[result.withholdingSource] || 'Forskuddstrekk'
+    : 'Faktisk skatt';
 
   popup.innerHTML = `
     <div class="popup-header">Overtidsbetaling</div>
@@ -152,10 +516,34 @@ function createHoverPopup(result, useWithholding) {
       <span class="popup-label">Utbetalt:</span>
       <span class="popup-value">${formatNOKCompact(displayTakeHome)} kr</span>
     </div>
+    ${createRangeRow(useWithholding ? result.range.takeHomeWithholding : result.range.takeHome)}
     <div class="popup-row popup-rate">
       <span class="popup-label">Skattesats:</span>
       <span class="popup-value">${(displayRate * 100).toFixed(1)}%</span>
     </div>
+    ${createTaxBreakdownRows(useWithholding ? result.taxBreakdown.withholding : result.taxBreakdown.actual)}
+    ${result.holidayPay.amount > 0 ? createHolidayPayRows(result, useWithholding) : ''}
+    ${result.yearToDateGross > 0 && !useWithholding ? `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Skattet oppå overtid tidligere i år:</span>
+      <span class="popup-value">${formatNOKCompact(result.yearToDateGross)} kr</span>
+    </div>` : ''}
+    ${result.categories.length > 1 || result.mertidHours > 0 ? createCategoryRows(result.categories, useWithholding) : ''}
+    ${result.frikort ? createFrikortRows(result.frikort) : ''}
+    ${useWithholding && result.taxCardType === 'tabelltrekk' && PAYOUT_MONTH_NOTES[result.payout.month] ? `
+    <div class="popup-row popup-note">
+      <span class="popup-label">${PAYOUT_MONTH_NOTES[result.payout.month]}</span>
+    </div>` : ''}
+    ${createBracketRow(result.bracket)}
+    ${result.timeOff && result.timeOff.hours > 0 ? createTimeOffRows(result.timeOff) : ''}
+    ${result.approximate ? `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Satser for ${result.requestedYear} mangler, beregnet med ${result.taxYear}. Tallet er omtrentlig.</span>
+    </div>` : ''}
+    ${result.rateSetName ? `
+    <div class="popup-row popup-note">
+      <span class="popup-label">Beregnet med egne satser: ${escapeHTML(result.rateSetName)}</span>
+    </div>` : ''}
   `;
 
   return popup;
@@ -248,8 +636,8 @@ function injectOvertimePay(hoursSpan, result, useWithholding = false) {
   // Format number with thousand separators (Norwegian style: "3 664")
   const formatted = formatNOKCompact(takeHomePay);
 
-  // Update content
-  payElement.textContent = ` (${formatted} kr)`;
+  // Update content (mark as approximate when rates for another year were used)
+  payElement.textContent = result.approximate ? ` (≈${formatted} kr)` : ` (${formatted} kr)`;
 }
 
 /**
@@ -264,6 +652,87 @@ function removeOvertimePay(hoursSpan) {
   }
 }
 
+/**
+ * Stores the gross overtime pay for a period in the overtime history
+ * Used to stack later payouts' tax on top of overtime paid earlier in the year.
+ *
+ * @param {Object} period - Detected period from detectPeriod()
+ * @param {number} grossPay - Gross overtime pay for the period (0 removes it)
+ */
+function recordOvertimeHistory(period, grossPay) {
+  const key = `${period.year}-${String(period.month).padStart(2, '0')}`;
+  const previous = currentOvertimeHistory[key];
+
+  if ((previous || 0) === grossPay) {
+    return; // Nothing changed, avoid a storage write
+  }
+
+  const history = { ...currentOvertimeHistory };
+  if (grossPay > 0) {
+    history[key] = grossPay;
+  } else {
+    delete history[key];
+  }
+  currentOvertimeHistory = history;
+
+  browserAPI.storage.local.set({ overtimeHistory: history }).catch(error => {
+    console.error('Overtidskassa: Error saving overtime history:', error);
+  });
+}
+
+/**
+ * Runs the take-home calculation for the given hours and settings
+ *
+ * Resolves the tax year from the viewed period and annotates the result
+ * with whether it had to fall back to another year's rates.
+ *
+ * @param {Array} overtimeEntries - Hours per category from collectOvertimeEntries()
+ * @param {Object} settings - User settings
+ * @param {Object} period - Detected period from detectPeriod()
+ * @returns {Object} Calculation result with taxYear, requestedYear and approximate
+ */
+function calculateForEntries(overtimeEntries, settings, period) {
+  const { taxYear, requestedYear, approximate, rateSetName } = resolveTaxYear(settings, period);
+
+  // Overtime paid out earlier in the payout year, from the recorded history or entered manually
+  const payout = getPayoutPeriod(getPeriodDate(period), settings.payoutDelayMonths);
+  const yearToDateGross = settings.yearToDateMode === 'manual'
+    ? settings.manualYearToDate
+    : calculateYearToDateGross(currentOvertimeHistory, payout.year, payout.month, {
+      payoutDelayMonths: settings.payoutDelayMonths
+    });
+
+  // Use the official table only if it matches both the year and the table number
+  const loadedTable = currentWithholdingTables[taxYear];
+  const withholdingTable = loadedTable && loadedTable.tableNumber === settings.tableNumber
+    ? loadedTable.rows
+    : null;
+
+  const params = {
+    yearlySalary: settings.yearlySalary,
+    salaryHistory: settings.salaryHistory,
+    annualHourDivisor: settings.annualHourDivisor,
+    positionPercentage: settings.positionPercentage,
+    fixedSupplements: settings.fixedSupplements,
+    holidayPayRate: settings.holidayPayRate,
+    yearToDateGross,
+    otherIncome: settings.otherIncome,
+    periodDate: getPeriodDate(period),
+    payoutDelayMonths: settings.payoutDelayMonths,
+    overtimeEntries,
+    tableNumber: settings.tableNumber || undefined,
+    taxYear,
+    withholdingTable,
+    taxCard: settings.taxCard
+  };
+  const result = calculateOvertimeTakeHome(params);
+
+  // Payout vs avspasering for the same hours
+  const timeOff = calculateTimeOffComparison(params);
+
+  return { ...result, timeOff, requestedYear, approximate, rateSetName };
+}
+
 /**
  * Updates the overtime calculation and display
  *
@@ -272,18 +741,24 @@ function removeOvertimePay(hoursSpan) {
  */
 function updateOvertimeDisplay(hoursSpan, settings) {
   try {
-    // Parse hours
-    const overtimeHours = parseOvertimeHours(hoursSpan);
-
-    // Check if hours actually changed
-    if (overtimeHours === lastKnownHours) {
+    // Parse hours per category and the period they belong to
+    const overtimeEntries = collectOvertimeEntries(settings);
+    const overtimeHours = overtimeEntries.reduce((sum, entry) => sum + entry.hours, 0);
+    const hoursKey = overtimeEntries.map(entry => `${entry.label}:${entry.hours}`).join('|');
+    const period = detectPeriod();
+    const periodKey = `${period.year}-${period.month}`;
+
+    // Check if hours or period actually changed
+    if (hoursKey === lastKnownHours && periodKey === lastKnownPeriodKey) {
       return; // No change, skip recalculation
     }
 
-    lastKnownHours = overtimeHours;
+    lastKnownHours = hoursKey;
+    lastKnownPeriodKey = periodKey;
 
-    if (overtimeHours === null || overtimeHours === 0) {
+    if (overtimeHours === 0) {
       // No overtime - remove injected element if it exists
+      recordOvertimeHistory(period, 0);
       removeOvertimePay(hoursSpan);
       console.log('Overtidskassa: No overtime hours, display removed');
       return;
@@ -295,12 +770,8 @@ function updateOvertimeDisplay(hoursSpan, settings) {
       return;
     }
 
-    const result = calculateOvertimeTakeHome({
-      yearlySalary: settings.yearlySalary,
-      overtimeHours,
-      tableNumber: settings.tableNumber,
-      taxYear: settings.taxYear
-    });
+    const result = calculateForEntries(overtimeEntries, settings, period);
+    recordOvertimeHistory(period, result.grossPay);
 
     // Inject/update result (pass full result and useWithholding setting)
     const useWithholding = settings.useWithholding || false;
@@ -315,7 +786,10 @@ function updateOvertimeDisplay(hoursSpan, settings) {
       gross: result.grossPay,
       takeHome: displayedTakeHome,
       effectiveRate: `${(displayedRate * 100).toFixed(1)}%`,
-      mode: useWithholding ? 'withholding' : 'actual tax'
+      mode: useWithholding ? 'withholding' : 'actual tax',
+      withholdingSource: result.withholdingSource,
+      taxYear: result.taxYear,
+      approximate: result.approximate
     });
 
   } catch (error) {
@@ -375,12 +849,19 @@ function observeHoursSpan(hoursSpan) {
     }, 100); // 100ms debounce
   });
 
-  // Observe the hoursSpan for text content changes
-  currentObserver.observe(hoursSpan, {
+  // Observe the hoursSpan (and any other overtime rows) for text content changes
+  const observeOptions = {
     characterData: true,
     childList: true,
     subtree: true
-  });
+  };
+  currentObserver.observe(hoursSpan, observeOptions);
+
+  for (const { hoursSpan: otherSpan } of findOvertimeRows()) {
+    if (otherSpan !== hoursSpan) {
+      currentObserver.observe(otherSpan, observeOptions);
+    }
+  }
 
   console.log('Overtidskassa: Now observing overtime hours for live updates');
 }
@@ -519,6 +1000,70 @@ function waitForOvertimeRow(maxAttempts = 20, interval = 250) {
   });
 }
 
+/**
+ * Checks whether stored settings contain enough to calculate
+ * A table number is only required for tabelltrekk tax cards.
+ *
+ * @param {Object} stored - Settings as stored by the popup
+ * @returns {boolean} - true if the calculation can run
+ */
+function isConfigured(stored) {
+  if (!stored) {
+    return false;
+  }
+
+  // A salary history alone is enough (the salary before the first change is optional)
+  const hasSalaryHistory = Array.isArray(stored.salaryHistory) && stored.salaryHistory.length > 0;
+  if (!stored.yearlySalary && !hasSalaryHistory) {
+    return false;
+  }
+
+  const cardType = stored.taxCard ? stored.taxCard.type : 'tabelltrekk';
+  return cardType !== 'tabelltrekk' || Boolean(stored.tableNumber);
+}
+
+/**
+ * Fills in defaults for settings stored by older versions of the popup
+ *
+ * @param {Object} stored - Settings as stored by the popup
+ * @returns {Object} - Settings used by the calculation
+ */
+function normalizeSettings(stored) {
+  return {
+    yearlySalary: stored.yearlySalary,
+    salaryHistory: stored.salaryHistory || [],
+    tableNumber: stored.tableNumber || null,
+    taxYear: stored.taxYear || 'auto',
+    useWithholding: stored.useWithholding || false,
+    taxCard: stored.taxCard || { type: 'tabelltrekk' },
+    annualHourDivisor: stored.annualHourDivisor || DEFAULT_ANNUAL_HOUR_DIVISOR,
+    positionPercentage: stored.positionPercentage || 100,
+    fixedSupplements: stored.fixedSupplements || 0,
+    holidayPayRate: stored.holidayPayRate !== undefined ? stored.holidayPayRate : DEFAULT_HOLIDAY_PAY_RATE,
+    payoutDelayMonths: stored.payoutDelayMonths !== undefined ? stored.payoutDelayMonths : DEFAULT_PAYOUT_DELAY_MONTHS,
+    otherIncome: stored.otherIncome || null,
+    yearToDateMode: stored.yearToDateMode || 'history',
+    manualYearToDate: stored.manualYearToDate || 0,
+    overtimeCategories: stored.overtimeCategories && stored.overtimeCategories.length > 0
+      ? stored.overtimeCategories
+      : [{ label: 'Overtid', multiplier: DEFAULT_OVERTIME_MULTIPLIER }]
+  };
+}
+
+/**
+ * Registers the custom rate sets saved in the popup
+ * Invalid sets are left out, like in the popup, so the official rates keep working.
+ *
+ * @param {Array} rateSets - [{ id, name, year, rates }]
+ */
+function loadCustomRateSets(rateSets) {
+  const validSets = (rateSets || []).filter(set => validateRateSet(set).valid);
+  if (validSets.length < (rateSets || []).length) {
+    console.warn('Overtidskassa: Skipping invalid custom rate sets');
+  }
+  registerCustomRateSets(validSets);
+}
+
 /**
  * Main content script execution
  */
@@ -528,6 +1073,7 @@ async function main() {
 
   // Reset state for fresh calculation
   lastKnownHours = null;
+  lastKnownPeriodKey = null;
 
   try {
     // Check if browser API is available
@@ -536,20 +1082,20 @@ async function main() {
       return;
     }
 
-    // Load settings
-    const result = await browserAPI.storage.local.get('settings');
+    // Load settings and any official withholding tables
+    const result = await browserAPI.storage.local.get(
+      ['settings', 'withholdingTables', 'overtimeHistory', 'customRateSets']
+    );
+    currentWithholdingTables = result.withholdingTables || {};
+    currentOvertimeHistory = result.overtimeHistory || {};
+    loadCustomRateSets(result.customRateSets);
 
-    if (!result.settings || !result.settings.yearlySalary || !result.settings.tableNumber) {
+    if (!isConfigured(result.settings)) {
       console.warn('Overtidskassa: Settings not configured. Please open the extension popup to configure.');
       return;
     }
 
-    const settings = {
-      yearlySalary: result.settings.yearlySalary,
-      tableNumber: result.settings.tableNumber,
-      taxYear: result.settings.taxYear || 2026,
-      useWithholding: result.settings.useWithholding || false
-    };
+    const settings = normalizeSettings(result.settings);
 
     // Store settings at module level for observers to reference
     currentSettings = settings;
@@ -607,10 +1153,11 @@ function recalculateWithNewSettings(settings) {
       return false;
     }
 
-    // Parse hours
-    const overtimeHours = parseOvertimeHours(hoursSpan);
+    // Parse hours per category
+    const overtimeEntries = collectOvertimeEntries(settings);
+    const overtimeHours = overtimeEntries.reduce((sum, entry) => sum + entry.hours, 0);
 
-    if (overtimeHours === null || overtimeHours === 0) {
+    if (overtimeHours === 0) {
       // No overtime - remove injected element
       removeOvertimePay(hoursSpan);
       console.log('Overtidskassa: No overtime hours, display removed');
@@ -623,12 +1170,9 @@ function recalculateWithNewSettings(settings) {
       return false;
     }
 
-    const result = calculateOvertimeTakeHome({
-      yearlySalary: settings.yearlySalary,
-      overtimeHours,
-      tableNumber: settings.tableNumber,
-      taxYear: settings.taxYear
-    });
+    const period = detectPeriod();
+    const result = calculateForEntries(overtimeEntries, settings, period);
+    recordOvertimeHistory(period, result.grossPay);
 
     // Update display with new settings
     const useWithholding = settings.useWithholding || false;
@@ -643,7 +1187,10 @@ function recalculateWithNewSettings(settings) {
       gross: result.grossPay,
       takeHome: displayedTakeHome,
       effectiveRate: `${(displayedRate * 100).toFixed(1)}%`,
-      mode: useWithholding ? 'withholding' : 'actual tax'
+      mode: useWithholding ? 'withholding' : 'actual tax',
+      withholdingSource: result.withholdingSource,
+      taxYear: result.taxYear,
+      approximate: result.approximate
     });
 
     return true;
@@ -673,15 +1220,32 @@ function init() {
 
   // Listen for settings changes to update live
   browserAPI.storage.onChanged.addListener((changes, area) => {
+    // Keep history in sync (written here and reset from the popup)
+    if (area === 'local' && changes.overtimeHistory) {
+      currentOvertimeHistory = changes.overtimeHistory.newValue || {};
+    }
+
+    if (area === 'local' && changes.withholdingTables) {
+      currentWithholdingTables = changes.withholdingTables.newValue || {};
+    }
+
+    if (area === 'local' && changes.customRateSets) {
+      loadCustomRateSets(changes.customRateSets.newValue);
+    }
+
+    // Recalculate with current settings unless a settings change below will
+    if (area === 'local' && (changes.withholdingTables || changes.customRateSets) &&
+        !changes.settings && currentSettings) {
+      console.log('Overtidskassa: Withholding tables or rate sets updated, recalculating...');
+      if (!recalculateWithNewSettings(currentSettings)) {
+        main();
+      }
+    }
+
     if (area === 'local' && changes.settings) {
       console.log('Overtidskassa: Settings updated, recalculating...');
 
-      const newSettings = {
-        yearlySalary: changes.settings.newValue.yearlySalary,
-        tableNumber: changes.settings.newValue.tableNumber,
-        taxYear: changes.settings.newValue.taxYear || 2026,
-        useWithholding: changes.settings.newValue.useWithholding || false
-      };
+      const newSettings = normalizeSettings(changes.settings.newValue);
 
       // Try to update existing element directly (more efficient)
       // Fall back to full re-initialization if element not found
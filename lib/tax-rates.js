@@ -5,10 +5,247 @@
  * income tax withholding (tabelltrekk) calculations.
  *
  * Source: Skatteetaten (Norwegian Tax Administration)
- * Updated: 2026 tax year
+ * Covers: 2024, 2025 and 2026 tax years
  */
 
+/**
+ * Standard Tax Rules
+ *
+ * The calculation for a tax year as an ordered list of steps. Each step
+ * stores its result under its id, so later steps can use it. Inputs are
+ * personalIncome, capitalIncome and tableAdjustment (negative for fradrag
+ * tables). Operations:
+ * - share: a rate of an amount, between rates.min and rates.max
+ * - amount: a fixed amount from the rates
+ * - base: the sum of the add values minus every deduction so far, at least 0
+ * - brackets: progressive brackets (trinnskatt)
+ * - phasedIn: flat rate above a threshold, phased in (trygdeavgift)
+ * - flat: a flat rate of an amount
+ *
+ * Steps marked deduction are subtracted by later base steps, and steps
+ * marked tax add up to the total. withholdingRounding rounds the deduction
+ * up to whole 10 kr in the trekkrutine.
+ */
+const STANDARD_TAX_RULES = [
+  { id: 'minstefradrag', op: 'share', of: 'personalIncome', rates: 'minstefradrag', deduction: true,
+    withholdingRounding: true },
+  { id: 'personfradrag', op: 'amount', rates: 'personfradrag', deduction: true },
+  { id: 'alminneligInntekt', op: 'base', add: ['personalIncome', 'capitalIncome', 'tableAdjustment'] },
+  { id: 'trinnskatt', op: 'brackets', of: 'personalIncome', rates: 'trinnskatt', tax: true },
+  { id: 'trygdeavgift', op: 'phasedIn', of: 'personalIncome', rates: 'trygdeavgift', tax: true },
+  { id: 'inntektsskatt', op: 'flat', of: 'alminneligInntekt', rates: 'alminneligInntekt', tax: true }
+];
+
+/**
+ * Rule steps added for tiltakssone tables: finnmarksfradrag is deducted
+ * before alminnelig inntekt is calculated
+ */
+const TILTAKSSONE_RULES = [
+  {
+    before: 'alminneligInntekt',
+    rule: { id: 'finnmarksfradrag', op: 'amount', rates: 'finnmarksfradrag', deduction: true }
+  }
+];
+
 const TAX_RATES = {
+  2024: {
+    /**
+     * Trinnskatt (Bracket Tax) - Applied to personal income
+     * Progressive tax with increasing rates at each threshold
+     */
+    trinnskatt: [
+      { threshold: 208050, rate: 0.000 },  // 0% up to 208,050 NOK
+      { threshold: 292850, rate: 0.017 },  // 1.7% from 208,051 to 292,850 NOK
+      { threshold: 670000, rate: 0.040 },  // 4.0% from 292,851 to 670,000 NOK
+      { threshold: 937900, rate: 0.136 },  // 13.6% from 670,001 to 937,900 NOK
+      { threshold: 1350000, rate: 0.166 }, // 16.6% from 937,901 to 1,350,000 NOK
+      { threshold: Infinity, rate: 0.176 } // 17.6% above 1,350,000 NOK
+    ],
+
+    /**
+     * Trygdeavgift (National Insurance Contribution)
+     * Flat rate on income above threshold, phased in: never more than
+     * phaseInRate of the income above the threshold
+     */
+    trygdeavgift: {
+      rate: 0.078,      // 7.8% for salary income
+      threshold: 69650, // No trygdeavgift below this annual income
+      phaseInRate: 0.25  // Capped at 25% of income above the threshold
+    },
+
+    /**
+     * Alminnelig Inntekt (General Income Tax)
+     * Flat rate on taxable general income
+     */
+    alminneligInntekt: {
+      rate: 0.22  // 22% flat rate
+    },
+
+    /**
+     * Minstefradrag (Minimum Standard Deduction)
+     * Percentage-based deduction with floor and ceiling
+     */
+    minstefradrag: {
+      rate: 0.46,     // 46% of gross income
+      min: 4000,      // Minimum deduction: 4,000 NOK
+      max: 104450     // Maximum deduction: 104,450 NOK
+    },
+
+    /**
+     * Personfradrag (Personal Allowance)
+     * Fixed amount deducted from taxable income for all taxpayers
+     */
+    personfradrag: 88250,  // 88,250 NOK
+
+    /**
+     * Withholding Period Factor
+     * Norwegian employers withhold tax for 10.5 months:
+     * - June: No withholding (vacation pay month)
+     * - December: Half withholding
+     */
+    withholdingMonths: 10.5,
+
+    /**
+     * Frikort (Tax-Free Card)
+     * Once the frikort amount is used up, the employer withholds a flat 50%
+     */
+    frikortTrekkRate: 0.50,
+
+    /**
+     * Special Tables
+     * Rates merged into the year's rates for the 7xxx tables, and rule steps
+     * inserted into the ordinary rules (see applyTableRules)
+     * - Pensjon (7000-7400): lower trygdeavgift and a separate minstefradrag
+     * - Tiltakssonen (7500-7900, Finnmark and Nord-Troms): reduced alminnelig
+     *   inntekt rate, a lower trinn 3 rate and finnmarksfradrag
+     */
+    specialTables: {
+      pension: {
+        rates: {
+          trygdeavgift: { rate: 0.051 },  // 5.1% for pension income
+          minstefradrag: {
+            rate: 0.40,   // 40% of pension income
+            min: 4000,    // Minimum deduction: 4,000 NOK
+            max: 86250    // Maximum deduction: 86,250 NOK
+          }
+        }
+      },
+      tiltakssone: {
+        rates: {
+          alminneligInntekt: { rate: 0.185 },  // 18.5% instead of 22%
+          trinnskatt: { 3: { rate: 0.116 } },  // Trinn 3 at 11.6% instead of the ordinary rate
+          finnmarksfradrag: 30000              // Extra deduction in alminnelig inntekt
+        },
+        rules: TILTAKSSONE_RULES
+      }
+    },
+
+    /**
+     * Tax Rules
+     * The ordered calculation steps for the year (see STANDARD_TAX_RULES)
+     */
+    rules: STANDARD_TAX_RULES
+  },
+
+  2025: {
+    /**
+     * Trinnskatt (Bracket Tax) - Applied to personal income
+     * Progressive tax with increasing rates at each threshold
+     */
+    trinnskatt: [
+      { threshold: 217400, rate: 0.000 },  // 0% up to 217,400 NOK
+      { threshold: 306050, rate: 0.017 },  // 1.7% from 217,401 to 306,050 NOK
+      { threshold: 697150, rate: 0.040 },  // 4.0% from 306,051 to 697,150 NOK
+      { threshold: 942400, rate: 0.137 },  // 13.7% from 697,151 to 942,400 NOK
+      { threshold: 1410750, rate: 0.167 }, // 16.7% from 942,401 to 1,410,750 NOK
+      { threshold: Infinity, rate: 0.177 } // 17.7% above 1,410,750 NOK
+    ],
+
+    /**
+     * Trygdeavgift (National Insurance Contribution)
+     * Flat rate on income above threshold, phased in: never more than
+     * phaseInRate of the income above the threshold
+     */
+    trygdeavgift: {
+      rate: 0.077,      // 7.7% for salary income
+      threshold: 99650, // No trygdeavgift below this annual income
+      phaseInRate: 0.25  // Capped at 25% of income above the threshold
+    },
+
+    /**
+     * Alminnelig Inntekt (General Income Tax)
+     * Flat rate on taxable general income
+     */
+    alminneligInntekt: {
+      rate: 0.22  // 22% flat rate
+    },
+
+    /**
+     * Minstefradrag (Minimum Standard Deduction)
+     * Percentage-based deduction with floor and ceiling
+     */
+    minstefradrag: {
+      rate: 0.46,     // 46% of gross income
+      min: 4000,      // Minimum deduction: 4,000 NOK
+      max: 92000      // Maximum deduction: 92,000 NOK
+    },
+
+    /**
+     * Personfradrag (Personal Allowance)
+     * Fixed amount deducted from taxable income for all taxpayers
+     */
+    personfradrag: 108550,  // 108,550 NOK
+
+    /**
+     * Withholding Period Factor
+     * Norwegian employers withhold tax for 10.5 months:
+     * - June: No withholding (vacation pay month)
+     * - December: Half withholding
+     */
+    withholdingMonths: 10.5,
+
+    /**
+     * Frikort (Tax-Free Card)
+     * Once the frikort amount is used up, the employer withholds a flat 50%
+     */
+    frikortTrekkRate: 0.50,
+
+    /**
+     * Special Tables
+     * Rates merged into the year's rates for the 7xxx tables, and rule steps
+     * inserted into the ordinary rules (see applyTableRules)
+     * - Pensjon (7000-7400): lower trygdeavgift and a separate minstefradrag
+     * - Tiltakssonen (7500-7900, Finnmark and Nord-Troms): reduced alminnelig
+     *   inntekt rate, a lower trinn 3 rate and finnmarksfradrag
+     */
+    specialTables: {
+      pension: {
+        rates: {
+          trygdeavgift: { rate: 0.051 },  // 5.1% for pension income
+          minstefradrag: {
+            rate: 0.40,   // 40% of pension income
+            min: 4000,    // Minimum deduction: 4,000 NOK
+            max: 88700    // Maximum deduction: 88,700 NOK
+          }
+        }
+      },
+      tiltakssone: {
+        rates: {
+          alminneligInntekt: { rate: 0.185 },  // 18.5% instead of 22%
+          trinnskatt: { 3: { rate: 0.117 } },  // Trinn 3 at 11.7% instead of the ordinary rate
+          finnmarksfradrag: 30000              // Extra deduction in alminnelig inntekt
+        },
+        rules: TILTAKSSONE_RULES
+      }
+    },
+
+    /**
+     * Tax Rules
+     * The ordered calculation steps for the year (see STANDARD_TAX_RULES)
+     */
+    rules: STANDARD_TAX_RULES
+  },
+
   2026: {
     /**
      * Trinnskatt (Bracket Tax) - Applied to personal income
@@ -25,11 +262,13 @@ const TAX_RATES = {
 
     /**
      * Trygdeavgift (National Insurance Contribution)
-     * Flat rate on income above threshold
+     * Flat rate on income above threshold, phased in: never more than
+     * phaseInRate of the income above the threshold
      */
     trygdeavgift: {
       rate: 0.076,      // 7.6% for salary income
-      threshold: 69650  // No trygdeavgift below this annual income
+      threshold: 69650, // No trygdeavgift below this annual income
+      phaseInRate: 0.25  // Capped at 25% of income above the threshold
     },
 
     /**
@@ -62,7 +301,48 @@ const TAX_RATES = {
      * - June: No withholding (vacation pay month)
      * - December: Half withholding
      */
-    withholdingMonths: 10.5
+    withholdingMonths: 10.5,
+
+    /**
+     * Frikort (Tax-Free Card)
+     * Once the frikort amount is used up, the employer withholds a flat 50%
+     */
+    frikortTrekkRate: 0.50,
+
+    /**
+     * Special Tables
+     * Rates merged into the year's rates for the 7xxx tables, and rule steps
+     * inserted into the ordinary rules (see applyTableRules)
+     * - Pensjon (7000-7400): lower trygdeavgift and a separate minstefradrag
+     * - Tiltakssonen (7500-7900, Finnmark and Nord-Troms): reduced alminnelig
+     *   inntekt rate, a lower trinn 3 rate and finnmarksfradrag
+     */
+    specialTables: {
+      pension: {
+        rates: {
+          trygdeavgift: { rate: 0.051 },  // 5.1% for pension income
+          minstefradrag: {
+            rate: 0.40,   // 40% of pension income
+            min: 4000,    // Minimum deduction: 4,000 NOK
+            max: 91600    // Maximum deduction: 91,600 NOK
+          }
+        }
+      },
+      tiltakssone: {
+        rates: {
+          alminneligInntekt: { rate: 0.185 },  // 18.5% instead of 22%
+          trinnskatt: { 3: { rate: 0.117 } },  // Trinn 3 at 11.7% instead of the ordinary rate
+          finnmarksfradrag: 30000              // Extra deduction in alminnelig inntekt
+        },
+        rules: TILTAKSSONE_RULES
+      }
+    },
+
+    /**
+     * Tax Rules
+     * The ordered calculation steps for the year (see STANDARD_TAX_RULES)
+     */
+    rules: STANDARD_TAX_RULES
   }
 };
 
@@ -79,7 +359,40 @@ function getTaxRates(year) {
   return TAX_RATES[year];
 }
 
+/**
+ * Get all tax years that have a rate set, in ascending order
+ * @returns {number[]} Available tax years
+ */
+function getAvailableTaxYears() {
+  return Object.keys(TAX_RATES)
+    .map(year => parseInt(year, 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Find the available tax year closest to the requested year
+ *
+ * Used when the period being viewed has no rate set yet (e.g. January before
+ * the new rates are added). On a tie, the later year wins since rates
+ * generally move forward with wage growth.
+ *
+ * @param {number} year - Requested tax year
+ * @returns {number} The requested year if available, otherwise the nearest one
+ */
+function findNearestTaxYear(year) {
+  const years = getAvailableTaxYears();
+  if (TAX_RATES[year]) {
+    return year;
+  }
+
+  return years.reduce((nearest, candidate) => {
+    const distance = Math.abs(candidate - year);
+    const nearestDistance = Math.abs(nearest - year);
+    return distance <= nearestDistance ? candidate : nearest;
+  });
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { TAX_RATES, getTaxRates };
+  module.exports = { TAX_RATES, STANDARD_TAX_RULES, getTaxRates, getAvailableTaxYears, findNearestTaxYear };
 }
@@ -0,0 +1,127 @@
+/**
+ * Parser for Skatteetaten's Published Trekktabell Files
+ *
+ * Skatteetaten publishes the complete withholding tables (trekktabeller) for
+ * each year as a fixed-width text file. Each line is one income interval for
+ * one table:
+ *
+ *   Pos  1-4   Tabellnummer   (e.g. 8115)
+ *   Pos  5     Trekkperiode   (1 = måned, 2 = 14 dager, 3 = uke, 4 = 4 dager,
+ *                              5 = 3 dager, 6 = 2 dager, 7 = 1 dag)
+ *   Pos  6     Tabelltype     (0 = lønn, 1 = pensjon)
+ *   Pos  7-11  Trekkgrunnlag  (lower bound of the income interval in NOK)
+ *   Pos 12-16  Trekk          (amount withheld for the interval in NOK)
+ *
+ * Example: "8115105000012345" → table 8115, monthly, salary, 50,000 NOK → 12,345 NOK
+ *
+ * The parsed rows are used by lookupMonthlyWithholding() in trekktabell.js.
+ */
+
+// Record layout (0-based start, exclusive end)
+const TABLE_FILE_FIELDS = {
+  tableNumber: [0, 4],
+  period: [4, 5],
+  tableType: [5, 6],
+  grunnlag: [6, 11],
+  trekk: [11, 16]
+};
+
+const TABLE_FILE_RECORD_LENGTH = 16;
+
+/**
+ * Trekkperiode codes used in the table file
+ */
+const TABLE_PERIODS = {
+  MONTH: 1,
+  TWO_WEEKS: 2,
+  WEEK: 3
+};
+
+/**
+ * Tabelltype codes used in the table file
+ */
+const TABLE_TYPES = {
+  SALARY: 0,
+  PENSION: 1
+};
+
+/**
+ * Read a numeric field from a fixed-width record
+ *
+ * @param {string} line - The record
+ * @param {string} field - Field name from TABLE_FILE_FIELDS
+ * @returns {number} Parsed integer (NaN if the field is not numeric)
+ */
+function readField(line, field) {
+  const [start, end] = TABLE_FILE_FIELDS[field];
+  const raw = line.slice(start, end);
+  return /^\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+}
+
+/**
+ * Parse a trekktabell file into rows per table number
+ *
+ * Only records for the requested period and table type are kept, since the
+ * extension only needs monthly salary withholding. Rows are sorted by
+ * trekkgrunnlag so they can be binary searched.
+ *
+ * @param {string} text - Contents of the table file
+ * @param {object} options - Filter options
+ * @param {number} options.period - Trekkperiode to keep (default: monthly)
+ * @param {number} options.tableType - Tabelltype to keep (default: salary)
+ * @param {number[]} options.tableNumbers - Only keep these tables (default: all)
+ * @returns {object} { [tableNumber]: Array<[grunnlag, trekk]> }
+ * @throws {Error} If a line is malformed or no matching records are found
+ */
+function parseTrekktabellFile(text, { period = TABLE_PERIODS.MONTH, tableType = TABLE_TYPES.SALARY, tableNumbers = null } = {}) {
+  const tables = {};
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trimEnd();
+
+    // Skip blank lines (files often end with a trailing newline)
+    if (line === '') return;
+
+    if (line.length !== TABLE_FILE_RECORD_LENGTH) {
+      throw new Error(`Line ${index + 1}: expected ${TABLE_FILE_RECORD_LENGTH} characters, got ${line.length}`);
+    }
+
+    const record = {
+      tableNumber: readField(line, 'tableNumber'),
+      period: readField(line, 'period'),
+      tableType: readField(line, 'tableType'),
+      grunnlag: readField(line, 'grunnlag'),
+      trekk: readField(line, 'trekk')
+    };
+
+    const invalidField = Object.keys(record).find(field => isNaN(record[field]));
+    if (invalidField) {
+      throw new Error(`Line ${index + 1}: field "${invalidField}" is not numeric`);
+    }
+
+    // Filter to the records we need
+    if (record.period !== period || record.tableType !== tableType) return;
+    if (tableNumbers && !tableNumbers.includes(record.tableNumber)) return;
+
+    if (!tables[record.tableNumber]) {
+      tables[record.tableNumber] = [];
+    }
+    tables[record.tableNumber].push([record.grunnlag, record.trekk]);
+  });
+
+  if (Object.keys(tables).length === 0) {
+    throw new Error('No matching withholding table records found in file');
+  }
+
+  for (const rows of Object.values(tables)) {
+    rows.sort((a, b) => a[0] - b[0]);
+  }
+
+  return tables;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseTrekktabellFile, TABLE_PERIODS, TABLE_TYPES };
+}
@@ -12,23 +12,290 @@
  * - Personfradrag (personal allowance)
  * - Table number adjustments (fradrag/tillegg)
  *
+ * The withholding formula follows the trekkrutine's rounding steps (income
+ * intervals, rounded deductions and trekk) and the trygdeavgift phase-in.
+ *
+ * Each tax year is described in tax-rates.js as an ordered list of rule
+ * steps. The same interpreter (runTaxRules) runs them for both the actual
+ * tax and the withholding, so a new year or rule is a change to the data.
+ *
+ * All amounts are calculated in whole øre with integer arithmetic (see
+ * ORE_PER_KRONE), so differences between two annual taxes are exact and
+ * results are identical in every browser.
+ *
  * Note: This is an ESTIMATE. Actual withholding may vary slightly due to
- * rounding, timing, and other factors. Always verify with official sources.
+ * timing and other factors. Always verify with official sources.
+ * When Skatteetaten's table file has been loaded, withholding is looked up
+ * in the official table instead (see lookupMonthlyWithholding).
  */
 
 // Import tax rates for Node.js environment
 // In browser, tax-rates.js is loaded first via manifest and creates global TAX_RATES
 let TAX_RATES_DATA;
 let getTaxRatesFunc;
+let findNearestTaxYearFunc;
 if (typeof TAX_RATES === 'undefined' && typeof require !== 'undefined') {
   // Node.js: Load module with different variable names to avoid conflicts
   const taxRatesModule = require('./tax-rates.js');
   TAX_RATES_DATA = taxRatesModule.TAX_RATES;
   getTaxRatesFunc = taxRatesModule.getTaxRates;
+  findNearestTaxYearFunc = taxRatesModule.findNearestTaxYear;
 } else {
   // Browser: Use the globally loaded TAX_RATES and getTaxRates
   TAX_RATES_DATA = typeof TAX_RATES !== 'undefined' ? TAX_RATES : null;
   getTaxRatesFunc = typeof getTaxRates !== 'undefined' ? getTaxRates : null;
+  findNearestTaxYearFunc = typeof findNearestTaxYear !== 'undefined' ? findNearestTaxYear : null;
+}
+
+/**
+ * Table number used for the actual tax calculation when the tax card is
+ * prosenttrekk or frikort and no table number is known (no adjustment)
+ */
+const DEFAULT_TABLE_NUMBER = 8000;
+
+/**
+ * Overtime multiplier used when no categories are given (40% premium)
+ */
+const DEFAULT_OVERTIME_MULTIPLIER = 1.4;
+
+/**
+ * Standard Norwegian work year in hours, used as the hourly rate divisor
+ * Some employers use other divisors (e.g. 1687.5 or 1695)
+ */
+const DEFAULT_ANNUAL_HOUR_DIVISOR = 1950;
+
+/**
+ * Feriepenger rate used when none is given (5 weeks holiday, 12%)
+ * The statutory minimum is 10.2%
+ */
+const DEFAULT_HOLIDAY_PAY_RATE = 0.12;
+
+/**
+ * Fields of the "other income this year" profile
+ * Bonus, second job and benefits in kind are personal income (trinnskatt,
+ * trygdeavgift and minstefradrag). Capital income and deductions only
+ * change alminnelig inntekt.
+ */
+const OTHER_INCOME_FIELDS = ['bonus', 'secondJob', 'benefitsInKind', 'capitalIncome', 'capitalDeductions'];
+
+/**
+ * Share of the normal tabelltrekk taken in a payout month (1-12)
+ * No tabelltrekk in June (feriepenger month) and half in December. Other
+ * months take the full trekk. Together this is the 10.5 withholding months.
+ */
+const WITHHOLDING_MONTH_FACTORS = { 6: 0, 12: 0.5 };
+
+/**
+ * Known approximations behind the uncertainty range of an estimate
+ * - formulaWithholding: largest difference in NOK between the withholding
+ *   formula and the official trekktabell for one income interval. It is the
+ *   tolerance of the table comparison in test/validate-against-skatteetaten.js,
+ *   which fails if any interval deviates more (npm test runs it on the extract
+ *   of Skatteetaten's file in test/fixtures). The withholding on the overtime
+ *   is the difference of two trekk amounts, so it can be off by twice this.
+ * - unknownOtherIncome: other personal income (bonus, second job, benefits in
+ *   kind) assumed possible when none is entered, as a share of the annual
+ *   income (documented in the README). It only widens the range where it moves
+ *   the overtime to a higher marginal rate, e.g. the next trinnskatt step.
+ */
+const ESTIMATE_UNCERTAINTY = {
+  formulaWithholding: 5,
+  unknownOtherIncome: 0.1
+};
+
+/**
+ * Rounding steps of Skatteetaten's trekkrutine, used for the withholding formula
+ * - incomeInterval: monthly income is placed in 100 kr intervals and the
+ *   trekk is calculated from the start of the interval (as in the table file)
+ * - deduction: minstefradrag is rounded up to whole 10 kr
+ * - trekk: the monthly trekk is rounded down to whole kroner
+ */
+const WITHHOLDING_ROUNDING = {
+  incomeInterval: 100,
+  deduction: 10,
+  trekk: 1
+};
+
+/**
+ * Months between the period overtime is worked in and the payout
+ * Overtime is usually paid with the salary the month after
+ */
+const DEFAULT_PAYOUT_DELAY_MONTHS = 1;
+
+/**
+ * Supported tax card (skattekort) types
+ */
+const TAX_CARD_TYPES = ['tabelltrekk', 'prosenttrekk', 'frikort'];
+
+/**
+ * Tax card used when none is given (undefined or null)
+ */
+const DEFAULT_TAX_CARD = Object.freeze({ type: 'tabelltrekk' });
+
+/**
+ * Fixed-point units of the tax engine
+ *
+ * Amounts are calculated in whole øre and rates in whole millionths, so the
+ * engine only adds, subtracts and multiplies integers. Rounding happens at
+ * explicit points (half away from zero unless the rules say otherwise), and
+ * the result is the same in every JavaScript engine. Kroner are only used at
+ * the edges: parameters in, results out.
+ */
+const ORE_PER_KRONE = 100;
+const RATE_SCALE = 1000000;
+
+/**
+ * Divide two integers, rounding half away from zero
+ * The remainder is exact for safe integers, so ties are never misjudged.
+ *
+ * @param {number} numerator - Integer numerator
+ * @param {number} denominator - Positive integer denominator
+ * @returns {number} Rounded integer quotient
+ */
+function divideRounded(numerator, denominator) {
+  const remainder = numerator % denominator;
+  const quotient = (numerator - remainder) / denominator;
+  if (Math.abs(remainder) * 2 >= denominator) {
+    return quotient + Math.sign(remainder);
+  }
+  return quotient;
+}
+
+/**
+ * Divide two integers, rounding down
+ *
+ * @param {number} numerator - Integer numerator
+ * @param {number} denominator - Positive integer denominator
+ * @returns {number} Integer quotient rounded towards minus infinity
+ */
+function divideFloor(numerator, denominator) {
+  const remainder = numerator % denominator;
+  const quotient = (numerator - remainder) / denominator;
+  return remainder < 0 ? quotient - 1 : quotient;
+}
+
+/**
+ * Divide two integers, rounding up
+ *
+ * @param {number} numerator - Integer numerator
+ * @param {number} denominator - Positive integer denominator
+ * @returns {number} Integer quotient rounded towards plus infinity
+ */
+function divideCeil(numerator, denominator) {
+  return -divideFloor(-numerator, denominator);
+}
+
+/**
+ * Round a number to the nearest integer, half away from zero
+ * (Math.round rounds -2.5 to -2)
+ *
+ * @param {number} value - Number to round
+ * @returns {number} Rounded integer
+ */
+function roundHalfUp(value) {
+  return value < 0 ? -Math.round(-value) : Math.round(value);
+}
+
+/**
+ * Convert kroner to whole øre
+ *
+ * @param {number} kroner - Amount in NOK
+ * @returns {number} Amount in øre
+ */
+function toOre(kroner) {
+  return isFinite(kroner) ? roundHalfUp(kroner * ORE_PER_KRONE) : kroner;
+}
+
+/**
+ * Convert øre to kroner
+ *
+ * @param {number} ore - Amount in øre
+ * @returns {number} Amount in NOK (at most two decimals)
+ */
+function fromOre(ore) {
+  return ore / ORE_PER_KRONE;
+}
+
+/**
+ * Round an amount in kroner to whole øre
+ *
+ * @param {number} kroner - Amount in NOK
+ * @returns {number} Amount in NOK rounded to øre
+ */
+function roundToOre(kroner) {
+  return fromOre(toOre(kroner));
+}
+
+/**
+ * Convert a rate to whole millionths (e.g. 0.017 → 17000)
+ *
+ * @param {number} rate - Rate as a fraction
+ * @returns {number} Rate in millionths
+ */
+function toRateUnits(rate) {
+  return roundHalfUp(rate * RATE_SCALE);
+}
+
+/**
+ * Apply a rate to an amount in øre, rounded to whole øre
+ *
+ * @param {number} ore - Amount in øre
+ * @param {number} rate - Rate as a fraction
+ * @returns {number} Amount × rate in øre
+ * @throws {RangeError} If the amount is too large to calculate exactly
+ */
+function applyRate(ore, rate) {
+  const product = ore * toRateUnits(rate);
+  if (!Number.isSafeInteger(product)) {
+    throw new RangeError(`Amount too large to calculate exactly: ${fromOre(ore)} NOK`);
+  }
+  return divideRounded(product, RATE_SCALE);
+}
+
+/**
+ * Maximum number of results kept per memoized function
+ * The oldest result is dropped first when the cache is full.
+ */
+const MEMO_MAX_ENTRIES = 2000;
+
+// Caches of all memoized functions, so they can be cleared together
+const memoCaches = [];
+
+/**
+ * Memoize a pure function
+ *
+ * Results are shared between callers and must not be modified, so they are
+ * frozen. Errors are not cached.
+ *
+ * @param {Function} fn - Function to memoize
+ * @param {Function} keyOf - Builds a string key from the arguments
+ * @returns {Function} Memoized function
+ */
+function memoize(fn, keyOf) {
+  const cache = new Map();
+  memoCaches.push(cache);
+
+  return (...args) => {
+    const key = keyOf(...args);
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const value = Object.freeze(fn(...args));
+    if (cache.size >= MEMO_MAX_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, value);
+    return value;
+  };
+}
+
+/**
+ * Clear all memoized results
+ * Needed if tax rates are changed after calculations have been made.
+ */
+function clearCalculationCache() {
+  memoCaches.forEach(cache => cache.clear());
 }
 
 /**
@@ -43,265 +310,2054 @@ if (typeof TAX_RATES === 'undefined' && typeof require !== 'undefined') {
  *   Last 3 digits × 1000 = addition amount in NOK
  *   Example: 9050 = 50,000 NOK in additions
  *
+ * Special tables (7xxx):
+ * - 7000-7400: Pensjonstabeller (pension tables, deduction)
+ *   Last 3 digits × 1000 = deduction amount in NOK
+ *   Example: 7150 = pension table with 150,000 NOK in deductions
+ *
+ * - 7500-7900: Tiltakssonen (Finnmark and Nord-Troms, deduction)
+ *   (Table number - 7500) × 1000 = deduction amount in NOK
+ *   Example: 7615 = tiltakssone table with 115,000 NOK in deductions
+ *
  * @param {number} tableNumber - The tax table number (e.g., 8115)
- * @returns {object|null} - { type: 'fradrag'|'tillegg', amount: number } or null
+ * @returns {object|null} - { type: 'fradrag'|'tillegg', amount: number, special: null|'pension'|'tiltakssone' } or null
  */
 function parseTableNumber(tableNumber) {
   if (tableNumber >= 8000 && tableNumber <= 8400) {
     return {
       type: 'fradrag',
-      amount: (tableNumber - 8000) * 1000
+      amount: (tableNumber - 8000) * 1000,
+      special: null
     };
   } else if (tableNumber >= 9010 && tableNumber <= 9400) {
     return {
       type: 'tillegg',
-      amount: (tableNumber - 9000) * 1000
+      amount: (tableNumber - 9000) * 1000,
+      special: null
+    };
+  } else if (tableNumber >= 7000 && tableNumber <= 7400) {
+    return {
+      type: 'fradrag',
+      amount: (tableNumber - 7000) * 1000,
+      special: 'pension'
+    };
+  } else if (tableNumber >= 7500 && tableNumber <= 7900) {
+    return {
+      type: 'fradrag',
+      amount: (tableNumber - 7500) * 1000,
+      special: 'tiltakssone'
     };
   }
 
-  // Special tables (7150, 7160, etc.) not supported in v1
   return null;
 }
 
 /**
- * Calculate trinnskatt (bracket tax) for annual income
+ * Merge rate overrides into a year's rates
  *
- * Progressive tax system where each bracket has its own rate.
- * Only the income within each bracket is taxed at that bracket's rate.
+ * Nested objects are merged key by key, and arrays by index, so an override
+ * like { trinnskatt: { 3: { rate } } } only changes the rate of trinn 3.
  *
- * @param {number} annualIncome - Annual gross income in NOK
- * @param {Array} brackets - Array of bracket objects with threshold and rate
- * @returns {number} Total trinnskatt amount in NOK
+ * @param {object|Array} base - Rates to merge into
+ * @param {object} overrides - Rates to replace
+ * @returns {object|Array} New rates, base is not changed
  */
-function calculateTrinnskatt(annualIncome, brackets) {
-  let tax = 0;
-  let previousThreshold = 0;
-
-  for (const bracket of brackets) {
-    // Stop if income doesn't reach this bracket
-    if (annualIncome <= previousThreshold) break;
-
-    // Calculate taxable amount in this bracket
-    const taxableInBracket = Math.min(annualIncome, bracket.threshold) - previousThreshold;
-
-    // Add tax for this bracket
-    tax += Math.max(0, taxableInBracket) * bracket.rate;
+function mergeRates(base, overrides) {
+  const merged = Array.isArray(base) ? [...base] : { ...base };
 
-    previousThreshold = bracket.threshold;
+  for (const [key, value] of Object.entries(overrides)) {
+    const nested = value !== null && typeof value === 'object' && typeof base[key] === 'object';
+    merged[key] = nested ? mergeRates(base[key], value) : value;
   }
 
-  return tax;
+  return merged;
 }
 
 /**
- * Calculate monthly withholding for a given gross monthly income
+ * Apply the rules of a special table to a year's tax rates
  *
- * This is the core tabelltrekk calculation that determines how much tax
- * should be withheld from a monthly salary payment.
+ * Ordinary tables use the rates as-is. For special tables, the rates and
+ * rule steps in the year's specialTables entry are merged into the rates
+ * (see TAX_RATES): pension tables use the pension trygdeavgift and
+ * minstefradrag, tiltakssone tables the reduced rates and finnmarksfradrag.
  *
- * @param {number} monthlyGross - Gross monthly salary in NOK
- * @param {number} tableNumber - Skattetabell number (e.g., 8115)
- * @param {number} taxYear - Tax year (default: 2026)
- * @returns {number} Monthly withholding amount in NOK
+ * @param {object} rates - Tax rates for the year (from TAX_RATES)
+ * @param {object} tableInfo - Parsed table number (from parseTableNumber)
+ * @returns {object} Rates to calculate with, including the rule steps to run
+ * @throws {Error} If the year has no rates for the special table
  */
-function calculateMonthlyWithholding(monthlyGross, tableNumber, taxYear = 2026) {
-  // Get tax rates for the specified year
-  const rates = getTaxRatesFunc ? getTaxRatesFunc(taxYear) : TAX_RATES_DATA[taxYear];
-  if (!rates) {
-    throw new Error(`Tax rates for year ${taxYear} are not available`);
+function applyTableRules(rates, tableInfo) {
+  if (!tableInfo.special) {
+    return rates;
   }
 
-  // Parse table number
-  const tableInfo = parseTableNumber(tableNumber);
-  if (!tableInfo) {
-    throw new Error(`Invalid or unsupported table number: ${tableNumber}`);
+  const special = rates.specialTables && rates.specialTables[tableInfo.special];
+  if (!special) {
+    throw new Error(`No tax rates for ${tableInfo.special} tables`);
   }
 
-  // Convert monthly to annual income
-  const annualGross = monthlyGross * 12;
+  // Each inserted step goes before the step it names
+  const rules = (special.rules || []).reduce((steps, { before, rule }) => {
+    const index = steps.findIndex(step => step.id === before);
+    if (index === -1) {
+      throw new Error(`Tax rule step "${before}" not found for ${tableInfo.special} tables`);
+    }
+    return [...steps.slice(0, index), rule, ...steps.slice(index)];
+  }, rates.rules);
 
-  // 1. Calculate Minstefradrag (minimum standard deduction)
-  // 46% of income, minimum 4,000 NOK, maximum 95,700 NOK
-  const minstefradrag = Math.min(
-    Math.max(annualGross * rates.minstefradrag.rate, rates.minstefradrag.min),
-    rates.minstefradrag.max
-  );
+  return { ...mergeRates(rates, special.rates || {}), rules };
+}
 
-  // 2. Calculate table adjustment
-  // Fradrag (deduction) reduces the tax base (negative adjustment)
-  // Tillegg (addition) increases the tax base (positive adjustment)
-  const tableAdjustment = tableInfo.type === 'fradrag'
-    ? -tableInfo.amount
-    : tableInfo.amount;
-
-  // 3. Calculate Alminnelig Inntekt (taxable general income)
-  // This is the income subject to the 22% flat tax
-  // Formula: gross - minstefradrag - personfradrag + tableAdjustment
-  const alminneligInntekt = Math.max(0,
-    annualGross - minstefradrag - rates.personfradrag + tableAdjustment
-  );
+/**
+ * Sum the fixed deductions of a rule list (amount steps such as personfradrag)
+ *
+ * @param {object} rates - Rates with special table rules applied
+ * @returns {number} Fixed deductions from alminnelig inntekt in NOK
+ */
+function sumFixedDeductions(rates) {
+  return rates.rules
+    .filter(step => step.op === 'amount' && step.deduction)
+    .reduce((sum, step) => sum + rates[step.rates], 0);
+}
 
-  // 4. Calculate individual tax components
+// User-defined rate sets by id (see registerCustomRateSets)
+let customRateSets = new Map();
 
-  // Trinnskatt: Progressive bracket tax on gross personal income
-  const trinnskatt = calculateTrinnskatt(annualGross, rates.trinnskatt);
+/**
+ * Get the rates of a tax year or of a registered custom rate set
+ *
+ * @param {number|string} taxYear - Tax year, or the id of a custom rate set
+ * @returns {object} Rates in the shape of a TAX_RATES year
+ * @throws {Error} If no rates are available
+ */
+function getYearRates(taxYear) {
+  if (customRateSets.has(taxYear)) {
+    return customRateSets.get(taxYear).rates;
+  }
 
-  // Trygdeavgift: 7.6% national insurance on income above threshold
-  const trygdeavgift = annualGross > rates.trygdeavgift.threshold
-    ? annualGross * rates.trygdeavgift.rate
-    : 0;
+  const yearRates = getTaxRatesFunc ? getTaxRatesFunc(taxYear) : TAX_RATES_DATA[taxYear];
+  if (!yearRates) {
+    throw new Error(`Tax rates for year ${taxYear} are not available`);
+  }
+  return yearRates;
+}
 
-  // Inntektsskatt: 22% flat tax on alminnelig inntekt
-  const inntektsskatt = alminneligInntekt * rates.alminneligInntekt.rate;
+/**
+ * Get a registered custom rate set
+ *
+ * @param {string} id - Id of the rate set
+ * @returns {object|null} { id, name, year, rates }, or null if no set has the id
+ */
+function getCustomRateSet(id) {
+  return customRateSets.get(id) || null;
+}
 
-  // 5. Sum up total annual tax
-  const annualTax = trinnskatt + trygdeavgift + inntektsskatt;
+/**
+ * Register user-defined rate sets, e.g. from the budget proposal (statsbudsjett)
+ *
+ * Each set has the rates of a TAX_RATES year, and its id can be given
+ * wherever a tax year is expected. Replaces the sets registered before and
+ * clears the calculation cache, since results for an id depend on its rates.
+ * Nothing is registered if any of the sets is invalid.
+ *
+ * @param {Array} sets - [{ id, name, year, rates }], year is the tax year the rates are for
+ * @throws {Error} If a set is invalid (see validateRateSet) or two sets have the same id
+ */
+function registerCustomRateSets(sets) {
+  const registered = new Map();
 
-  // 6. Convert to monthly withholding
-  // Norwegian employers withhold for 10.5 months (not 12)
-  // because of June (no withholding) and December (half withholding)
-  const monthlyWithholding = annualTax / rates.withholdingMonths;
+  for (const set of sets || []) {
+    const { valid, errors } = validateRateSet(set);
+    if (!valid) {
+      throw new Error(`Invalid rate set "${set && set.name}": ${errors.join('; ')}`);
+    }
+    if (registered.has(set.id)) {
+      throw new Error(`Two rate sets have the id "${set.id}"`);
+    }
+    registered.set(set.id, { id: set.id, name: set.name, year: set.year, rates: normalizeTaxRates(set.rates) });
+  }
 
-  return monthlyWithholding;
+  customRateSets = registered;
+  clearCalculationCache();
 }
 
 /**
- * Calculate annual tax for a given income
+ * Restore the open top trinnskatt bracket of rates read from JSON
+ * (JSON has no Infinity, so the threshold is stored as null)
  *
- * This calculates the actual tax owed for a year, not the monthly withholding.
- * Used to determine the true marginal tax rate on overtime.
+ * @param {object} rates - Valid rates
+ * @returns {object} Rates with an Infinity threshold in the top bracket
+ */
+function normalizeTaxRates(rates) {
+  const last = rates.trinnskatt.length - 1;
+  return {
+    ...rates,
+    trinnskatt: rates.trinnskatt.map((bracket, index) =>
+      index === last ? { ...bracket, threshold: Infinity } : bracket
+    )
+  };
+}
+
+/**
+ * Look up the rates and table adjustment used for a table number and year
  *
- * @param {number} annualGross - Annual gross income in NOK
- * @param {number} tableNumber - Skattetabell number (e.g., 8115)
- * @param {number} taxYear - Tax year (default: 2026)
- * @returns {number} Annual tax amount in NOK
+ * @param {number} tableNumber - Skattetabell number
+ * @param {number} taxYear - Tax year
+ * @returns {object} { rates, tableAdjustment } with special table rules applied
+ * @throws {Error} If the year or table number is not supported
  */
-function calculateAnnualTax(annualGross, tableNumber, taxYear = 2026) {
-  // Get tax rates for the specified year
-  const rates = getTaxRatesFunc ? getTaxRatesFunc(taxYear) : TAX_RATES_DATA[taxYear];
-  if (!rates) {
-    throw new Error(`Tax rates for year ${taxYear} are not available`);
-  }
+function lookupTableRates(tableNumber, taxYear) {
+  const yearRates = getYearRates(taxYear);
 
-  // Parse table number
   const tableInfo = parseTableNumber(tableNumber);
   if (!tableInfo) {
     throw new Error(`Invalid or unsupported table number: ${tableNumber}`);
   }
 
-  // Calculate Minstefradrag (minimum standard deduction)
-  const minstefradrag = Math.min(
-    Math.max(annualGross * rates.minstefradrag.rate, rates.minstefradrag.min),
-    rates.minstefradrag.max
-  );
+  return {
+    rates: applyTableRules(yearRates, tableInfo),
+    tableAdjustment: tableInfo.type === 'fradrag' ? -tableInfo.amount : tableInfo.amount
+  };
+}
 
-  // Calculate table adjustment
-  const tableAdjustment = tableInfo.type === 'fradrag'
-    ? -tableInfo.amount
-    : tableInfo.amount;
+// Table numbers are parsed and special rules applied once per table and year
+const getTableRates = memoize(lookupTableRates, (tableNumber, taxYear) => `${tableNumber}:${taxYear}`);
 
-  // Calculate Alminnelig Inntekt (taxable general income)
-  const alminneligInntekt = Math.max(0,
-    annualGross - minstefradrag - rates.personfradrag + tableAdjustment
-  );
+/**
+ * Calculate trinnskatt in øre
+ *
+ * @param {number} incomeOre - Annual gross income in øre
+ * @param {Array} brackets - Array of bracket objects with threshold (NOK) and rate
+ * @returns {number} Trinnskatt in øre, each step rounded to whole øre
+ */
+function calculateTrinnskattOre(incomeOre, brackets) {
+  let tax = 0;
+  let previousThreshold = 0;
+
+  for (const bracket of brackets) {
+    // Stop if income doesn't reach this bracket
+    if (incomeOre <= previousThreshold) break;
 
-  // Trinnskatt: Progressive bracket tax on gross personal income
-  const trinnskatt = calculateTrinnskatt(annualGross, rates.trinnskatt);
+    // Calculate taxable amount in this bracket
+    const threshold = toOre(bracket.threshold);
+    const taxableInBracket = Math.min(incomeOre, threshold) - previousThreshold;
 
-  // Trygdeavgift: 7.6% national insurance on income above threshold
-  const trygdeavgift = annualGross > rates.trygdeavgift.threshold
-    ? annualGross * rates.trygdeavgift.rate
-    : 0;
+    // Add tax for this bracket
+    tax += applyRate(Math.max(0, taxableInBracket), bracket.rate);
 
-  // Inntektsskatt: 22% flat tax on alminnelig inntekt
-  const inntektsskatt = alminneligInntekt * rates.alminneligInntekt.rate;
+    previousThreshold = threshold;
+  }
 
-  return trinnskatt + trygdeavgift + inntektsskatt;
+  return tax;
 }
 
 /**
- * Calculate take-home pay for overtime hours
+ * Calculate trinnskatt (bracket tax) for annual income
  *
- * This is the main function for the extension. It calculates:
- * - Gross overtime pay (hours × hourly rate × 1.4)
- * - Tax withheld on overtime (marginal withholding) - what employer deducts
- * - Actual tax on overtime (marginal tax) - what you truly owe
- * - Net take-home overtime pay
- * - Effective marginal tax rate
+ * Progressive tax system where each bracket has its own rate.
+ * Only the income within each bracket is taxed at that bracket's rate.
  *
- * NOTE ON CALCULATION METHODS:
- * - "Actual tax" assumes this overtime is a one-time/occasional event
- * - "Withholding" is what employer deducts, assuming overtime recurs monthly
- * - If user works similar overtime every month, withholding ≈ actual tax
- * - If user works overtime occasionally, actual tax is more accurate
+ * @param {number} annualIncome - Annual gross income in NOK
+ * @param {Array} brackets - Array of bracket objects with threshold and rate
+ * @returns {number} Total trinnskatt amount in NOK
+ */
+function calculateTrinnskatt(annualIncome, brackets) {
+  return fromOre(calculateTrinnskattOre(toOre(annualIncome), brackets));
+}
+
+/**
+ * Calculate trygdeavgift (national insurance) for annual income
  *
- * @param {object} params - Calculation parameters
- * @param {number} params.yearlySalary - Annual salary in NOK
- * @param {number} params.overtimeHours - Number of overtime hours
- * @param {number} params.tableNumber - Skattetabell number (e.g., 8115)
- * @param {number} params.taxYear - Tax year (default: 2026)
- * @returns {object} Breakdown of overtime compensation
+ * No trygdeavgift up to the threshold. Above it, the full rate applies to
+ * the whole income, but never more than the phase-in rate (25%) of the
+ * income above the threshold, so there is no jump at the threshold.
+ *
+ * @param {number} annualIncome - Annual gross income in NOK
+ * @param {object} trygdeavgift - Rates with rate, threshold and phaseInRate
+ * @returns {number} Trygdeavgift in NOK
  */
-function calculateOvertimeTakeHome({ yearlySalary, overtimeHours, tableNumber, taxYear = 2026 }) {
-  // Constants
-  const HOURS_PER_YEAR = 1950;  // Standard Norwegian work year
-  const OVERTIME_MULTIPLIER = 1.4;  // 40% overtime premium
+function calculateTrygdeavgift(annualIncome, trygdeavgift) {
+  return fromOre(calculateTrygdeavgiftOre(toOre(annualIncome), trygdeavgift));
+}
 
-  // Calculate hourly rates
-  const hourlyRate = yearlySalary / HOURS_PER_YEAR;
-  const overtimeRate = hourlyRate * OVERTIME_MULTIPLIER;
+/**
+ * Calculate trygdeavgift in øre (see calculateTrygdeavgift)
+ *
+ * @param {number} incomeOre - Annual gross income in øre
+ * @param {object} trygdeavgift - Rates with rate, threshold (NOK) and phaseInRate
+ * @returns {number} Trygdeavgift in øre
+ */
+function calculateTrygdeavgiftOre(incomeOre, trygdeavgift) {
+  const threshold = toOre(trygdeavgift.threshold);
+  if (incomeOre <= threshold) {
+    return 0;
+  }
 
-  // Calculate gross overtime pay
-  const grossPay = overtimeHours * overtimeRate;
+  return Math.min(
+    applyRate(incomeOre, trygdeavgift.rate),
+    applyRate(incomeOre - threshold, trygdeavgift.phaseInRate)
+  );
+}
 
-  // Calculate normal monthly salary
-  const normalMonthly = yearlySalary / 12;
+/**
+ * Split an other-income profile into personal income and net capital income
+ *
+ * @param {object} [otherIncome] - { bonus, secondJob, benefitsInKind, capitalIncome, capitalDeductions } in NOK
+ * @returns {object} { personalIncome, capitalIncome } - capitalIncome is negative when deductions are larger
+ */
+function summarizeOtherIncome(otherIncome) {
+  const amount = (field) => (otherIncome && otherIncome[field]) || 0;
 
-  // Calculate combined monthly (normal + overtime)
-  const combinedMonthly = normalMonthly + grossPay;
+  return {
+    personalIncome: amount('bonus') + amount('secondJob') + amount('benefitsInKind'),
+    capitalIncome: amount('capitalIncome') - amount('capitalDeductions')
+  };
+}
 
-  // === WITHHOLDING CALCULATION ===
-  // This is what the employer actually deducts from your paycheck.
-  // It's higher than actual tax because employer assumes overtime recurs monthly.
-  const withholdingNormal = calculateMonthlyWithholding(normalMonthly, tableNumber, taxYear);
-  const withholdingCombined = calculateMonthlyWithholding(combinedMonthly, tableNumber, taxYear);
-  const withholdingOnOvertime = withholdingCombined - withholdingNormal;
+/**
+ * Operations of the tax rule steps (see STANDARD_TAX_RULES in tax-rates.js)
+ *
+ * Each operation gets the step, the rates it names, the values calculated so
+ * far and { deductions, roundDeductions }, and returns its value in øre.
+ */
+const TAX_RULE_OPERATIONS = {
+  share: (step, { rate, min, max }, values, { roundDeductions }) => {
+    const amount = Math.min(Math.max(applyRate(values[step.of], rate), toOre(min)), toOre(max));
+    if (!roundDeductions || !step.withholdingRounding) {
+      return amount;
+    }
+    const rounding = toOre(WITHHOLDING_ROUNDING.deduction);
+    return Math.min(divideCeil(amount, rounding) * rounding, toOre(max));
+  },
+  amount: (step, amount) => toOre(amount),
+  base: (step, rates, values, { deductions }) =>
+    Math.max(0, step.add.reduce((sum, name) => sum + values[name], 0) - deductions),
+  brackets: (step, brackets, values) => calculateTrinnskattOre(values[step.of], brackets),
+  phasedIn: (step, trygdeavgift, values) => calculateTrygdeavgiftOre(values[step.of], trygdeavgift),
+  flat: (step, { rate }, values) => applyRate(values[step.of], rate)
+};
 
-  // === ACTUAL TAX CALCULATION ===
-  // This is the true marginal tax on the overtime income, assuming it's a one-time event.
-  // If user works similar overtime every month, this will be close to withholding.
-  const annualTaxNormal = calculateAnnualTax(yearlySalary, tableNumber, taxYear);
-  const annualTaxWithOvertime = calculateAnnualTax(yearlySalary + grossPay, tableNumber, taxYear);
-  const actualTaxOnOvertime = annualTaxWithOvertime - annualTaxNormal;
+/**
+ * Run a year's tax rule steps
+ *
+ * The one interpreter behind both the actual tax and the withholding
+ * calculations. Steps run in order, each storing its value under its id.
+ *
+ * @param {Array} rules - Rule steps (rates.rules)
+ * @param {object} rates - Rates the steps read from
+ * @param {object} inputs - { personalIncome, capitalIncome, tableAdjustment } in øre
+ * @param {object} [options] - Options
+ * @param {boolean} [options.roundDeductions] - Round deductions as in the trekkrutine (default: false)
+ * @returns {object} The value of every step plus the total of the tax steps, in øre
+ * @throws {Error} If a step has an unknown operation or its rates are missing
+ */
+function runTaxRules(rules, rates, inputs, { roundDeductions = false } = {}) {
+  const values = { ...inputs };
+  const result = {};
+  let deductions = 0;
+  let total = 0;
 
-  // Calculate take-home using ACTUAL tax (more accurate)
-  const takeHomeActual = grossPay - actualTaxOnOvertime;
+  for (const step of rules) {
+    const operation = TAX_RULE_OPERATIONS[step.op];
+    if (!operation) {
+      throw new Error(`Unknown tax rule operation "${step.op}" in step "${step.id}"`);
+    }
+    if (step.rates && rates[step.rates] === undefined) {
+      throw new Error(`Tax rule step "${step.id}" uses missing rates "${step.rates}"`);
+    }
 
-  // Calculate take-home using WITHHOLDING (what's on paycheck)
-  const takeHomeWithholding = grossPay - withholdingOnOvertime;
+    const value = operation(step, rates[step.rates], values, { deductions, roundDeductions });
+    values[step.id] = value;
+    result[step.id] = value;
+    if (step.deduction) deductions += value;
+    if (step.tax) total += value;
+  }
 
-  // Calculate effective rates
-  const effectiveRateActual = grossPay > 0 ? actualTaxOnOvertime / grossPay : 0;
+  return { ...result, total };
+}
+
+/**
+ * Calculate the tax components for an annual income
+ *
+ * Shared by the withholding and actual tax calculations, so both can report
+ * where each krone of tax comes from.
+ *
+ * @param {number} annualGross - Annual gross income in NOK
+ * @param {number} tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} taxYear - Tax year (default: 2026)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.roundDeductions] - Round deductions as in the trekkrutine (default: false)
+ * @param {number} [options.capitalIncome] - Net capital income added to alminnelig inntekt (default: 0)
+ * @returns {object} { minstefradrag, personfradrag, alminneligInntekt, trinnskatt, trygdeavgift, inntektsskatt,
+ *   total }, plus finnmarksfradrag for tiltakssone tables and any other rule steps
+ * @throws {Error} If the year or table number is not supported
+ */
+function calculateTaxComponents(annualGross, tableNumber, taxYear = 2026, {
+  roundDeductions = false,
+  capitalIncome = 0
+} = {}) {
+  const components = calculateTaxComponentsOre(toOre(annualGross), tableNumber, taxYear, {
+    roundDeductions,
+    capitalIncomeOre: toOre(capitalIncome)
+  });
+
+  return Object.fromEntries(Object.entries(components).map(([name, ore]) => [name, fromOre(ore)]));
+}
+
+/**
+ * Calculate the tax components in øre (see calculateTaxComponents)
+ *
+ * Every component is rounded to whole øre where it is calculated, so totals
+ * and differences between two incomes are exact.
+ *
+ * @param {number} grossOre - Annual gross income in øre
+ * @param {number} tableNumber - Skattetabell number
+ * @param {number} taxYear - Tax year
+ * @param {object} [options] - Options
+ * @param {boolean} [options.roundDeductions] - Round deductions as in the trekkrutine (default: false)
+ * @param {number} [options.capitalIncomeOre] - Net capital income in øre (default: 0)
+ * @returns {object} The value of every rule step (see runTaxRules) and total, in øre
+ * @throws {Error} If the year or table number is not supported
+ */
+function computeTaxComponentsOre(grossOre, tableNumber, taxYear, {
+  roundDeductions = false,
+  capitalIncomeOre = 0
+} = {}) {
+  // Special tables (pension, tiltakssone) adjust the rates and rule steps
+  const { rates, tableAdjustment } = getTableRates(tableNumber, taxYear);
+
+  // Fradrag tables reduce alminnelig inntekt, tillegg tables increase it
+  return runTaxRules(rates.rules, rates, {
+    personalIncome: grossOre,
+    capitalIncome: capitalIncomeOre,
+    tableAdjustment: toOre(tableAdjustment)
+  }, { roundDeductions });
+}
+
+// The tax on the salary without overtime is the same for every hours value,
+// so it is only calculated once
+const calculateTaxComponentsOre = memoize(
+  computeTaxComponentsOre,
+  (grossOre, tableNumber, taxYear, { roundDeductions = false, capitalIncomeOre = 0 } = {}) =>
+    `${grossOre}:${tableNumber}:${taxYear}:${roundDeductions}:${capitalIncomeOre}`
+);
+
+/**
+ * Break down the tax on an income increase by component
+ *
+ * Without scaledTotal the differences are exact. With it, each difference
+ * is scaled so the total matches scaledTotal (e.g. the monthly withholding),
+ * rounded to whole øre.
+ *
+ * @param {object} before - Tax components in øre without the increase (from calculateTaxComponentsOre)
+ * @param {object} after - Tax components in øre with the increase
+ * @param {number} [scaledTotal] - Total in øre to scale the differences to
+ * @returns {object} { trinnskatt, trygdeavgift, inntektsskatt, total } in NOK, plus the
+ *   minstefradrag and alminneligInntekt { before, after } they were calculated from
+ */
+function calculateComponentBreakdown(before, after, scaledTotal = null) {
+  const totalIncrease = after.total - before.total;
+  const difference = (component) => {
+    const increase = after[component] - before[component];
+    if (scaledTotal === null) return fromOre(increase);
+    return totalIncrease > 0 ? fromOre(divideRounded(increase * scaledTotal, totalIncrease)) : 0;
+  };
+
+  return {
+    trinnskatt: difference('trinnskatt'),
+    trygdeavgift: difference('trygdeavgift'),
+    inntektsskatt: difference('inntektsskatt'),
+    total: difference('total'),
+    minstefradrag: { before: fromOre(before.minstefradrag), after: fromOre(after.minstefradrag) },
+    alminneligInntekt: { before: fromOre(before.alminneligInntekt), after: fromOre(after.alminneligInntekt) }
+  };
+}
+
+/**
+ * Get the share of the normal tabelltrekk taken in a payout month
+ *
+ * @param {number} [payoutMonth] - Payout month (1-12), omit for a normal month
+ * @returns {number} 0 in June, 0.5 in December, otherwise 1
+ */
+function getWithholdingMonthFactor(payoutMonth) {
+  return payoutMonth in WITHHOLDING_MONTH_FACTORS ? WITHHOLDING_MONTH_FACTORS[payoutMonth] : 1;
+}
+
+/**
+ * Find the month overtime worked in a period is paid out in
+ *
+ * @param {Date} periodDate - A date in the period the overtime was worked
+ * @param {number} delayMonths - Months until payout (default: 1)
+ * @returns {object} { year, month } of the payout (month 1-12), rolls over to next year
+ */
+function getPayoutPeriod(periodDate, delayMonths = DEFAULT_PAYOUT_DELAY_MONTHS) {
+  const payout = new Date(periodDate.getFullYear(), periodDate.getMonth() + delayMonths, 1);
+  return { year: payout.getFullYear(), month: payout.getMonth() + 1 };
+}
+
+/**
+ * Resolve the tax year of a payout
+ *
+ * A given tax year (or rate set id) is used as it is. Without one, the payout
+ * year is used, or the nearest year with rates when that year has none yet
+ * (e.g. overtime worked in December, paid out next year). The result is then
+ * marked approximate.
+ *
+ * @param {number|string} [taxYear] - Requested tax year or rate set id
+ * @param {number} payoutYear - Year of the payout
+ * @returns {object} { taxYear, requestedYear, approximate }
+ */
+function resolvePayoutTaxYear(taxYear, payoutYear) {
+  if (taxYear !== undefined && taxYear !== null) {
+    return { taxYear, requestedYear: taxYear, approximate: false };
+  }
+
+  const ratesYear = findNearestTaxYearFunc ? findNearestTaxYearFunc(payoutYear) : payoutYear;
+  return { taxYear: ratesYear, requestedYear: payoutYear, approximate: ratesYear !== payoutYear };
+}
+
+/**
+ * Calculate monthly withholding for a given gross monthly income
+ *
+ * This is the core tabelltrekk calculation that determines how much tax
+ * should be withheld from a monthly salary payment.
+ *
+ * The annual tax is spread over 10.5 withholding months. Given a payout
+ * month, June gives no trekk and December half trekk.
+ *
+ * @param {number} monthlyGross - Gross monthly salary in NOK
+ * @param {number} tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} taxYear - Tax year (default: 2026)
+ * @param {number} [payoutMonth] - Payout month (1-12), omit for a normal month
+ * @returns {number} Monthly withholding amount in NOK
+ */
+function calculateMonthlyWithholding(monthlyGross, tableNumber, taxYear = 2026, payoutMonth) {
+  const { rates } = getTableRates(tableNumber, taxYear);
+
+  // Withholding is based on the annual tax of the income interval × 12
+  const interval = toOre(WITHHOLDING_ROUNDING.incomeInterval);
+  const trekkgrunnlag = divideFloor(toOre(monthlyGross), interval) * interval;
+  const options = { roundDeductions: true };
+  const annualTax = calculateTaxComponentsOre(trekkgrunnlag * 12, tableNumber, taxYear, options).total;
+
+  // Convert to monthly withholding
+  // Norwegian employers withhold for 10.5 months (not 12)
+  // because of June (no withholding) and December (half withholding).
+  // For a known payout month, that month's share is applied.
+  // Trekk is rounded down to whole kroner.
+  const step = toOre(WITHHOLDING_ROUNDING.trekk);
+  const share = toRateUnits(getWithholdingMonthFactor(payoutMonth));
+  const months = toRateUnits(rates.withholdingMonths);
+  return fromOre(divideFloor(annualTax * share, months * step) * step);
+}
+
+/**
+ * Look up monthly withholding in an official trekktabell
+ *
+ * Uses rows parsed from Skatteetaten's table file (see trekktabell-parser.js).
+ * Each row gives the withholding for an income interval starting at its
+ * trekkgrunnlag. Above the last interval, the marginal rate of the last
+ * interval is extended.
+ *
+ * @param {number} monthlyGross - Gross monthly salary in NOK
+ * @param {Array} rows - Sorted rows of [grunnlag, trekk] for one table number
+ * @returns {number} Monthly withholding amount in NOK
+ */
+function lookupMonthlyWithholding(monthlyGross, rows) {
+  if (!rows || rows.length === 0) {
+    throw new Error('Withholding table has no rows');
+  }
+
+  // Below the first interval nothing is withheld
+  if (monthlyGross < rows[0][0]) {
+    return 0;
+  }
+
+  // Binary search for the last interval starting at or below the income
+  let low = 0;
+  let high = rows.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (rows[mid][0] <= monthlyGross) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const [grunnlag, trekk] = rows[low];
+
+  // Above the table's upper limit, extend the last interval's marginal rate
+  // (rounded to whole kroner like the table)
+  if (low === rows.length - 1 && rows.length > 1) {
+    const [previousGrunnlag, previousTrekk] = rows[low - 1];
+    const extraOre = divideRounded(
+      (toOre(monthlyGross) - toOre(grunnlag)) * (trekk - previousTrekk), grunnlag - previousGrunnlag
+    );
+    return trekk + fromOre(divideRounded(extraOre, ORE_PER_KRONE) * ORE_PER_KRONE);
+  }
+
+  return trekk;
+}
+
+/**
+ * Calculate withholding on a payment under a frikort (tax-free card)
+ *
+ * Nothing is withheld until the remaining frikort amount is used up.
+ * Everything paid above it is withheld at a flat rate (50%).
+ *
+ * @param {number} grossPay - Payment in NOK
+ * @param {number} remaining - Frikort amount left before this payment in NOK
+ * @param {number} trekkRate - Rate withheld above the frikort amount
+ * @returns {object} { withholding, remainingBefore, remainingAfter, taxedAmount, exhausted }
+ */
+function calculateFrikortWithholding(grossPay, remaining, trekkRate) {
+  const grossOre = toOre(grossPay);
+  const remainingBefore = Math.max(0, toOre(remaining));
+  const freeAmount = Math.min(grossOre, remainingBefore);
+  const taxedAmount = grossOre - freeAmount;
+
+  return {
+    withholding: fromOre(applyRate(taxedAmount, trekkRate)),
+    remainingBefore: fromOre(remainingBefore),
+    remainingAfter: fromOre(remainingBefore - freeAmount),
+    taxedAmount: fromOre(taxedAmount),
+    exhausted: taxedAmount > 0
+  };
+}
+
+/**
+ * Calculate annual tax for a given income
+ *
+ * This calculates the actual tax owed for a year, not the monthly withholding.
+ * Used to determine the true marginal tax rate on overtime. Other income
+ * (bonus, second job, benefits in kind, capital) is added on top of annualGross.
+ *
+ * @param {number} annualGross - Annual gross income in NOK
+ * @param {number} tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} taxYear - Tax year (default: 2026)
+ * @param {object} [otherIncome] - Other income this year (see summarizeOtherIncome)
+ * @returns {number} Annual tax amount in NOK
+ */
+function calculateAnnualTax(annualGross, tableNumber, taxYear = 2026, otherIncome = null) {
+  const { personalIncome, capitalIncome } = summarizeOtherIncome(otherIncome);
+  return fromOre(calculateTaxComponentsOre(toOre(annualGross + personalIncome), tableNumber, taxYear, {
+    capitalIncomeOre: toOre(capitalIncome)
+  }).total);
+}
+
+/**
+ * Find the trinnskatt step an income is in
+ *
+ * Step 0 is below trinn 1. At a threshold, the next krone belongs to the
+ * next step, so the income counts as being in it.
+ *
+ * @param {number} annualIncome - Annual gross income in NOK
+ * @param {Array} brackets - Trinnskatt brackets with threshold and rate
+ * @returns {number} Index of the bracket (= trinn number)
+ */
+function findTrinnskattStep(annualIncome, brackets) {
+  const step = brackets.findIndex(bracket => annualIncome < bracket.threshold);
+  return step === -1 ? brackets.length - 1 : step;
+}
+
+/**
+ * Calculate the marginal tax rate at an annual income
+ *
+ * The tax on the next krone: the trinnskatt rate of the current step,
+ * trygdeavgift above its threshold, and inntektsskatt on the part of the
+ * krone not covered by minstefradrag (while the deduction grows with income).
+ *
+ * @param {number} annualIncome - Annual gross income in NOK
+ * @param {number} tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} taxYear - Tax year (default: 2026)
+ * @param {object} [options] - Options
+ * @param {number} [options.capitalIncome] - Net capital income in alminnelig inntekt (default: 0)
+ * @returns {number} Marginal tax rate (e.g. 0.457)
+ */
+function calculateMarginalTaxRate(annualIncome, tableNumber, taxYear = 2026, { capitalIncome = 0 } = {}) {
+  const { rates, tableAdjustment } = getTableRates(tableNumber, taxYear);
+  return marginalTaxRateWithRates(annualIncome, rates, tableAdjustment, capitalIncome);
+}
+
+/**
+ * Calculate the marginal tax rate with already resolved rates
+ *
+ * @param {number} annualIncome - Annual gross income in NOK
+ * @param {object} rates - Tax rates of the year
+ * @param {number} tableAdjustment - Table adjustment of alminnelig inntekt in NOK
+ * @param {number} capitalIncome - Net capital income in alminnelig inntekt in NOK
+ * @returns {number} Marginal tax rate
+ */
+function marginalTaxRateWithRates(annualIncome, rates, tableAdjustment, capitalIncome) {
+  const trinnskattRate = rates.trinnskatt[findTrinnskattStep(annualIncome, rates.trinnskatt)].rate;
+  // Trygdeavgift grows by the phase-in rate until the full rate takes over
+  const { rate: fullRate, threshold, phaseInRate } = rates.trygdeavgift;
+  const inPhaseIn = (annualIncome - threshold) * phaseInRate < annualIncome * fullRate;
+  const trygdeavgiftRate = annualIncome >= threshold ? (inPhaseIn ? phaseInRate : fullRate) : 0;
+
+  // Minstefradrag only grows with income between its minimum and maximum
+  const { rate: deductionRate, min, max } = rates.minstefradrag;
+  const deductionGrows = annualIncome * deductionRate >= min && annualIncome * deductionRate < max;
+  const minstefradrag = Math.min(Math.max(annualIncome * deductionRate, min), max);
+
+  const alminneligInntekt =
+    annualIncome - minstefradrag - sumFixedDeductions(rates) + tableAdjustment + capitalIncome;
+  const inntektsskattRate = alminneligInntekt >= 0
+    ? rates.alminneligInntekt.rate * (deductionGrows ? 1 - deductionRate : 1)
+    : 0;
+
+  return trinnskattRate + trygdeavgiftRate + inntektsskattRate;
+}
+
+/**
+ * Calculate where an income sits in the trinnskatt steps
+ *
+ * Reports the current step and marginal rate, how far it is to the next
+ * trinnskatt threshold and to the income where minstefradrag reaches its
+ * maximum (above which every krone is taxed in full). Distances are given
+ * in NOK and, when an overtime rate is given, in overtime hours.
+ *
+ * @param {object} params - Parameters
+ * @param {number} params.annualIncome - Annual gross income in NOK (including overtime so far)
+ * @param {number} params.tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} [params.taxYear] - Tax year (default: 2026)
+ * @param {number} [params.overtimeRate] - Gross pay per overtime hour in NOK
+ * @param {number} [params.capitalIncome] - Net capital income in alminnelig inntekt (default: 0)
+ * @returns {object} { trinn, marginalRate, nextTrinn, minstefradragCap }
+ *   nextTrinn is null in the top step
+ */
+function calculateBracketProximity({ annualIncome, tableNumber, taxYear = 2026, overtimeRate, capitalIncome = 0 }) {
+  return calculatePreparedBracketProximity(
+    prepareBracketProximity({ tableNumber, taxYear, capitalIncome }), annualIncome, overtimeRate
+  );
+}
+
+/**
+ * Resolve the values of calculateBracketProximity() that do not depend on the income
+ *
+ * @param {object} params - Parameters of calculateBracketProximity() (annualIncome and overtimeRate are ignored)
+ * @returns {object} Prepared values for calculatePreparedBracketProximity()
+ */
+function prepareBracketProximity({ tableNumber, taxYear = 2026, capitalIncome = 0 }) {
+  const { rates, tableAdjustment } = getTableRates(tableNumber, taxYear);
+  return {
+    rates,
+    tableAdjustment,
+    capitalIncome,
+    // Income where minstefradrag reaches its maximum
+    capIncome: rates.minstefradrag.max / rates.minstefradrag.rate
+  };
+}
+
+/**
+ * Calculate where an income sits in the trinnskatt steps with prepared values
+ *
+ * @param {object} prepared - Values from prepareBracketProximity()
+ * @param {number} annualIncome - Annual gross income in NOK
+ * @param {number} [overtimeRate] - Gross pay per overtime hour in NOK
+ * @returns {object} Result of calculateBracketProximity()
+ */
+function calculatePreparedBracketProximity(prepared, annualIncome, overtimeRate) {
+  const { rates, tableAdjustment, capitalIncome, capIncome } = prepared;
+  const toHours = (amount) => (overtimeRate > 0 ? Math.round(amount / overtimeRate * 10) / 10 : null);
+
+  const trinn = findTrinnskattStep(annualIncome, rates.trinnskatt);
+  const threshold = rates.trinnskatt[trinn].threshold;
+  const nextTrinn = isFinite(threshold)
+    ? {
+      trinn: trinn + 1,
+      threshold,
+      rate: rates.trinnskatt[trinn + 1].rate,
+      distance: roundToOre(threshold - annualIncome),
+      hours: toHours(threshold - annualIncome)
+    }
+    : null;
+
+  const marginalRate = marginalTaxRateWithRates(annualIncome, rates, tableAdjustment, capitalIncome);
+  const capDistance = Math.max(0, capIncome - annualIncome);
+
+  return {
+    trinn,
+    marginalRate: Math.round(marginalRate * 1000) / 1000,
+    nextTrinn,
+    minstefradragCap: {
+      income: roundToOre(capIncome),
+      reached: capDistance === 0,
+      distance: roundToOre(capDistance),
+      hours: capDistance > 0 ? toHours(capDistance) : null
+    }
+  };
+}
+
+/**
+ * Calculate the marginal tax rate as a piecewise constant curve
+ *
+ * Between fromIncome and toIncome (e.g. salary and salary plus overtime),
+ * the marginal rate only changes at trinnskatt thresholds, the start and end
+ * of the trygdeavgift phase-in, the minstefradrag minimum and maximum, and
+ * where alminnelig inntekt becomes positive. The curve is returned as one
+ * segment per rate.
+ *
+ * @param {number} fromIncome - Start of the income range in NOK
+ * @param {number} toIncome - End of the income range in NOK
+ * @param {number} tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} taxYear - Tax year (default: 2026)
+ * @param {object} [options] - Options
+ * @param {number} [options.capitalIncome] - Net capital income in alminnelig inntekt (default: 0)
+ * @returns {Array} [{ from, to, rate }] ordered by income
+ */
+function calculateMarginalRateCurve(fromIncome, toIncome, tableNumber, taxYear = 2026, { capitalIncome = 0 } = {}) {
+  const { rates, tableAdjustment } = getTableRates(tableNumber, taxYear);
+  const { rate: deductionRate, min, max } = rates.minstefradrag;
+  const trygdeavgift = rates.trygdeavgift;
+
+  // Income where alminnelig inntekt becomes positive, in each minstefradrag region
+  const fixedDeductions = sumFixedDeductions(rates) - tableAdjustment - capitalIncome;
+  const alminneligStart = [
+    min + fixedDeductions,
+    fixedDeductions / (1 - deductionRate),
+    max + fixedDeductions
+  ].find(income => {
+    const deduction = Math.min(Math.max(income * deductionRate, min), max);
+    return Math.abs(income - deduction - fixedDeductions) < 0.01;
+  });
+
+  const breakpoints = [
+    ...rates.trinnskatt.map(bracket => bracket.threshold),
+    trygdeavgift.threshold,
+    trygdeavgift.threshold * trygdeavgift.phaseInRate / (trygdeavgift.phaseInRate - trygdeavgift.rate),
+    min / deductionRate,
+    max / deductionRate,
+    alminneligStart
+  ].filter(point => point > fromIncome && point < toIncome);
+
+  const edges = [fromIncome, ...new Set(breakpoints), toIncome].sort((a, b) => a - b);
+
+  const curve = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    const marginalRate = calculateMarginalTaxRate(edges[i], tableNumber, taxYear, { capitalIncome });
+    const rate = Math.round(marginalRate * 1000) / 1000;
+    const last = curve[curve.length - 1];
+    if (last && last.rate === rate) {
+      last.to = edges[i + 1];
+    } else {
+      curve.push({ from: edges[i], to: edges[i + 1], rate });
+    }
+  }
+
+  return curve;
+}
+
+/**
+ * Calculate feriepenger earned on overtime pay
+ *
+ * Overtime pay is part of the feriepenger basis, so it earns holiday pay
+ * that is paid out in June the following year. The tax on it is the
+ * marginal tax in the payout year. If that year has no rate set yet, the
+ * nearest available year is used and the result is marked approximate.
+ *
+ * @param {number} grossPay - Overtime pay in NOK
+ * @param {number} annualIncome - Regular annual income in NOK
+ * @param {number} holidayPayRate - Feriepenger rate (e.g. 0.12)
+ * @param {number} tableNumber - Skattetabell number
+ * @param {number} taxYear - Year the overtime is paid
+ * @param {object} [otherIncome] - Other income, assumed to be the same in the payout year
+ * @returns {object} { rate, amount, tax, net, payoutYear, approximate }
+ */
+function calculateHolidayPay(grossPay, annualIncome, holidayPayRate, tableNumber, taxYear, otherIncome = null) {
+  return calculatePreparedHolidayPay(
+    prepareHolidayPay(annualIncome, holidayPayRate, tableNumber, taxYear, otherIncome), grossPay
+  );
+}
+
+/**
+ * Resolve the values of calculateHolidayPay() that do not depend on the overtime pay
+ *
+ * @param {number} annualIncome - Regular annual income in NOK
+ * @param {number} holidayPayRate - Feriepenger rate (e.g. 0.12)
+ * @param {number} tableNumber - Skattetabell number
+ * @param {number} taxYear - Year the overtime is paid
+ * @param {object} [otherIncome] - Other income, assumed to be the same in the payout year
+ * @returns {object} Prepared values for calculatePreparedHolidayPay()
+ */
+function prepareHolidayPay(annualIncome, holidayPayRate, tableNumber, taxYear, otherIncome = null) {
+  const customRateSet = getCustomRateSet(taxYear);
+  const payoutYear = (customRateSet ? customRateSet.year : taxYear) + 1;
+  const ratesYear = findNearestTaxYearFunc ? findNearestTaxYearFunc(payoutYear) : payoutYear;
+
+  const { personalIncome, capitalIncome } = summarizeOtherIncome(otherIncome);
+  const incomeBefore = toOre(annualIncome + personalIncome);
+  const taxOf = (incomeOre) => calculateTaxComponentsOre(incomeOre, tableNumber, ratesYear, {
+    capitalIncomeOre: toOre(capitalIncome)
+  }).total;
+
+  return { holidayPayRate, payoutYear, ratesYear, incomeBefore, taxBefore: taxOf(incomeBefore), taxOf };
+}
+
+/**
+ * Calculate feriepenger earned on overtime pay with prepared values
+ *
+ * @param {object} prepared - Values from prepareHolidayPay()
+ * @param {number} grossPay - Overtime pay in NOK
+ * @returns {object} Result of calculateHolidayPay()
+ */
+function calculatePreparedHolidayPay(prepared, grossPay) {
+  const { holidayPayRate, payoutYear, ratesYear, incomeBefore, taxBefore, taxOf } = prepared;
+  const amount = applyRate(toOre(grossPay), holidayPayRate);
+  const tax = taxOf(incomeBefore + amount) - taxBefore;
+
+  return {
+    rate: holidayPayRate,
+    amount: fromOre(amount),
+    tax: fromOre(tax),
+    net: fromOre(amount - tax),
+    payoutYear,
+    approximate: ratesYear !== payoutYear
+  };
+}
+
+/**
+ * Sum overtime pay paid out earlier in the same year
+ *
+ * History keys are "YYYY-MM" of the month the overtime was worked in, with
+ * the gross overtime pay for that month. Tax is assessed in the payout year,
+ * so each month is counted in the month it is paid out: overtime worked in
+ * December and paid in January counts toward the next year. Only payouts
+ * before the given payout month in the same year are counted.
+ *
+ * @param {object} history - { "YYYY-MM": grossPay }
+ * @param {number} year - Payout year of the current period
+ * @param {number} month - Payout month of the current period (1-12)
+ * @param {object} [options] - Options
+ * @param {number} [options.payoutDelayMonths] - Months from the worked month to payout (default: 0)
+ * @returns {number} Overtime pay paid out earlier in the year in NOK
+ */
+function calculateYearToDateGross(history, year, month, { payoutDelayMonths = 0 } = {}) {
+  const sum = Object.entries(history || {}).reduce((total, [key, grossPay]) => {
+    const [workedYear, workedMonth] = key.split('-').map(part => parseInt(part, 10));
+    const payout = getPayoutPeriod(new Date(workedYear, workedMonth - 1, 1), payoutDelayMonths);
+    return payout.year === year && payout.month < month ? total + toOre(grossPay) : total;
+  }, 0);
+  return fromOre(sum);
+}
+
+/**
+ * Convert a date to a whole day number (days since 1970-01-01)
+ * Day numbers are calendar days, so differences are not affected by DST.
+ *
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Month (0-11)
+ * @param {number} day - Day of the month
+ * @returns {number} Day number
+ */
+function toDayNumber(year, monthIndex, day) {
+  return Date.UTC(year, monthIndex, day) / 86400000;
+}
+
+/**
+ * Parse salary history entries into day numbers, sorted by effective date
+ *
+ * @param {Array} salaryHistory - [{ from: 'YYYY-MM-DD', yearlySalary }]
+ * @returns {Array} [{ day, yearlySalary }] sorted by day
+ */
+function parseSalaryHistory(salaryHistory) {
+  return (salaryHistory || [])
+    .map(entry => {
+      const [year, month, day] = entry.from.split('-').map(part => parseInt(part, 10));
+      return { day: toDayNumber(year, month - 1, day || 1), yearlySalary: entry.yearlySalary };
+    })
+    .sort((a, b) => a.day - b.day);
+}
+
+/**
+ * Find the salary in effect on a day number
+ *
+ * @param {Array} entries - Parsed salary history (see parseSalaryHistory)
+ * @param {number} day - Day number
+ * @param {number} [fallbackSalary] - Salary before the first entry
+ * @returns {number} Yearly salary in NOK
+ */
+function findSalaryOnDay(entries, day, fallbackSalary) {
+  let salary = fallbackSalary !== undefined && fallbackSalary !== null ? fallbackSalary : entries[0].yearlySalary;
+  for (const entry of entries) {
+    if (entry.day <= day) {
+      salary = entry.yearlySalary;
+    }
+  }
+  return salary;
+}
+
+/**
+ * Find the yearly salary in effect on a date
+ *
+ * Salary history entries take effect from their date, e.g. after the annual
+ * lønnsoppgjør. Before the first entry, fallbackSalary is used (or the first
+ * entry if there is none). Without history, fallbackSalary is returned.
+ *
+ * @param {Array} salaryHistory - [{ from: 'YYYY-MM-DD', yearlySalary }]
+ * @param {Date} date - Date to look up
+ * @param {number} [fallbackSalary] - Salary before the first entry in NOK
+ * @returns {number} Yearly salary in NOK
+ */
+function getSalaryOnDate(salaryHistory, date, fallbackSalary) {
+  const entries = parseSalaryHistory(salaryHistory);
+  if (entries.length === 0) return fallbackSalary;
+
+  return findSalaryOnDay(entries, toDayNumber(date.getFullYear(), date.getMonth(), date.getDate()), fallbackSalary);
+}
+
+/**
+ * Calculate the salary actually earned in a year when it changes mid-year
+ *
+ * Each salary counts for the share of the year's days it was in effect. A
+ * raise from 1 May from 600,000 to 660,000 gives 600,000 × 120/365 +
+ * 660,000 × 245/365 ≈ 640,274 for 2025. This is the annual income used for
+ * the marginal tax.
+ *
+ * @param {Array} salaryHistory - [{ from: 'YYYY-MM-DD', yearlySalary }]
+ * @param {number} year - Year to pro-rate over
+ * @param {number} [fallbackSalary] - Salary before the first entry in NOK
+ * @returns {number} Pro-rated annual salary in NOK
+ */
+function calculateProratedSalary(salaryHistory, year, fallbackSalary) {
+  const entries = parseSalaryHistory(salaryHistory);
+  if (entries.length === 0) return fallbackSalary;
+
+  const start = toDayNumber(year, 0, 1);
+  const end = toDayNumber(year + 1, 0, 1);
+  const boundaries = [start, ...entries.map(entry => entry.day).filter(day => day > start && day < end), end];
+
+  let total = 0;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    total += findSalaryOnDay(entries, boundaries[i], fallbackSalary) * (boundaries[i + 1] - boundaries[i]);
+  }
+  return total / (end - start);
+}
+
+/**
+ * Split extra hours into mertid and overtid for part-time positions
+ *
+ * Part-time employees get no premium for extra hours up to full time
+ * (mertid). Only hours beyond that are overtime. The capacity is the
+ * monthly difference between full time and the position.
+ *
+ * Mertid is taken from the categories with the lowest multiplier first,
+ * so the estimate never overstates the premium.
+ *
+ * @param {Array} entries - Hours per category: [{ hours, multiplier, label }]
+ * @param {number} mertidCapacity - Hours per month up to full time
+ * @returns {object} { entries: remaining overtime entries, mertidHours }
+ */
+function splitMertid(entries, mertidCapacity) {
+  let remainingCapacity = Math.max(0, mertidCapacity);
+  const overtimeEntries = entries.map(entry => ({ ...entry }));
+
+  const byMultiplier = overtimeEntries
+    .slice()
+    .sort((a, b) => a.multiplier - b.multiplier);
+
+  for (const entry of byMultiplier) {
+    const mertid = Math.min(entry.hours, remainingCapacity);
+    entry.hours -= mertid;
+    remainingCapacity -= mertid;
+  }
+
+  return {
+    entries: overtimeEntries,
+    mertidHours: Math.max(0, mertidCapacity) - remainingCapacity
+  };
+}
+
+/**
+ * Calculate the withholding on pay on top of the normal monthly salary
+ *
+ * Depends on the tax card type:
+ * - tabelltrekk: difference in table withholding with and without the extra pay,
+ *   as if it were paid every month. Uses the official table when loaded,
+ *   otherwise the formula estimate. No trekk in June and half trekk in December.
+ * - prosenttrekk: flat percentage of the extra pay
+ * - frikort: nothing until the frikort amount is used up, then 50%
+ *
+ * @param {object} params - Parameters (amounts in øre)
+ * @param {number} params.normalMonthly - Normal monthly income in øre
+ * @param {number} params.extraPay - Extra pay this month in øre
+ * @param {number} params.tableNumber - Skattetabell number
+ * @param {number} params.taxYear - Tax year
+ * @param {number} params.payoutMonth - Payout month (1-12)
+ * @param {Array} [params.withholdingTable] - Official trekktabell rows
+ * @param {object} params.taxCard - Tax card ({ type, percentage, remaining })
+ * @returns {object} { withholding, source, breakdown, frikort } - withholding in øre,
+ *   breakdown (NOK) is null for prosenttrekk and frikort, frikort is null unless the tax card is frikort
+ */
+function calculateWithholdingOnExtraPay(params) {
+  return calculatePreparedWithholding(prepareWithholdingOnExtraPay(params), params.extraPay);
+}
+
+/**
+ * Resolve the values of calculateWithholdingOnExtraPay() that do not depend on the extra pay
+ *
+ * For tabelltrekk, the withholding and tax components of the normal monthly
+ * income are calculated once.
+ *
+ * @param {object} params - Parameters of calculateWithholdingOnExtraPay() (extraPay is ignored)
+ * @returns {object} Prepared values for calculatePreparedWithholding()
+ */
+function prepareWithholdingOnExtraPay({
+  normalMonthly,
+  tableNumber,
+  taxYear,
+  payoutMonth,
+  withholdingTable = null,
+  taxCard
+}) {
+  const prepared = { normalMonthly, tableNumber, taxYear, withholdingTable, taxCard };
+  if (taxCard.type === 'prosenttrekk' || taxCard.type === 'frikort') {
+    return prepared;
+  }
+
+  const monthFactor = getWithholdingMonthFactor(payoutMonth);
+  const monthlyWithholding = (monthlyGross) => (withholdingTable
+    ? applyRate(toOre(lookupMonthlyWithholding(fromOre(monthlyGross), withholdingTable)), monthFactor)
+    : toOre(calculateMonthlyWithholding(fromOre(monthlyGross), tableNumber, taxYear, payoutMonth)));
+
+  return {
+    ...prepared,
+    monthlyWithholding,
+    withholdingNormal: monthlyWithholding(normalMonthly),
+    componentsNormal: calculateTaxComponentsOre(normalMonthly * 12, tableNumber, taxYear)
+  };
+}
+
+/**
+ * Calculate the withholding on pay on top of the normal monthly salary with prepared values
+ *
+ * @param {object} prepared - Values from prepareWithholdingOnExtraPay()
+ * @param {number} extraPay - Extra pay this month in øre
+ * @returns {object} Result of calculateWithholdingOnExtraPay()
+ */
+function calculatePreparedWithholding(prepared, extraPay) {
+  const { normalMonthly, tableNumber, taxYear, withholdingTable, taxCard } = prepared;
+
+  if (taxCard.type === 'prosenttrekk') {
+    const withholding = applyRate(extraPay, taxCard.percentage / 100);
+    return { withholding, source: 'prosenttrekk', breakdown: null, frikort: null };
+  }
+
+  if (taxCard.type === 'frikort') {
+    const rates = getYearRates(taxYear);
+    const frikortResult = calculateFrikortWithholding(
+      fromOre(extraPay), taxCard.remaining || 0, rates.frikortTrekkRate
+    );
+    return {
+      withholding: toOre(frikortResult.withholding),
+      source: 'frikort',
+      breakdown: null,
+      frikort: {
+        remainingBefore: frikortResult.remainingBefore,
+        remainingAfter: frikortResult.remainingAfter,
+        taxedAmount: frikortResult.taxedAmount,
+        exhausted: frikortResult.exhausted
+      }
+    };
+  }
+
+  const combinedMonthly = normalMonthly + extraPay;
+  const withholding = prepared.monthlyWithholding(combinedMonthly) - prepared.withholdingNormal;
+
+  // Components of the annual tax on income × 12, scaled to the withholding.
+  // (The rounded trekk and the official table have no exact components.)
+  const componentsCombined = calculateTaxComponentsOre(combinedMonthly * 12, tableNumber, taxYear);
+
+  return {
+    withholding,
+    source: withholdingTable ? 'table' : 'formula',
+    breakdown: calculateComponentBreakdown(prepared.componentsNormal, componentsCombined, withholding),
+    frikort: null
+  };
+}
+
+/**
+ * Calculate the actual (annual) tax on pay on top of the other income this year
+ *
+ * @param {object} params - Parameters (amounts in øre)
+ * @param {number} params.incomeBefore - Personal income this year without the extra pay in øre
+ * @param {number} params.extraPay - Extra pay in øre
+ * @param {number} params.tableNumber - Skattetabell number (for the table adjustment)
+ * @param {number} params.taxYear - Tax year
+ * @param {number} [params.capitalIncome] - Net capital income in alminnelig inntekt in øre (default: 0)
+ * @returns {object} { tax, breakdown } - tax in øre, breakdown in NOK
+ */
+function calculateActualTaxOnExtraPay(params) {
+  return calculatePreparedActualTax(prepareActualTaxOnExtraPay(params), params.extraPay);
+}
+
+/**
+ * Resolve the values of calculateActualTaxOnExtraPay() that do not depend on the extra pay
+ *
+ * @param {object} params - Parameters of calculateActualTaxOnExtraPay() (extraPay is ignored)
+ * @returns {object} Prepared values for calculatePreparedActualTax()
+ */
+function prepareActualTaxOnExtraPay({ incomeBefore, tableNumber, taxYear, capitalIncome = 0 }) {
+  const options = { capitalIncomeOre: capitalIncome };
+  return {
+    incomeBefore,
+    tableNumber,
+    taxYear,
+    options,
+    componentsBefore: calculateTaxComponentsOre(incomeBefore, tableNumber, taxYear, options)
+  };
+}
+
+/**
+ * Calculate the actual tax on pay on top of the other income with prepared values
+ *
+ * @param {object} prepared - Values from prepareActualTaxOnExtraPay()
+ * @param {number} extraPay - Extra pay in øre
+ * @returns {object} Result of calculateActualTaxOnExtraPay()
+ */
+function calculatePreparedActualTax({ incomeBefore, tableNumber, taxYear, options, componentsBefore }, extraPay) {
+  const componentsAfter = calculateTaxComponentsOre(incomeBefore + extraPay, tableNumber, taxYear, options);
+
+  return {
+    tax: componentsAfter.total - componentsBefore.total,
+    breakdown: calculateComponentBreakdown(componentsBefore, componentsAfter)
+  };
+}
+
+/**
+ * Calculate the low/high range of an overtime estimate
+ *
+ * The range reflects the known approximations (see ESTIMATE_UNCERTAINTY):
+ * - Withholding: the payout can land in the month before or after, with
+ *   another share of the normal tabelltrekk (June and December), and the
+ *   formula can deviate from the official table
+ * - Actual tax: other income that is not entered can move the overtime to a
+ *   higher marginal rate
+ *
+ * @param {object} profile - Profile from prepareOvertimeProfile()
+ * @param {object} estimate - The estimate (amounts in øre)
+ * @param {number} estimate.grossPay - Gross overtime pay
+ * @param {number} estimate.withholding - Withholding on the overtime
+ * @param {string} estimate.withholdingSource - Source of the withholding
+ * @param {number} estimate.actualTax - Actual tax on the overtime
+ * @returns {object} { actualTax, takeHome, withholding, takeHomeWithholding }, each { low, high } in NOK
+ */
+function calculateEstimateRange(profile, { grossPay, withholding, withholdingSource, actualTax }) {
+  const { prepared } = profile;
+
+  // Prosenttrekk and frikort do not depend on the payout month, so they have no neighbours
+  const withholdings = [
+    withholding,
+    ...prepared.neighbourWithholdings.map(month => calculatePreparedWithholding(month, grossPay).withholding)
+  ];
+
+  // The trekk with and without the overtime can each be off by the formula tolerance
+  const tolerance = withholdingSource === 'formula' ? 2 * toOre(ESTIMATE_UNCERTAINTY.formulaWithholding) : 0;
+  const withholdingRange = {
+    low: Math.max(0, Math.min(...withholdings) - tolerance),
+    high: Math.max(...withholdings) + tolerance
+  };
+
+  // Without other personal income, some may still be missing from the profile
+  const actualTaxes = [actualTax];
+  if (prepared.unknownIncomeTax) {
+    actualTaxes.push(calculatePreparedActualTax(prepared.unknownIncomeTax, grossPay).tax);
+  }
+  const actualRange = { low: Math.min(...actualTaxes), high: Math.max(...actualTaxes) };
+
+  const inNOK = ({ low, high }) => ({ low: fromOre(low), high: fromOre(high) });
+  return {
+    actualTax: inNOK(actualRange),
+    takeHome: inNOK({ low: grossPay - actualRange.high, high: grossPay - actualRange.low }),
+    withholding: inNOK(withholdingRange),
+    takeHomeWithholding: inNOK({ low: grossPay - withholdingRange.high, high: grossPay - withholdingRange.low })
+  };
+}
+
+/**
+ * Calculate take-home pay for overtime hours
+ *
+ * This is the main function for the extension. It calculates:
+ * - Gross overtime pay (hours × hourly rate × multiplier, per category)
+ * - Tax withheld on overtime (marginal withholding) - what employer deducts
+ * - Actual tax on overtime (marginal tax) - what you truly owe
+ * - Net take-home overtime pay
+ * - Effective marginal tax rate
+ *
+ * NOTE ON CALCULATION METHODS:
+ * - "Actual tax" assumes this overtime is a one-time/occasional event
+ * - "Withholding" is what employer deducts, assuming overtime recurs monthly
+ * - If user works similar overtime every month, withholding ≈ actual tax
+ * - If user works overtime occasionally, actual tax is more accurate
+ *
+ * PAYOUT MONTH:
+ * Overtime is paid out payoutDelayMonths after the period it was worked in
+ * and taxed in the payout year. Tabelltrekk is skipped in June and halved in
+ * December, so withholding depends on the payout month.
+ *
+ * OTHER INCOME:
+ * Bonus, a second job and benefits in kind raise personal income, capital
+ * income and deductions change alminnelig inntekt. Both move the marginal
+ * rate of the actual tax. Withholding is unaffected (the employer only
+ * knows the salary).
+ *
+ * YEAR-TO-DATE:
+ * Actual tax is calculated on top of overtime already paid earlier in the
+ * year (yearToDateGross), so later months land in the right trinnskatt step.
+ * The result also reports the step and the distance to the next one (bracket).
+ *
+ * OVERTIME CATEGORIES:
+ * Hours can be split into categories with different premiums (e.g. 40%, 50%
+ * and 100%). Tax is calculated on the total, then split between categories in
+ * proportion to their gross pay, since they are all taxed at the same margin.
+ *
+ * HOURLY RATE AND PART-TIME:
+ * The hourly rate is (yearlySalary + fixedSupplements) divided by the annual
+ * hours of the position (annualHourDivisor × positionPercentage). For part-time
+ * positions, extra hours up to full time are mertid without premium and are
+ * returned as a separate "Mertid" category.
+ *
+ * SALARY CHANGES:
+ * With a salary history, the hourly rate uses the salary in effect in the
+ * period the overtime was worked, while the tax uses the salary pro-rated
+ * over the payout year (see calculateProratedSalary) and withholding the
+ * salary in effect in the payout month.
+ *
+ * UNCERTAINTY RANGE:
+ * The estimates are not exact to the krone. result.range gives a low/high
+ * interval for each of them (see calculateEstimateRange).
+ *
+ * @param {object} params - Calculation parameters
+ * @param {number} params.yearlySalary - Annual salary in NOK for the position
+ *   (with salaryHistory: the salary before the first change, optional)
+ * @param {Array} [params.salaryHistory] - Salary changes: [{ from: 'YYYY-MM-DD', yearlySalary }]
+ * @param {number} [params.annualHourDivisor] - Annual hours of a full-time position (default: 1950)
+ * @param {number} [params.positionPercentage] - Stillingsprosent (default: 100)
+ * @param {number} [params.fixedSupplements] - Annual fixed supplements included in the hourly basis in NOK (default: 0)
+ * @param {number} [params.holidayPayRate] - Feriepenger rate earned on overtime (default: 0.12, 0 to ignore)
+ * @param {number} [params.yearToDateGross] - Overtime pay already paid earlier this year in NOK (default: 0)
+ * @param {object} [params.otherIncome] - Other income this year in NOK:
+ *   { bonus, secondJob, benefitsInKind, capitalIncome, capitalDeductions }. Only affects actual tax.
+ * @param {number} [params.overtimeHours] - Number of overtime hours at the default 40% premium
+ * @param {Array} [params.overtimeEntries] - Hours per category: [{ hours, multiplier, label }].
+ *   Takes precedence over overtimeHours.
+ * @param {number} params.tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} [params.taxYear] - Tax year (default: year of the payout, or the nearest
+ *   year with rates; the result is then marked approximate)
+ * @param {Date} [params.periodDate] - A date in the period the overtime was worked (default: today)
+ * @param {number} [params.payoutDelayMonths] - Months from the period to payout (default: 1)
+ * @param {Array} [params.withholdingTable] - Official trekktabell rows for tableNumber and taxYear.
+ *   When given, withholding is looked up instead of estimated with the formula.
+ * @param {object} [params.taxCard] - Tax card (default: { type: 'tabelltrekk' })
+ * @param {string} params.taxCard.type - 'tabelltrekk', 'prosenttrekk' or 'frikort'
+ * @param {number} [params.taxCard.percentage] - Withholding percentage for prosenttrekk (e.g. 35)
+ * @param {number} [params.taxCard.remaining] - Frikort amount left before this payment in NOK
+ * @returns {object} Breakdown of overtime compensation. range holds the low/high
+ *   interval of actualTax, takeHome, withholding and takeHomeWithholding.
+ */
+function calculateOvertimeTakeHome(params) {
+  return calculateOvertimeWithProfile(prepareOvertimeProfile(params), getRequestedEntries(params));
+}
+
+/**
+ * Get the hours per category of calculateOvertimeTakeHome() parameters
+ *
+ * @param {object} params - Parameters with overtimeEntries or overtimeHours
+ * @returns {Array} Hours per category: [{ hours, multiplier, label }]
+ */
+function getRequestedEntries(params) {
+  // Without categories, all hours get the default 40% premium
+  return params.overtimeEntries || [
+    { hours: params.overtimeHours, multiplier: DEFAULT_OVERTIME_MULTIPLIER }
+  ];
+}
+
+/**
+ * Resolve the values of an overtime calculation that do not depend on the hours
+ *
+ * Payout month, tax year, salaries, hourly rate and the income the overtime
+ * is stacked on. Prepared once per profile by calculateOvertimeTakeHomeBatch().
+ *
+ * @param {object} params - Parameters of calculateOvertimeTakeHome() (hours are ignored)
+ * @returns {object} Profile for calculateOvertimeWithProfile()
+ */
+function prepareOvertimeProfile({
+  yearlySalary,
+  salaryHistory = null,
+  annualHourDivisor = DEFAULT_ANNUAL_HOUR_DIVISOR,
+  positionPercentage = 100,
+  fixedSupplements = 0,
+  holidayPayRate = DEFAULT_HOLIDAY_PAY_RATE,
+  yearToDateGross = 0,
+  otherIncome = null,
+  tableNumber,
+  taxYear,
+  periodDate = new Date(),
+  payoutDelayMonths = DEFAULT_PAYOUT_DELAY_MONTHS,
+  withholdingTable = null,
+  taxCard
+}) {
+  taxCard = taxCard || DEFAULT_TAX_CARD;
+
+  // Overtime is taxed in the year it is paid out, which can be the next year
+  // for overtime worked in December
+  const payout = getPayoutPeriod(periodDate, payoutDelayMonths);
+  const resolved = resolvePayoutTaxYear(taxYear, payout.year);
+  taxYear = resolved.taxYear;
+
+  // Salary in effect when the overtime was worked, and earned over the payout year
+  const periodSalary = getSalaryOnDate(salaryHistory, periodDate, yearlySalary);
+  const annualSalary = calculateProratedSalary(salaryHistory, payout.year, yearlySalary);
+  const payoutSalary = getSalaryOnDate(salaryHistory, new Date(payout.year, payout.month - 1, 1), yearlySalary);
+
+  // Calculate hourly rate from the annual hours of the position
+  // Fixed supplements are paid as part of the regular income and belong in the hourly basis
+  const annualIncome = annualSalary + fixedSupplements;
+  const positionShare = positionPercentage / 100;
+  const annualHours = annualHourDivisor * positionShare;
+
+  // Other income this year adds to personal income (bonus, second job, benefits in kind)
+  // or to alminnelig inntekt only (capital income and deductions).
+  const { personalIncome: otherPersonalIncome, capitalIncome } = summarizeOtherIncome(otherIncome);
+
+  const normalMonthly = toOre((payoutSalary + fixedSupplements) / 12);
+  const incomeBefore = toOre(annualIncome + yearToDateGross + otherPersonalIncome);
+  const holidayPayBase = annualIncome + yearToDateGross * holidayPayRate;
+  const taxTableNumber = tableNumber || DEFAULT_TABLE_NUMBER;
+
+  return {
+    taxYear,
+    requestedYear: resolved.requestedYear,
+    approximate: resolved.approximate,
+    payout,
+    yearToDateGross,
+    periodSalary,
+    annualSalary,
+    hourlyRate: (periodSalary + fixedSupplements) / annualHours,
+    // Basis of the hourly rate in øre, divided by annualHours
+    hourlyBasis: toOre(periodSalary + fixedSupplements),
+    annualHours,
+    // Part-time: extra hours up to full time this month are mertid (no premium)
+    mertidCapacity: (annualHourDivisor / 12) * (1 - positionShare),
+    // Normal monthly salary in the payout month
+    normalMonthly,
+    // Income this year before the overtime, and net capital income
+    incomeBefore,
+    capitalIncome,
+    // Feriepenger basis, including feriepenger from overtime earlier in the year
+    holidayPayBase,
+    holidayPayRate,
+    otherIncome,
+    tableNumber,
+    taxTableNumber,
+    withholdingTable,
+    taxCard,
+    // Tax on the salary without the overtime, calculated once for all hours values
+    prepared: prepareOvertimeTax({
+      payout,
+      taxYear,
+      annualSalary,
+      normalMonthly,
+      incomeBefore,
+      capitalIncome,
+      otherPersonalIncome,
+      holidayPayBase,
+      holidayPayRate,
+      otherIncome,
+      tableNumber,
+      taxTableNumber,
+      withholdingTable,
+      taxCard
+    })
+  };
+}
+
+/**
+ * Prepare the tax calculations of an overtime profile that do not depend on the hours
+ *
+ * Withholding in the payout month and the neighbouring months of the range,
+ * actual tax with and without unknown other income, feriepenger and the
+ * trinnskatt steps.
+ *
+ * @param {object} values - Resolved values of prepareOvertimeProfile()
+ * @returns {object} { withholding, neighbourWithholdings, actualTax, unknownIncomeTax, holidayPay, bracket }
+ */
+function prepareOvertimeTax({
+  payout,
+  taxYear,
+  annualSalary,
+  normalMonthly,
+  incomeBefore,
+  capitalIncome,
+  otherPersonalIncome,
+  holidayPayBase,
+  holidayPayRate,
+  otherIncome,
+  tableNumber,
+  taxTableNumber,
+  withholdingTable,
+  taxCard
+}) {
+  const withholdingIn = (payoutMonth) => prepareWithholdingOnExtraPay({
+    normalMonthly, tableNumber, taxYear, payoutMonth, withholdingTable, taxCard
+  });
+  const actualTaxOn = (income) => prepareActualTaxOnExtraPay({
+    incomeBefore: income, tableNumber: taxTableNumber, taxYear, capitalIncome: toOre(capitalIncome)
+  });
+
+  // The payout can land in the month before or after, with another share of
+  // the normal tabelltrekk (June and December)
+  const monthFactor = getWithholdingMonthFactor(payout.month);
+  const neighbours = taxCard.type === 'tabelltrekk'
+    ? [(payout.month + 10) % 12 + 1, payout.month % 12 + 1]
+      .filter(month => getWithholdingMonthFactor(month) !== monthFactor)
+    : [];
+
+  return {
+    withholding: withholdingIn(payout.month),
+    neighbourWithholdings: neighbours.map(withholdingIn),
+    actualTax: actualTaxOn(incomeBefore),
+    unknownIncomeTax: otherPersonalIncome === 0
+      ? actualTaxOn(incomeBefore + applyRate(toOre(annualSalary), ESTIMATE_UNCERTAINTY.unknownOtherIncome))
+      : null,
+    holidayPay: prepareHolidayPay(holidayPayBase, holidayPayRate, taxTableNumber, taxYear, otherIncome),
+    bracket: prepareBracketProximity({ tableNumber: taxTableNumber, taxYear, capitalIncome })
+  };
+}
+
+/**
+ * Calculate take-home pay for overtime hours with a prepared profile
+ *
+ * @param {object} profile - Profile from prepareOvertimeProfile()
+ * @param {Array} requestedEntries - Hours per category: [{ hours, multiplier, label }]
+ * @returns {object} Result of calculateOvertimeTakeHome()
+ */
+function calculateOvertimeWithProfile(profile, requestedEntries) {
+  const {
+    taxYear,
+    payout,
+    hourlyRate,
+    hourlyBasis,
+    annualHours,
+    incomeBefore: incomeBeforeOvertime,
+    taxCard,
+    prepared
+  } = profile;
+
+  // The tax card only affects withholding; without a table number, no table adjustment is used.
+
+  // Part-time: extra hours up to full time this month are mertid (no premium)
+  const { entries: premiumEntries, mertidHours } = splitMertid(requestedEntries, profile.mertidCapacity);
+  const entries = mertidHours > 0
+    ? [{ hours: mertidHours, multiplier: 1, label: 'Mertid' }, ...premiumEntries.filter(entry => entry.hours > 0)]
+    : premiumEntries;
+
+  // Calculate gross overtime pay per category and in total
+  // Each category is paid in whole øre
+  const categoryGross = entries.map(entry =>
+    roundHalfUp(hourlyBasis * entry.hours * entry.multiplier / annualHours)
+  );
+  const grossPay = categoryGross.reduce((sum, gross) => sum + gross, 0);
+  const totalHours = entries.reduce((sum, entry) => sum + entry.hours, 0);
+
+  // Average overtime rate across categories (equals hourly × multiplier for one category)
+  const overtimeRate = totalHours > 0
+    ? fromOre(grossPay) / totalHours
+    : hourlyRate * (entries.length > 0 ? entries[0].multiplier : DEFAULT_OVERTIME_MULTIPLIER);
+
+  // === WITHHOLDING CALCULATION ===
+  // This is what the employer actually deducts from your paycheck.
+  // Higher than actual tax for tabelltrekk because employer assumes overtime recurs monthly.
+  const withholdingResult = calculatePreparedWithholding(prepared.withholding, grossPay);
+  const withholdingOnOvertime = withholdingResult.withholding;
+  const frikortResult = withholdingResult.frikort;
+  const frikort = frikortResult && {
+    ...frikortResult,
+    // Overtime hours that fit within the remaining frikort amount
+    hoursUntilExhausted: Math.round(frikortResult.remainingBefore / overtimeRate * 10) / 10
+  };
+
+  // === ACTUAL TAX CALCULATION ===
+  // This is the true marginal tax on the overtime income, on top of regular income
+  // and any overtime already paid earlier in the year.
+  // If user works similar overtime every month, this will be close to withholding.
+  const actualResult = calculatePreparedActualTax(prepared.actualTax, grossPay);
+  const actualTaxOnOvertime = actualResult.tax;
+
+  const range = calculateEstimateRange(profile, {
+    grossPay,
+    withholding: withholdingOnOvertime,
+    withholdingSource: withholdingResult.source,
+    actualTax: actualTaxOnOvertime
+  });
+
+  // Calculate take-home using ACTUAL tax (more accurate)
+  const takeHomeActual = grossPay - actualTaxOnOvertime;
+
+  // Calculate take-home using WITHHOLDING (what's on paycheck)
+  const takeHomeWithholding = grossPay - withholdingOnOvertime;
+
+  // Calculate effective rates
+  const effectiveRateActual = grossPay > 0 ? actualTaxOnOvertime / grossPay : 0;
   const effectiveRateWithholding = grossPay > 0 ? withholdingOnOvertime / grossPay : 0;
 
-  const roundedHourlyRate = Math.round(hourlyRate * 100) / 100;
-  const roundedOvertimeRate = Math.round(overtimeRate * 100) / 100;
+  // === FERIEPENGER ===
+  // Overtime earns holiday pay, paid out and taxed next June
+  // (on top of the feriepenger from overtime earlier in the year)
+  const holidayPay = calculatePreparedHolidayPay(prepared.holidayPay, fromOre(grossPay));
+
+  // Split tax between categories in proportion to their gross pay
+  const shareOf = (tax, index) => (grossPay > 0 ? divideRounded(tax * categoryGross[index], grossPay) : 0);
+  const categories = entries.map((entry, index) => ({
+    label: entry.label || `${Math.round((entry.multiplier - 1) * 100)} %`,
+    hours: entry.hours,
+    multiplier: entry.multiplier,
+    rate: roundToOre(hourlyRate * entry.multiplier),
+    grossPay: fromOre(categoryGross[index]),
+    takeHome: fromOre(categoryGross[index] - shareOf(actualTaxOnOvertime, index)),
+    takeHomeWithholding: fromOre(categoryGross[index] - shareOf(withholdingOnOvertime, index))
+  }));
+
+  // Where the income after this overtime sits in the trinnskatt steps
+  const bracket = calculatePreparedBracketProximity(
+    prepared.bracket, fromOre(incomeBeforeOvertime + grossPay), overtimeRate
+  );
 
   return {
+    // Tax year the calculation was made with, and the year asked for. Approximate
+    // when the payout year had no rates and the nearest year was used instead.
+    taxYear,
+    requestedYear: profile.requestedYear,
+    approximate: profile.approximate,
+
+    // Month the overtime is paid out in ({ year, month })
+    payout,
+
+    // Overtime pay earlier in the year that this month's tax is stacked on
+    yearToDateGross: profile.yearToDateGross,
+
+    // Salary behind the hourly rate, and pro-rated over the payout year for the tax
+    yearlySalary: profile.periodSalary,
+    annualSalary: roundToOre(profile.annualSalary),
+
     // Gross amounts
-    grossPay: Math.round(grossPay * 100) / 100,
-    hourlyRate: roundedHourlyRate,
-    overtimeRate: roundedOvertimeRate,
+    grossPay: fromOre(grossPay),
+    hourlyRate: roundToOre(hourlyRate),
+    overtimeRate: roundToOre(overtimeRate),
 
     // Actual tax (assumes overtime is occasional - DEFAULT)
-    actualTax: Math.round(actualTaxOnOvertime * 100) / 100,
-    takeHome: Math.round(takeHomeActual * 100) / 100,
+    actualTax: fromOre(actualTaxOnOvertime),
+    takeHome: fromOre(takeHomeActual),
     effectiveRate: Math.round(effectiveRateActual * 1000) / 1000,
 
     // Withholding (what employer deducts - accurate if overtime is regular)
-    withholding: Math.round(withholdingOnOvertime * 100) / 100,
-    takeHomeWithholding: Math.round(takeHomeWithholding * 100) / 100,
-    effectiveRateWithholding: Math.round(effectiveRateWithholding * 1000) / 1000
+    taxCardType: taxCard.type,
+    withholdingSource: withholdingResult.source,
+    withholding: fromOre(withholdingOnOvertime),
+    takeHomeWithholding: fromOre(takeHomeWithholding),
+    effectiveRateWithholding: Math.round(effectiveRateWithholding * 1000) / 1000,
+
+    // Low/high interval of the estimates from the known approximations
+    // (formula vs. table, unknown other income, payout month)
+    range,
+
+    // Tax on the overtime by component: trinnskatt, trygdeavgift and inntektsskatt,
+    // with the minstefradrag and alminnelig inntekt before and after the overtime.
+    // Withholding has no components for prosenttrekk and frikort (null).
+    taxBreakdown: {
+      actual: actualResult.breakdown,
+      withholding: withholdingResult.breakdown
+    },
+
+    // Frikort status (null unless the tax card is frikort)
+    frikort,
+
+    // Feriepenger earned on the overtime, paid next June
+    holidayPay,
+
+    // Total value including feriepenger (net overtime + net feriepenger)
+    totalValue: fromOre(takeHomeActual + toOre(holidayPay.net)),
+    totalValueWithholding: fromOre(takeHomeWithholding + toOre(holidayPay.net)),
+
+    // Trinnskatt step and distance to the next one (in NOK and overtime hours)
+    bracket,
+
+    // Gross and net per overtime category (includes "Mertid" for part-time)
+    categories,
+    mertidHours: Math.round(mertidHours * 100) / 100
+  };
+}
+
+/**
+ * Calculate take-home pay for many hours values with the same profile
+ *
+ * For charts, tables and what-if sliders. The profile (payout month,
+ * salaries, hourly rate, the income the overtime is stacked on) is prepared
+ * once. The tax on the salary without overtime and the normal monthly
+ * withholding are calculated for the first result and reused from the cache.
+ *
+ * @param {object} profile - Same parameters as calculateOvertimeTakeHome(), without hours
+ * @param {Array} hoursList - One item per result: a number of hours at options.multiplier,
+ *   or an overtimeEntries array ([{ hours, multiplier, label }])
+ * @param {object} [options] - Options
+ * @param {number} [options.multiplier] - Overtime multiplier for plain hours (default: 1.4)
+ * @param {string} [options.label] - Category label for plain hours
+ * @returns {Array} One calculateOvertimeTakeHome() result per item in hoursList
+ */
+function calculateOvertimeTakeHomeBatch(profile, hoursList, {
+  multiplier = DEFAULT_OVERTIME_MULTIPLIER,
+  label
+} = {}) {
+  const prepared = prepareOvertimeProfile(profile);
+
+  return hoursList.map(hours => calculateOvertimeWithProfile(
+    prepared, Array.isArray(hours) ? hours : [{ hours, multiplier, label }]
+  ));
+}
+
+/**
+ * Calculate take-home pay for a one-off payment (bonus or etterbetaling)
+ *
+ * Same two views as calculateOvertimeTakeHome():
+ * - Withholding: tabelltrekk treats the payment as if the month's income
+ *   were earned every month, so a single large payment is withheld at a
+ *   high trinnskatt step. Prosenttrekk and frikort work as for overtime.
+ * - Actual tax: the marginal tax of the payment on top of this year's income.
+ *
+ * Etterbetaling of salary usually earns feriepenger, a bonus often does not,
+ * so feriepenger are only included when holidayPayRate is given.
+ *
+ * @param {object} params - Calculation parameters
+ * @param {number} params.amount - Gross one-off payment in NOK
+ * @param {number} params.yearlySalary - Annual salary in NOK
+ * @param {Array} [params.salaryHistory] - Salary changes: [{ from: 'YYYY-MM-DD', yearlySalary }]
+ * @param {number} [params.fixedSupplements] - Annual fixed supplements in NOK (default: 0)
+ * @param {number} [params.yearToDateGross] - Overtime pay already paid this year in NOK (default: 0)
+ * @param {object} [params.otherIncome] - Other income this year (see summarizeOtherIncome)
+ * @param {number} [params.holidayPayRate] - Feriepenger rate earned on the payment (default: 0)
+ * @param {number} params.tableNumber - Skattetabell number (e.g., 8115)
+ * @param {number} [params.taxYear] - Tax year (default: year of payoutDate, or the nearest
+ *   year with rates; the result is then marked approximate)
+ * @param {Date} [params.payoutDate] - A date in the payout month (default: today)
+ * @param {Array} [params.withholdingTable] - Official trekktabell rows for tableNumber and taxYear
+ * @param {object} [params.taxCard] - Tax card (default: { type: 'tabelltrekk' })
+ * @returns {object} Breakdown of the payment
+ */
+function calculateOneOffPaymentTakeHome({
+  amount,
+  yearlySalary,
+  salaryHistory = null,
+  fixedSupplements = 0,
+  yearToDateGross = 0,
+  otherIncome = null,
+  holidayPayRate = 0,
+  tableNumber,
+  taxYear,
+  payoutDate = new Date(),
+  withholdingTable = null,
+  taxCard
+}) {
+  taxCard = taxCard || DEFAULT_TAX_CARD;
+  const payout = getPayoutPeriod(payoutDate, 0);
+  const resolved = resolvePayoutTaxYear(taxYear, payout.year);
+  taxYear = resolved.taxYear;
+
+  const annualIncome = calculateProratedSalary(salaryHistory, payout.year, yearlySalary) + fixedSupplements;
+  const payoutSalary = getSalaryOnDate(salaryHistory, payoutDate, yearlySalary);
+  const taxTableNumber = tableNumber || DEFAULT_TABLE_NUMBER;
+  const amountOre = toOre(amount);
+
+  // What the employer withholds in the payout month
+  const withholdingResult = calculateWithholdingOnExtraPay({
+    normalMonthly: toOre((payoutSalary + fixedSupplements) / 12),
+    extraPay: amountOre,
+    tableNumber,
+    taxYear,
+    payoutMonth: payout.month,
+    withholdingTable,
+    taxCard
+  });
+  const withholding = withholdingResult.withholding;
+
+  // The true marginal tax on top of this year's income
+  const { personalIncome: otherPersonalIncome, capitalIncome } = summarizeOtherIncome(otherIncome);
+  const incomeBefore = toOre(annualIncome + yearToDateGross + otherPersonalIncome);
+  const actualResult = calculateActualTaxOnExtraPay({
+    incomeBefore, extraPay: amountOre, tableNumber: taxTableNumber, taxYear, capitalIncome: toOre(capitalIncome)
+  });
+  const actualTax = actualResult.tax;
+
+  const holidayPay = calculateHolidayPay(
+    amount, annualIncome + yearToDateGross * holidayPayRate, holidayPayRate, taxTableNumber, taxYear, otherIncome
+  );
+  const holidayPayNet = toOre(holidayPay.net);
+
+  return {
+    taxYear,
+    requestedYear: resolved.requestedYear,
+    approximate: resolved.approximate,
+    payout,
+    amount: fromOre(amountOre),
+
+    // Actual tax (true marginal tax for the year)
+    actualTax: fromOre(actualTax),
+    takeHome: fromOre(amountOre - actualTax),
+    effectiveRate: amountOre > 0 ? Math.round(actualTax / amountOre * 1000) / 1000 : 0,
+
+    // Withholding (what the payslip shows)
+    taxCardType: taxCard.type,
+    withholdingSource: withholdingResult.source,
+    withholding: fromOre(withholding),
+    takeHomeWithholding: fromOre(amountOre - withholding),
+    effectiveRateWithholding: amountOre > 0 ? Math.round(withholding / amountOre * 1000) / 1000 : 0,
+
+    // Frikort status (null unless the tax card is frikort)
+    frikort: withholdingResult.frikort,
+
+    // Feriepenger earned on the payment (amount 0 unless holidayPayRate is given)
+    holidayPay,
+    totalValue: fromOre(amountOre - actualTax + holidayPayNet),
+    totalValueWithholding: fromOre(amountOre - withholding + holidayPayNet),
+
+    taxBreakdown: {
+      actual: actualResult.breakdown,
+      withholding: withholdingResult.breakdown
+    },
+
+    // Trinnskatt step after the payment
+    bracket: calculateBracketProximity({
+      annualIncome: fromOre(incomeBefore + amountOre), tableNumber: taxTableNumber, taxYear, capitalIncome
+    })
+  };
+}
+
+/**
+ * Compare paying out overtime with taking it as time off in lieu (avspasering)
+ *
+ * With avspasering the overtime hours are banked and taken off later at
+ * normal salary, while the overtime premium is still paid out (the
+ * arbeidsmiljøloven requires the premium to be paid). The two choices:
+ * - Payout: the full overtime pay, taxed at the margin on top of the year's
+ *   income, plus feriepenger on it.
+ * - Time off: the premium is paid out and taxed the same way. The banked
+ *   hours are worth what the normal salary for them takes home, i.e. what
+ *   you would lose by taking the hours off unpaid. Normal salary already
+ *   earns feriepenger, so only the premium adds feriepenger.
+ *
+ * The tax difference is the tax on the payout minus the tax on the premium
+ * and the salary for the banked hours. The break-even value is what an hour
+ * off must be worth to you (net) for avspasering to match the payout.
+ *
+ * @param {object} params - Same parameters as calculateOvertimeTakeHome()
+ * @returns {object} { taxYear, hours, payout, timeOff, taxDifference, breakEvenHourValue, better }
+ */
+function calculateTimeOffComparison(params) {
+  // Same profile (hourly basis and income the overtime is stacked on) as the payout
+  const profile = prepareOvertimeProfile(params);
+  const payout = calculateOvertimeWithProfile(profile, getRequestedEntries(params));
+  const { prepared } = profile;
+
+  // All hours are banked 1:1 (mertid has no premium), valued like the overtime pay
+  const hours = payout.categories.reduce((sum, category) => sum + category.hours, 0);
+  const bankedValueGross = roundHalfUp(profile.hourlyBasis * hours / profile.annualHours);
+  const premiumGross = Math.max(0, toOre(payout.grossPay) - bankedValueGross);
+  const premiumTax = calculatePreparedActualTax(prepared.actualTax, premiumGross).tax;
+
+  // Tax on the normal salary for the banked hours (saved if they were taken unpaid)
+  const bankedValueTax = calculateActualTaxOnExtraPay({
+    incomeBefore: profile.incomeBefore - bankedValueGross,
+    extraPay: bankedValueGross,
+    tableNumber: profile.taxTableNumber,
+    taxYear: profile.taxYear,
+    capitalIncome: toOre(profile.capitalIncome)
+  }).tax;
+  const bankedValue = bankedValueGross - bankedValueTax;
+
+  const premiumHolidayPay = calculatePreparedHolidayPay(prepared.holidayPay, fromOre(premiumGross));
+  const premiumHolidayPayNet = toOre(premiumHolidayPay.net);
+
+  const premiumTakeHome = premiumGross - premiumTax;
+  const timeOffTotal = premiumTakeHome + premiumHolidayPayNet + bankedValue;
+  const payoutTotal = toOre(payout.totalValue);
+
+  // Net value of an hour off where both choices are worth the same
+  const breakEvenHourValue = hours > 0
+    ? roundToOre(fromOre(payoutTotal - premiumTakeHome - premiumHolidayPayNet) / hours)
+    : null;
+
+  return {
+    taxYear: payout.taxYear,
+    hours: Math.round(hours * 100) / 100,
+
+    payout: {
+      grossPay: payout.grossPay,
+      tax: payout.actualTax,
+      takeHome: payout.takeHome,
+      holidayPay: payout.holidayPay.net,
+      totalValue: payout.totalValue
+    },
+
+    timeOff: {
+      hours: Math.round(hours * 100) / 100,
+      premiumGross: fromOre(premiumGross),
+      premiumTax: fromOre(premiumTax),
+      premiumTakeHome: fromOre(premiumTakeHome),
+      holidayPay: premiumHolidayPay.net,
+      bankedValueGross: fromOre(bankedValueGross),
+      bankedValue: fromOre(bankedValue),
+      hourValue: hours > 0 ? roundToOre(fromOre(bankedValue) / hours) : null,
+      totalValue: fromOre(timeOffTotal)
+    },
+
+    // Positive when avspasering gives less tax than the payout
+    taxDifference: fromOre(toOre(payout.actualTax) - premiumTax - bankedValueTax),
+    breakEvenHourValue,
+    better: timeOffTotal >= payoutTotal ? 'timeOff' : 'payout'
+  };
+}
+
+/**
+ * Find how many overtime hours are needed to take home a target net amount
+ *
+ * Inverse of calculateOvertimeTakeHome(). Take-home pay grows monotonically
+ * with the hours, but step-wise rather than linearly: actual tax has kinks
+ * where trinnskatt steps and the minstefradrag cap kick in, and withholding
+ * follows the 100 kr income intervals of the trekk (formula or official
+ * table). Instead of inverting it, the hours are found numerically: a coarse
+ * scan finds the first step where the target is reached, then bisection
+ * narrows it down. Both only rely on take-home never decreasing with the hours.
+ *
+ * The profile is prepared once and every probe goes through it
+ * (see prepareOvertimeProfile).
+ *
+ * @param {object} params - Same parameters as calculateOvertimeTakeHome(), without hours
+ * @param {number} targetAmount - Net amount to take home in NOK
+ * @param {object} [options] - Solver options
+ * @param {string} [options.method] - 'actual' (take-home after actual tax) or 'withholding' (default: 'actual')
+ * @param {number} [options.multiplier] - Overtime multiplier for the hours (default: 1.4)
+ * @param {string} [options.label] - Category label used in the result
+ * @param {number} [options.maxHours] - Upper bound for the search (default: 200)
+ * @param {number} [options.precision] - Hour precision of the answer (default: 0.01)
+ * @returns {object} { hours, reachable, takeHome, result } - hours is null if the
+ *   target cannot be reached within maxHours; result is the full calculation at hours
+ */
+function calculateHoursForTakeHome(params, targetAmount, {
+  method = 'actual',
+  multiplier = DEFAULT_OVERTIME_MULTIPLIER,
+  label,
+  maxHours = 200,
+  precision = 0.01
+} = {}) {
+  const profile = prepareOvertimeProfile(params);
+  const calculate = (hours) => calculateOvertimeWithProfile(profile, [{ hours, multiplier, label }]);
+  const takeHomeOf = (result) => (method === 'withholding' ? result.takeHomeWithholding : result.takeHome);
+
+  if (targetAmount <= 0) {
+    const result = calculate(0);
+    return { hours: 0, reachable: true, takeHome: takeHomeOf(result), result };
+  }
+
+  // Coarse scan for the first step where the target is reached
+  const scanStep = 0.5;
+  let low = 0;
+  let high = null;
+  for (let hours = scanStep; hours < maxHours + scanStep; hours += scanStep) {
+    const candidate = Math.min(hours, maxHours);
+    if (takeHomeOf(calculate(candidate)) >= targetAmount) {
+      high = candidate;
+      break;
+    }
+    low = candidate;
+  }
+
+  if (high === null) {
+    const result = calculate(maxHours);
+    return { hours: null, reachable: false, takeHome: takeHomeOf(result), result };
+  }
+
+  // Bisect within the step
+  while (high - low > precision / 2) {
+    const middle = (low + high) / 2;
+    if (takeHomeOf(calculate(middle)) >= targetAmount) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+
+  // Round up so the returned hours always reach the target
+  let hours = Math.ceil(high / precision) * precision;
+  hours = Math.round(hours * 1e6) / 1e6;
+  const result = calculate(hours);
+  return { hours, reachable: true, takeHome: takeHomeOf(result), result };
+}
+
+/**
+ * Compare take-home pay for the same overtime hours across scenarios
+ *
+ * Each scenario overrides some of the shared parameters: table number, tax
+ * year, salary, tax card or any other parameter of calculateOvertimeTakeHome(),
+ * and picks a calculation mode: 'actual' (take-home after actual tax) or
+ * 'withholding' (what is paid out). The hours always come from the shared
+ * parameters, so the scenarios differ only in what they override.
+ *
+ * Differences are relative to the first scenario. A withholding table belongs
+ * to one table number and tax year, so it is dropped for scenarios that
+ * override either unless they bring their own.
+ *
+ * @param {object} params - Parameters of calculateOvertimeTakeHome() shared by all scenarios
+ * @param {Array} scenarios - [{ label, method, ...overrides }] (method default: 'actual')
+ * @returns {object} { scenarios, highest, lowest, spread } - scenarios is
+ *   [{ label, method, tableNumber, taxYear, yearlySalary, grossPay, tax, takeHome,
+ *   effectiveRate, difference: { takeHome, effectiveRate }, result }]; highest and lowest
+ *   are indexes of the highest and lowest take-home, spread the take-home between them
+ */
+function compareScenarios(params, scenarios) {
+  const hours = { overtimeHours: params.overtimeHours, overtimeEntries: params.overtimeEntries };
+
+  const compared = scenarios.map(({ label, method = 'actual', ...overrides }) => {
+    const changesTable = 'tableNumber' in overrides || 'taxYear' in overrides;
+    const result = calculateOvertimeTakeHome({
+      ...params,
+      withholdingTable: changesTable ? null : params.withholdingTable,
+      ...overrides,
+      ...hours
+    });
+    const withholding = method === 'withholding';
+
+    return {
+      label,
+      method,
+      tableNumber: overrides.tableNumber !== undefined ? overrides.tableNumber : params.tableNumber,
+      taxYear: result.taxYear,
+      yearlySalary: result.yearlySalary,
+      grossPay: result.grossPay,
+      tax: withholding ? result.withholding : result.actualTax,
+      takeHome: withholding ? result.takeHomeWithholding : result.takeHome,
+      effectiveRate: withholding ? result.effectiveRateWithholding : result.effectiveRate,
+      result
+    };
+  });
+
+  // Differences against the first scenario, in øre to avoid float drift
+  const reference = compared[0];
+  compared.forEach(scenario => {
+    scenario.difference = {
+      takeHome: fromOre(toOre(scenario.takeHome) - toOre(reference.takeHome)),
+      effectiveRate: Math.round((scenario.effectiveRate - reference.effectiveRate) * 1000) / 1000
+    };
+  });
+
+  const takeHomes = compared.map(scenario => scenario.takeHome);
+  const highest = takeHomes.indexOf(Math.max(...takeHomes));
+  const lowest = takeHomes.indexOf(Math.min(...takeHomes));
+
+  return {
+    scenarios: compared,
+    highest,
+    lowest,
+    spread: compared.length > 0 ? fromOre(toOre(takeHomes[highest]) - toOre(takeHomes[lowest])) : 0
   };
 }
 
@@ -322,36 +2378,361 @@ function formatNOK(amount, includeDecimals = false) {
   return `kr ${formatted}`;
 }
 
+/**
+ * English message for each validateParameters() issue code, from the issue's params
+ * Front ends show their own text for the codes (see ui-text.js).
+ */
+const VALIDATION_MESSAGES = {
+  taxCardNotObject: () => 'Tax card must be an object with a type',
+  salaryMissing: () => 'Yearly salary must be provided as a number',
+  salaryOutOfRange: () => 'Yearly salary must be between 100,000 and 5,000,000 NOK',
+  salaryHistoryInvalid: () =>
+    'Each salary change needs a date (YYYY-MM-DD) and a salary between 100,000 and 5,000,000 NOK',
+  annualHourDivisorOutOfRange: () => 'Annual hour divisor must be between 1,000 and 2,500 hours',
+  positionPercentageOutOfRange: () => 'Position percentage must be above 0 and at most 100',
+  fixedSupplementsNegative: () => 'Fixed supplements must be zero or a positive number',
+  holidayPayRateOutOfRange: () => 'Holiday pay rate must be between 0 and 0.2',
+  yearToDateGrossNegative: () => 'Year-to-date overtime pay must be zero or a positive number',
+  otherIncomeNegative: ({ field }) => `Other income field "${field}" must be zero or a positive number`,
+  payoutDelayOutOfRange: () => 'Payout delay must be 0, 1 or 2 months',
+  overtimeEntriesInvalid: () => 'Each overtime category needs zero or more hours and a multiplier of at least 1',
+  overtimeHoursNegative: () => 'Overtime hours must be zero or a positive number',
+  overtimeHoursTooHigh: () => 'Overtime hours seems unusually high (>200 hours)',
+  taxCardTypeInvalid: ({ types }) => `Tax card type must be one of: ${types.join(', ')}`,
+  tableNumberInvalid: () => 'Invalid table number. Must be 8000-8400, 9010-9400, 7000-7400 or 7500-7900',
+  prosenttrekkPercentageInvalid: () => 'Prosenttrekk percentage must be a number between 0 and 100',
+  frikortRemainingNegative: () => 'Remaining frikort amount must be zero or a positive number',
+  taxYearUnavailable: ({ taxYear }) => `Tax rates for year ${taxYear} are not available`
+};
+
 /**
  * Validate calculation parameters
  *
+ * Each problem is an issue with a code from VALIDATION_MESSAGES and the
+ * values its message needs, so front ends can show it in their own language.
+ * errors has the English messages for the same issues.
+ *
  * @param {object} params - Parameters to validate
- * @returns {object} { valid: boolean, errors: string[] }
+ * @returns {object} { valid: boolean, errors: string[], issues: Array<{code: string, params: object}> }
  */
-function validateParameters({ yearlySalary, overtimeHours, tableNumber, taxYear }) {
-  const errors = [];
+function validateParameters({
+  yearlySalary,
+  salaryHistory,
+  annualHourDivisor,
+  positionPercentage,
+  fixedSupplements,
+  holidayPayRate,
+  yearToDateGross,
+  payoutDelayMonths,
+  otherIncome,
+  overtimeHours,
+  overtimeEntries,
+  tableNumber,
+  taxYear,
+  taxCard
+}) {
+  const issues = [];
+  const addIssue = (code, params = {}) => issues.push({ code, params });
+
+  // A missing tax card (undefined or null) is tabelltrekk
+  taxCard = taxCard === undefined || taxCard === null ? DEFAULT_TAX_CARD : taxCard;
+  const taxCardIsObject = typeof taxCard === 'object' && !Array.isArray(taxCard);
+  if (!taxCardIsObject) {
+    addIssue('taxCardNotObject');
+    taxCard = {};
+  }
+
+  const salaryInRange = (salary) => typeof salary === 'number' && salary >= 100000 && salary <= 5000000;
+  const hasSalaryHistory = Array.isArray(salaryHistory) && salaryHistory.length > 0;
+
+  // With a salary history, the salary before the first change is optional
+  if (yearlySalary === undefined || yearlySalary === null) {
+    if (!hasSalaryHistory) {
+      addIssue('salaryMissing');
+    }
+  } else if (typeof yearlySalary !== 'number') {
+    addIssue('salaryMissing');
+  } else if (!salaryInRange(yearlySalary)) {
+    addIssue('salaryOutOfRange');
+  }
+
+  if (salaryHistory !== undefined && salaryHistory !== null) {
+    const invalidEntry = !Array.isArray(salaryHistory) || salaryHistory.find(entry =>
+      !entry || typeof entry.from !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(entry.from) ||
+      !salaryInRange(entry.yearlySalary)
+    );
+    if (invalidEntry) {
+      addIssue('salaryHistoryInvalid');
+    }
+  }
+
+  if (annualHourDivisor !== undefined &&
+      (typeof annualHourDivisor !== 'number' || annualHourDivisor < 1000 || annualHourDivisor > 2500)) {
+    addIssue('annualHourDivisorOutOfRange');
+  }
+
+  if (positionPercentage !== undefined &&
+      (typeof positionPercentage !== 'number' || positionPercentage <= 0 || positionPercentage > 100)) {
+    addIssue('positionPercentageOutOfRange');
+  }
+
+  if (fixedSupplements !== undefined && (typeof fixedSupplements !== 'number' || fixedSupplements < 0)) {
+    addIssue('fixedSupplementsNegative');
+  }
+
+  if (holidayPayRate !== undefined &&
+      (typeof holidayPayRate !== 'number' || holidayPayRate < 0 || holidayPayRate > 0.2)) {
+    addIssue('holidayPayRateOutOfRange');
+  }
+
+  if (yearToDateGross !== undefined && (typeof yearToDateGross !== 'number' || yearToDateGross < 0)) {
+    addIssue('yearToDateGrossNegative');
+  }
+
+  if (otherIncome) {
+    const invalidField = OTHER_INCOME_FIELDS.find(field =>
+      otherIncome[field] !== undefined && (typeof otherIncome[field] !== 'number' || otherIncome[field] < 0)
+    );
+    if (invalidField) {
+      addIssue('otherIncomeNegative', { field: invalidField });
+    }
+  }
+
+  if (payoutDelayMonths !== undefined &&
+      (!Number.isInteger(payoutDelayMonths) || payoutDelayMonths < 0 || payoutDelayMonths > 2)) {
+    addIssue('payoutDelayOutOfRange');
+  }
 
-  if (yearlySalary === undefined || yearlySalary === null || typeof yearlySalary !== 'number') {
-    errors.push('Yearly salary must be provided as a number');
-  } else if (yearlySalary < 100000 || yearlySalary > 5000000) {
-    errors.push('Yearly salary must be between 100,000 and 5,000,000 NOK');
+  if (overtimeEntries) {
+    const validEntry = (entry) => entry && typeof entry === 'object' &&
+      typeof entry.hours === 'number' && entry.hours >= 0 &&
+      typeof entry.multiplier === 'number' && entry.multiplier >= 1;
+    if (!Array.isArray(overtimeEntries) || !overtimeEntries.every(validEntry)) {
+      addIssue('overtimeEntriesInvalid');
+    }
+    overtimeHours = Array.isArray(overtimeEntries)
+      ? overtimeEntries.reduce((sum, entry) => sum + ((entry && entry.hours) || 0), 0)
+      : 0;
   }
 
   if (overtimeHours === undefined || overtimeHours === null || overtimeHours < 0) {
-    errors.push('Overtime hours must be zero or a positive number');
+    addIssue('overtimeHoursNegative');
   }
 
   if (overtimeHours > 200) {
-    errors.push('Overtime hours seems unusually high (>200 hours)');
+    addIssue('overtimeHoursTooHigh');
   }
 
-  const tableInfo = parseTableNumber(tableNumber);
-  if (!tableInfo) {
-    errors.push('Invalid table number. Must be 8000-8400 or 9010-9400');
+  if (taxCardIsObject && !TAX_CARD_TYPES.includes(taxCard.type)) {
+    addIssue('taxCardTypeInvalid', { types: TAX_CARD_TYPES });
+  }
+
+  // Table number is required for tabelltrekk, optional for the other card types
+  const tableRequired = taxCard.type === 'tabelltrekk';
+  const tableGiven = tableNumber !== undefined && tableNumber !== null;
+  if ((tableRequired || tableGiven) && !parseTableNumber(tableNumber)) {
+    addIssue('tableNumberInvalid');
+  }
+
+  if (taxCard.type === 'prosenttrekk' &&
+      (typeof taxCard.percentage !== 'number' || taxCard.percentage < 0 || taxCard.percentage > 100)) {
+    addIssue('prosenttrekkPercentageInvalid');
+  }
+
+  if (taxCard.type === 'frikort' && (typeof taxCard.remaining !== 'number' || taxCard.remaining < 0)) {
+    addIssue('frikortRemainingNegative');
+  }
+
+  if (taxYear && !TAX_RATES_DATA[taxYear] && !customRateSets.has(taxYear)) {
+    addIssue('taxYearUnavailable', { taxYear });
+  }
+
+  return {
+    valid: issues.length === 0,
+    errors: issues.map(issue => VALIDATION_MESSAGES[issue.code](issue.params)),
+    issues
+  };
+}
+
+/**
+ * Inputs the tax rule steps can use besides earlier steps (see runTaxRules)
+ */
+const TAX_RULE_INPUTS = ['personalIncome', 'capitalIncome', 'tableAdjustment'];
+
+/**
+ * Special tables every rate set needs rules for (see parseTableNumber)
+ */
+const SPECIAL_TABLES = ['pension', 'tiltakssone'];
+
+/**
+ * Validate the rate values of a tax year
+ *
+ * @param {object} rates - Rates in the shape of a TAX_RATES year
+ * @param {string} [prefix] - Prefix for the error messages
+ * @returns {string[]} Error messages
+ */
+function validateRateValues(rates, prefix = '') {
+  const errors = [];
+  const checkNumber = (path, value, min, max = Infinity) => {
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+      errors.push(isFinite(max)
+        ? `${prefix}${path} must be a number from ${min} to ${max}`
+        : `${prefix}${path} must be a number of at least ${min}`);
+    }
+  };
+  const section = (name) => (rates[name] !== null && typeof rates[name] === 'object' ? rates[name] : {});
+
+  // Rising thresholds, the top bracket has no upper limit (null in JSON)
+  const brackets = rates.trinnskatt;
+  if (!Array.isArray(brackets) || brackets.length === 0) {
+    errors.push(`${prefix}trinnskatt must be a list of brackets`);
+  } else {
+    let previousThreshold = 0;
+    brackets.forEach((bracket, index) => {
+      const { threshold, rate } = bracket || {};
+      checkNumber(`trinnskatt[${index}].rate`, rate, 0, 1);
+      if (index === brackets.length - 1) {
+        if (threshold !== null && threshold !== Infinity) {
+          errors.push(`${prefix}The top trinnskatt bracket must have no upper limit (threshold null)`);
+        }
+      } else if (typeof threshold !== 'number' || !isFinite(threshold) || threshold <= previousThreshold) {
+        errors.push(`${prefix}trinnskatt[${index}].threshold must be higher than the bracket below`);
+      } else {
+        previousThreshold = threshold;
+      }
+    });
+  }
+
+  const trygdeavgift = section('trygdeavgift');
+  checkNumber('trygdeavgift.rate', trygdeavgift.rate, 0, 1);
+  checkNumber('trygdeavgift.threshold', trygdeavgift.threshold, 0);
+  checkNumber('trygdeavgift.phaseInRate', trygdeavgift.phaseInRate, 0, 1);
+  checkNumber('alminneligInntekt.rate', section('alminneligInntekt').rate, 0, 1);
+
+  const minstefradrag = section('minstefradrag');
+  checkNumber('minstefradrag.rate', minstefradrag.rate, 0, 1);
+  checkNumber('minstefradrag.min', minstefradrag.min, 0);
+  const deductionMin = typeof minstefradrag.min === 'number' ? minstefradrag.min : 0;
+  checkNumber('minstefradrag.max', minstefradrag.max, deductionMin);
+
+  checkNumber('personfradrag', rates.personfradrag, 0);
+  checkNumber('withholdingMonths', rates.withholdingMonths, 1, 12);
+  checkNumber('frikortTrekkRate', rates.frikortTrekkRate, 0, 1);
+
+  return errors;
+}
+
+/**
+ * Validate a list of tax rule steps against the rates they read
+ *
+ * Every step needs a known operation and its rates, and may only use
+ * inputs and steps calculated before it.
+ *
+ * @param {Array} rules - Rule steps
+ * @param {object} rates - Rates the steps read from
+ * @param {string} [prefix] - Prefix for the error messages
+ * @returns {string[]} Error messages
+ */
+function validateTaxRules(rules, rates, prefix = '') {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return [`${prefix}rules must be a list of rule steps`];
+  }
+
+  const errors = [];
+  const known = new Set(TAX_RULE_INPUTS);
+
+  rules.forEach((step, index) => {
+    if (!step || typeof step.id !== 'string' || step.id === '') {
+      errors.push(`${prefix}Rule step ${index + 1} needs an id`);
+      return;
+    }
+
+    const name = `${prefix}Rule step "${step.id}"`;
+    if (known.has(step.id)) {
+      errors.push(`${name} is defined twice`);
+    }
+
+    if (!TAX_RULE_OPERATIONS[step.op]) {
+      errors.push(`${name} has unknown operation "${step.op}"`);
+    } else if (step.op !== 'base' && rates[step.rates] === undefined) {
+      errors.push(`${name} uses missing rates "${step.rates}"`);
+    } else if (step.op === 'amount' && typeof rates[step.rates] !== 'number') {
+      errors.push(`${name} needs a number in "${step.rates}"`);
+    }
+
+    const uses = step.op === 'base' ? step.add : step.op === 'amount' ? [] : [step.of];
+    if (!Array.isArray(uses)) {
+      errors.push(`${name} needs a list of values to add`);
+    } else {
+      uses.filter(value => !known.has(value)).forEach(value => {
+        errors.push(`${name} uses "${value}" before it is calculated`);
+      });
+    }
+
+    known.add(step.id);
+  });
+
+  if (!rules.some(step => step && step.tax)) {
+    errors.push(`${prefix}rules need at least one tax step`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a user-defined rate set before it is used
+ *
+ * Checks the rates, the rule steps and the rates and steps of every special
+ * table once merged in, so any table number can be calculated with the set.
+ *
+ * @param {object} set - { id, name, year, rates } (see registerCustomRateSets)
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+function validateRateSet(set) {
+  if (!set || typeof set !== 'object') {
+    return { valid: false, errors: ['Rate set must be an object'] };
   }
 
-  if (taxYear && !TAX_RATES_DATA[taxYear]) {
-    errors.push(`Tax rates for year ${taxYear} are not available`);
+  const errors = [];
+  if (typeof set.id !== 'string' || set.id === '' || /^\d+$/.test(set.id)) {
+    errors.push('Rate set id must be text, not a year');
+  }
+  if (typeof set.name !== 'string' || set.name.trim() === '') {
+    errors.push('Rate set needs a name');
+  }
+  if (!Number.isInteger(set.year) || set.year < 2000 || set.year > 2100) {
+    errors.push('Rate set year must be a year from 2000 to 2100');
+  }
+
+  const rates = set.rates;
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    errors.push('Rate set needs rates in the shape of a TAX_RATES year');
+    return { valid: false, errors };
+  }
+
+  const rateErrors = [...validateRateValues(rates), ...validateTaxRules(rates.rules, rates)];
+  errors.push(...rateErrors);
+
+  // Special tables are only checked once the ordinary rates are valid
+  const specialTables = rates.specialTables || {};
+  for (const special of SPECIAL_TABLES) {
+    const table = specialTables[special];
+    if (!table || typeof table !== 'object') {
+      errors.push(`specialTables.${special} is missing`);
+    } else if ((table.rates !== undefined && (typeof table.rates !== 'object' || table.rates === null)) ||
+        (table.rules !== undefined && !Array.isArray(table.rules))) {
+      errors.push(`specialTables.${special} needs rates as an object and rules as a list`);
+    } else if (rateErrors.length === 0) {
+      try {
+        const tableRates = normalizeTaxRates(applyTableRules(rates, { special }));
+        errors.push(
+          ...validateRateValues(tableRates, `${special}: `),
+          ...validateTaxRules(tableRates.rules, tableRates, `${special}: `)
+        );
+      } catch (error) {
+        errors.push(`${special}: ${error.message}`);
+      }
+    }
   }
 
   return {
@@ -364,11 +2745,50 @@ function validateParameters({ yearlySalary, overtimeHours, tableNumber, taxYear
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     parseTableNumber,
+    applyTableRules,
+    mergeRates,
+    runTaxRules,
+    registerCustomRateSets,
+    getCustomRateSet,
+    validateRateSet,
     calculateTrinnskatt,
+    calculateTrygdeavgift,
     calculateMonthlyWithholding,
+    lookupMonthlyWithholding,
+    getWithholdingMonthFactor,
+    getPayoutPeriod,
+    calculateFrikortWithholding,
     calculateAnnualTax,
+    calculateTaxComponents,
+    summarizeOtherIncome,
+    calculateMarginalTaxRate,
+    calculateBracketProximity,
+    calculateMarginalRateCurve,
+    calculateHolidayPay,
+    calculateYearToDateGross,
+    getSalaryOnDate,
+    calculateProratedSalary,
     calculateOvertimeTakeHome,
+    calculateOvertimeTakeHomeBatch,
+    clearCalculationCache,
+    calculateOneOffPaymentTakeHome,
+    calculateTimeOffComparison,
+    calculateHoursForTakeHome,
+    compareScenarios,
     formatNOK,
-    validateParameters
+    validateParameters,
+    VALIDATION_MESSAGES,
+    splitMertid,
+    DEFAULT_OVERTIME_MULTIPLIER,
+    DEFAULT_ANNUAL_HOUR_DIVISOR,
+    DEFAULT_HOLIDAY_PAY_RATE,
+    DEFAULT_PAYOUT_DELAY_MONTHS,
+    WITHHOLDING_ROUNDING,
+    ESTIMATE_UNCERTAINTY,
+    ORE_PER_KRONE,
+    toOre,
+    fromOre,
+    applyRate,
+    OTHER_INCOME_FIELDS
   };
 }
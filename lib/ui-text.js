@@ -0,0 +1,89 @@
+/**
+ * Norwegian UI Text Shared by the Popup and the Hover Popup
+ *
+ * Labels, validation messages and escaping used by content/content.js,
+ * popup/popup.js and the command-line calculator. Loaded before both views,
+ * so they show the same text and escape user-provided text the same way.
+ */
+
+/**
+ * Label for the withholding line, by withholdingSource
+ */
+const WITHHOLDING_LABELS = {
+  formula: 'Forskuddstrekk',
+  table: 'Forskuddstrekk (tabell)',
+  prosenttrekk: 'Prosenttrekk',
+  frikort: 'Trekk (frikort)'
+};
+
+/**
+ * Label for each other income field, as in the popup form
+ */
+const OTHER_INCOME_LABELS = {
+  bonus: 'Bonus',
+  secondJob: 'Annen arbeidsgiver',
+  benefitsInKind: 'Naturalytelser',
+  capitalIncome: 'Kapitalinntekter',
+  capitalDeductions: 'Fradrag'
+};
+
+/**
+ * Norwegian text for each validateParameters() issue code, from the issue's params
+ */
+const VALIDATION_TEXT = {
+  taxCardNotObject: () => 'Skattekortet må være et objekt med en type',
+  salaryMissing: () => 'Årslønn må oppgis som et tall',
+  salaryOutOfRange: () => 'Årslønn må være mellom 100 000 og 5 000 000 kr',
+  salaryHistoryInvalid: () => 'Hver lønnsendring trenger en dato og en årslønn mellom 100 000 og 5 000 000 kr',
+  annualHourDivisorOutOfRange: () => 'Timer per år må være mellom 1 000 og 2 500',
+  positionPercentageOutOfRange: () => 'Stillingsprosent må være over 0 og høyst 100',
+  fixedSupplementsNegative: () => 'Faste tillegg kan ikke være negative',
+  holidayPayRateOutOfRange: () => 'Feriepengesats må være mellom 0 og 0.2',
+  yearToDateGrossNegative: () => 'Overtid tidligere i år kan ikke være negativ',
+  otherIncomeNegative: ({ field }) => `${OTHER_INCOME_LABELS[field] || field}: beløpet kan ikke være negativt`,
+  payoutDelayOutOfRange: () => 'Måneder til utbetaling må være 0, 1 eller 2',
+  overtimeEntriesInvalid: () => 'Hver overtidskategori trenger 0 eller flere timer og faktor minst 1',
+  overtimeHoursNegative: () => 'Overtidstimer kan ikke være negative',
+  overtimeHoursTooHigh: () => 'Over 200 timer overtid er urimelig mye',
+  taxCardTypeInvalid: ({ types }) => `Skattekort må være en av: ${types.join(', ')}`,
+  tableNumberInvalid: () => 'Ugyldig skattetabell (8000-8400, 9010-9400, 7000-7400 eller 7500-7900)',
+  prosenttrekkPercentageInvalid: () => 'Prosent for prosenttrekk må være mellom 0 og 100',
+  frikortRemainingNegative: () => 'Gjenstående frikortbeløp kan ikke være negativt',
+  taxYearUnavailable: ({ taxYear }) => `Det finnes ikke skattesatser for ${taxYear}`
+};
+
+/**
+ * Norwegian text for an issue from validateParameters()
+ *
+ * @param {object} issue - { code, params } from validateParameters().issues
+ * @returns {string} Norwegian message
+ */
+function translateValidationIssue({ code, params }) {
+  return VALIDATION_TEXT[code](params);
+}
+
+/**
+ * Characters with a meaning in HTML, and their entities
+ */
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use in popup HTML (element content and quoted attributes)
+ *
+ * @param {string} text - Text from settings, the page or an imported file
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { WITHHOLDING_LABELS, VALIDATION_TEXT, translateValidationIssue, escapeHTML };
+}
@@ -19,8 +19,74 @@ const tableNumberInput = document.getElementById('tableNumber');
 const taxYearSelect = document.getElementById('taxYear');
 const saveButton = document.getElementById('saveButton');
 const successMessage = document.getElementById('successMessage');
+const formError = document.getElementById('formError');
 const salaryError = document.getElementById('salaryError');
 const tableError = document.getElementById('tableError');
+const salaryChangeList = document.getElementById('salaryChangeList');
+const addSalaryChangeButton = document.getElementById('addSalaryChange');
+const salaryChangeError = document.getElementById('salaryChangeError');
+const annualHourDivisorInput = document.getElementById('annualHourDivisor');
+const positionPercentageInput = document.getElementById('positionPercentage');
+const fixedSupplementsInput = document.getElementById('fixedSupplements');
+const hourlyBasisError = document.getElementById('hourlyBasisError');
+const holidayPayRateSelect = document.getElementById('holidayPayRate');
+const otherIncomeInputs = {
+  bonus: document.getElementById('otherBonus'),
+  secondJob: document.getElementById('otherSecondJob'),
+  benefitsInKind: document.getElementById('otherBenefits'),
+  capitalIncome: document.getElementById('otherCapitalIncome'),
+  capitalDeductions: document.getElementById('otherCapitalDeductions')
+};
+const otherIncomeError = document.getElementById('otherIncomeError');
+const payoutDelayMonthsSelect = document.getElementById('payoutDelayMonths');
+const yearToDateModeSelect = document.getElementById('yearToDateMode');
+const historyStatus = document.getElementById('historyStatus');
+const clearHistoryButton = document.getElementById('clearHistory');
+const manualYearToDateGroup = document.getElementById('manualYearToDateGroup');
+const manualYearToDateInput = document.getElementById('manualYearToDate');
+const yearToDateError = document.getElementById('yearToDateError');
+const taxCardTypeSelect = document.getElementById('taxCardType');
+const percentageGroup = document.getElementById('percentageGroup');
+const taxPercentageInput = document.getElementById('taxPercentage');
+const percentageError = document.getElementById('percentageError');
+const frikortGroup = document.getElementById('frikortGroup');
+const frikortRemainingInput = document.getElementById('frikortRemaining');
+const frikortError = document.getElementById('frikortError');
+const categoryList = document.getElementById('categoryList');
+const addCategoryButton = document.getElementById('addCategory');
+const categoryError = document.getElementById('categoryError');
+const tableFileInput = document.getElementById('tableFile');
+const tableFileStatus = document.getElementById('tableFileStatus');
+const tableFileError = document.getElementById('tableFileError');
+const clearTableFileButton = document.getElementById('clearTableFile');
+const targetAmountInput = document.getElementById('targetAmount');
+const targetResult = document.getElementById('targetResult');
+const tabButtons = document.querySelectorAll('.tab');
+const oneOffTypeSelect = document.getElementById('oneOffType');
+const oneOffAmountInput = document.getElementById('oneOffAmount');
+const oneOffMonthInput = document.getElementById('oneOffMonth');
+const oneOffResult = document.getElementById('oneOffResult');
+const compareHoursInput = document.getElementById('compareHours');
+const scenarioList = document.getElementById('scenarioList');
+const addScenarioButton = document.getElementById('addScenario');
+const scenarioError = document.getElementById('scenarioError');
+const compareResult = document.getElementById('compareResult');
+const rateSetSelect = document.getElementById('rateSetSelect');
+const rateSetNameInput = document.getElementById('rateSetName');
+const rateSetYearInput = document.getElementById('rateSetYear');
+const rateSetRatesInput = document.getElementById('rateSetRates');
+const fillOfficialRatesButton = document.getElementById('fillOfficialRates');
+const rateSetFileInput = document.getElementById('rateSetFile');
+const rateSetError = document.getElementById('rateSetError');
+const saveRateSetButton = document.getElementById('saveRateSet');
+const rateSetStatus = document.getElementById('rateSetStatus');
+const compareRateSetButton = document.getElementById('compareRateSet');
+const deleteRateSetButton = document.getElementById('deleteRateSet');
+
+// Stored data shown in the popup, also used for the target amount calculation
+let storedOvertimeHistory = {};
+let storedWithholdingTables = {};
+let storedRateSets = [];
 
 /**
  * Validate yearly salary
@@ -29,15 +95,11 @@ const tableError = document.getElementById('tableError');
  */
 function validateSalary(salary) {
   if (!salary || isNaN(salary)) {
-    return 'Vennligst oppgi en gyldig årslønn';
-  }
-
-  if (salary < 100000) {
-    return 'Årslønnen må være minst 100 000 kr';
+    return translateValidationIssue({ code: 'salaryMissing', params: {} });
   }
 
-  if (salary > 5000000) {
-    return 'Årslønnen må være mindre enn 5 000 000 kr';
+  if (salary < 100000 || salary > 5000000) {
+    return translateValidationIssue({ code: 'salaryOutOfRange', params: {} });
   }
 
   return null;
@@ -45,25 +107,323 @@ function validateSalary(salary) {
 
 /**
  * Validate table number
+ * Fradragstabell (8000-8400), tilleggstabell (9010-9400), pensjonstabell
+ * (7000-7400) or tiltakssone table (7500-7900), see parseTableNumber()
  * @param {number} tableNum - Tax table number
  * @returns {string|null} Error message or null if valid
  */
 function validateTableNumber(tableNum) {
-  if (!tableNum || isNaN(tableNum)) {
-    return 'Vennligst oppgi et gyldig tabelltall';
+  return parseTableNumber(tableNum) ? null : translateValidationIssue({ code: 'tableNumberInvalid', params: {} });
+}
+
+/**
+ * Error element and input for each validateParameters() issue code
+ * Issues without a field of their own are shown under the save button.
+ */
+const ISSUE_FIELDS = {
+  salaryMissing: [salaryError, yearlySalaryInput],
+  salaryOutOfRange: [salaryError, yearlySalaryInput],
+  salaryHistoryInvalid: [salaryChangeError],
+  tableNumberInvalid: [tableError, tableNumberInput],
+  annualHourDivisorOutOfRange: [hourlyBasisError, annualHourDivisorInput],
+  positionPercentageOutOfRange: [hourlyBasisError, positionPercentageInput],
+  fixedSupplementsNegative: [hourlyBasisError, fixedSupplementsInput],
+  otherIncomeNegative: [otherIncomeError],
+  yearToDateGrossNegative: [yearToDateError, manualYearToDateInput],
+  prosenttrekkPercentageInvalid: [percentageError, taxPercentageInput],
+  frikortRemainingNegative: [frikortError, frikortRemainingInput]
+};
+
+/**
+ * Read a number for validateParameters(), with an unreadable input as missing
+ * @param {number} value - Number read from the form (NaN if invalid)
+ * @returns {number|null} The number, or null for NaN
+ */
+function numberOrNull(value) {
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Check the profile in the form with validateParameters()
+ * @param {object} settings - yearlySalary, salaryHistory, tableNumber, taxCard, annualHourDivisor,
+ *   positionPercentage, fixedSupplements, otherIncome and yearToDateGross (NaN if invalid)
+ * @returns {Array} Issues from validateParameters(), [{ code, params }]
+ */
+function validateSettings(settings) {
+  const taxCard = { ...settings.taxCard };
+  if ('percentage' in taxCard) taxCard.percentage = numberOrNull(taxCard.percentage);
+  if ('remaining' in taxCard) taxCard.remaining = numberOrNull(taxCard.remaining);
+
+  const otherIncome = {};
+  for (const [field, amount] of Object.entries(settings.otherIncome)) {
+    otherIncome[field] = numberOrNull(amount);
+  }
+
+  return validateParameters({
+    ...settings,
+    yearlySalary: numberOrNull(settings.yearlySalary),
+    tableNumber: numberOrNull(settings.tableNumber),
+    annualHourDivisor: numberOrNull(settings.annualHourDivisor),
+    positionPercentage: numberOrNull(settings.positionPercentage),
+    fixedSupplements: numberOrNull(settings.fixedSupplements),
+    yearToDateGross: settings.yearToDateGross === undefined ? undefined : numberOrNull(settings.yearToDateGross),
+    otherIncome,
+    taxCard,
+    overtimeHours: 0
+  }).issues;
+}
+
+/**
+ * Show validateParameters() issues in Norwegian, the first one for each field
+ * @param {Array} issues - [{ code, params }]
+ */
+function showSettingsIssues(issues) {
+  for (const issue of issues) {
+    const [errorElement, inputElement] = ISSUE_FIELDS[issue.code] || [formError];
+    if (inputElement) {
+      inputElement.classList.add('error');
+    }
+    if (!errorElement.textContent) {
+      errorElement.textContent = translateValidationIssue(issue);
+    }
+  }
+}
+
+/**
+ * Clear the messages shown by showSettingsIssues()
+ */
+function clearSettingsIssues() {
+  for (const [errorElement, inputElement] of [...Object.values(ISSUE_FIELDS), [formError]]) {
+    errorElement.textContent = '';
+    if (inputElement) {
+      inputElement.classList.remove('error');
+    }
+  }
+}
+
+/**
+ * Read a number input, using a default when it is left empty
+ * @param {HTMLInputElement} input - Number input
+ * @param {number} defaultValue - Value used for an empty input
+ * @returns {number} Parsed value (NaN if invalid)
+ */
+function readNumber(input, defaultValue) {
+  return input.value === '' ? defaultValue : parseFloat(input.value);
+}
+
+/**
+ * Read the other income profile from the form
+ * @returns {object} { bonus, secondJob, benefitsInKind, capitalIncome, capitalDeductions } (NaN if invalid)
+ */
+function readOtherIncome() {
+  const otherIncome = {};
+  for (const [field, input] of Object.entries(otherIncomeInputs)) {
+    otherIncome[field] = readNumber(input, 0);
+  }
+  return otherIncome;
+}
+
+/**
+ * Validate table number for the selected tax card type
+ * Only tabelltrekk requires a table number; for the others it is optional
+ * @param {number} tableNum - Tax table number (NaN if empty)
+ * @param {string} cardType - Tax card type
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTableNumberForCard(tableNum, cardType) {
+  if (cardType !== 'tabelltrekk' && isNaN(tableNum)) {
+    return null;
+  }
+  return validateTableNumber(tableNum);
+}
+
+/**
+ * Read the tax card from the form
+ * @returns {object} { type } with percentage or remaining for the card types that need them (NaN if invalid)
+ */
+function readTaxCard() {
+  const taxCard = { type: taxCardTypeSelect.value };
+  if (taxCard.type === 'prosenttrekk') {
+    taxCard.percentage = parseFloat(taxPercentageInput.value);
+  }
+  if (taxCard.type === 'frikort') {
+    taxCard.remaining = parseInt(frikortRemainingInput.value, 10);
   }
+  return taxCard;
+}
+
+/**
+ * Show only the inputs that belong to the selected tax card type
+ */
+function updateTaxCardFields() {
+  const cardType = taxCardTypeSelect.value;
+  percentageGroup.classList.toggle('hidden', cardType !== 'prosenttrekk');
+  frikortGroup.classList.toggle('hidden', cardType !== 'frikort');
+}
+
+// Category used until the user sets up their employer's categories
+const DEFAULT_CATEGORIES = [{ label: 'Overtid', multiplier: 1.4 }];
+
+/**
+ * Add an overtime category row to the list
+ * @param {object} category - { label, multiplier }
+ */
+function addCategoryRow(category = { label: '', multiplier: 1.5 }) {
+  const row = document.createElement('div');
+  row.className = 'category-row';
+  row.innerHTML = `
+    <input type="text" class="category-label" placeholder="Kveld" maxlength="30">
+    <input type="number" class="category-premium" min="0" max="300" step="5" placeholder="50">
+    <span class="category-unit">%</span>
+    <button type="button" class="category-remove" title="Fjern kategori">✕</button>
+  `;
+
+  row.querySelector('.category-label').value = category.label;
+  row.querySelector('.category-premium').value = Math.round((category.multiplier - 1) * 100);
+  row.querySelector('.category-remove').addEventListener('click', () => {
+    // Always keep at least one category
+    if (categoryList.children.length > 1) {
+      row.remove();
+    }
+  });
+
+  categoryList.appendChild(row);
+}
+
+/**
+ * Replace the category list with the given categories
+ * @param {Array} categories - [{ label, multiplier }]
+ */
+function renderCategories(categories) {
+  categoryList.innerHTML = '';
+  categories.forEach(category => addCategoryRow(category));
+}
+
+/**
+ * Read overtime categories from the form
+ * @returns {Array} [{ label, multiplier }] (multiplier NaN if premium is empty)
+ */
+function readCategories() {
+  return Array.from(categoryList.querySelectorAll('.category-row')).map(row => ({
+    label: row.querySelector('.category-label').value.trim(),
+    multiplier: 1 + parseFloat(row.querySelector('.category-premium').value) / 100
+  }));
+}
 
-  // Check if it's a valid fradragstabell (8000-8400) or tilleggstabell (9010-9400)
-  const isFradrag = tableNum >= 8000 && tableNum <= 8400;
-  const isTillegg = tableNum >= 9010 && tableNum <= 9400;
+/**
+ * Validate overtime categories
+ * @param {Array} categories - [{ label, multiplier }]
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCategories(categories) {
+  if (categories.some(category => !category.label)) {
+    return 'Alle kategorier må ha et navn';
+  }
 
-  if (!isFradrag && !isTillegg) {
-    return 'Tabelltallet må være mellom 8000-8400 eller 9010-9400';
+  if (categories.some(category => isNaN(category.multiplier) || category.multiplier < 1 || category.multiplier > 4)) {
+    return 'Tillegget må være mellom 0 og 300 %';
   }
 
   return null;
 }
 
+/**
+ * Add a salary change row to the list
+ * @param {object} change - { from: 'YYYY-MM-DD', yearlySalary }
+ */
+function addSalaryChangeRow(change = { from: '', yearlySalary: '' }) {
+  const row = document.createElement('div');
+  row.className = 'salary-change-row';
+  row.innerHTML = `
+    <input type="date" class="salary-change-from" title="Gjelder fra">
+    <input type="number" class="salary-change-amount" min="100000" max="5000000" step="1000" placeholder="720000">
+    <button type="button" class="salary-change-remove" title="Fjern lønnsendring">✕</button>
+  `;
+
+  row.querySelector('.salary-change-from').value = change.from;
+  row.querySelector('.salary-change-amount').value = change.yearlySalary;
+  row.querySelector('.salary-change-remove').addEventListener('click', () => {
+    row.remove();
+    updateTargetResult();
+  });
+
+  salaryChangeList.appendChild(row);
+}
+
+/**
+ * Replace the salary change list with the given changes
+ * @param {Array} changes - [{ from, yearlySalary }]
+ */
+function renderSalaryChanges(changes) {
+  salaryChangeList.innerHTML = '';
+  changes.forEach(change => addSalaryChangeRow(change));
+}
+
+/**
+ * Read salary changes from the form, sorted by date
+ * @returns {Array} [{ from: 'YYYY-MM-DD', yearlySalary }] (yearlySalary NaN if empty)
+ */
+function readSalaryChanges() {
+  return Array.from(salaryChangeList.querySelectorAll('.salary-change-row'))
+    .map(row => ({
+      from: row.querySelector('.salary-change-from').value,
+      yearlySalary: parseInt(row.querySelector('.salary-change-amount').value, 10)
+    }))
+    .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Show the manual amount input only when "Oppgi beløp selv" is selected
+ */
+function updateYearToDateFields() {
+  manualYearToDateGroup.classList.toggle('hidden', yearToDateModeSelect.value !== 'manual');
+}
+
+/**
+ * Show how much overtime the stored history holds for this year
+ * @param {object} history - { "YYYY-MM": grossPay } recorded by the content script
+ */
+function showHistoryStatus(history) {
+  storedOvertimeHistory = history || {};
+  const year = new Date().getFullYear();
+  const months = Object.entries(history || {}).filter(([key]) => key.startsWith(`${year}-`));
+
+  if (months.length === 0) {
+    historyStatus.textContent = `Ingen overtid registrert for ${year} ennå.`;
+    clearHistoryButton.classList.add('hidden');
+    return;
+  }
+
+  const total = months.reduce((sum, [, grossPay]) => sum + grossPay, 0);
+  historyStatus.textContent =
+    `Registrert for ${year}: ${months.length} måned(er), ${Math.round(total).toLocaleString('nb-NO')} kr brutto.`;
+  clearHistoryButton.classList.remove('hidden');
+}
+
+/**
+ * Load the overtime history recorded by the content script
+ */
+async function loadOvertimeHistory() {
+  try {
+    const result = await browserAPI.storage.local.get('overtimeHistory');
+    showHistoryStatus(result.overtimeHistory);
+  } catch (error) {
+    console.error('Error loading overtime history:', error);
+  }
+}
+
+/**
+ * Remove the recorded overtime history
+ */
+async function clearOvertimeHistory() {
+  try {
+    await browserAPI.storage.local.remove('overtimeHistory');
+    showHistoryStatus({});
+  } catch (error) {
+    console.error('Error removing overtime history:', error);
+  }
+}
+
 /**
  * Show error message for a field
  * @param {HTMLElement} errorElement - Error message element
@@ -115,6 +475,42 @@ function setCalculationMethod(method) {
   }
 }
 
+/**
+ * Fill a tax year select with every year that has a rate set
+ * Newest year first, after the first option ("auto" or "same"), then the
+ * custom rate sets. The selection is kept if it still exists.
+ * @param {HTMLSelectElement} select - Tax year select
+ */
+function fillTaxYearOptions(select) {
+  const selected = select.value;
+  select.replaceChildren(select.options[0]);
+
+  for (const year of getAvailableTaxYears().slice().reverse()) {
+    select.appendChild(new Option(String(year), String(year)));
+  }
+
+  if (storedRateSets.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Egne satser';
+    storedRateSets.forEach(set => group.appendChild(new Option(`${set.name} (${set.year})`, set.id)));
+    select.appendChild(group);
+  }
+
+  select.value = selected;
+  if (select.selectedIndex === -1) {
+    select.selectedIndex = 0;
+  }
+}
+
+/**
+ * Read a tax year option value
+ * @param {string} value - Year, or the id of a custom rate set
+ * @returns {number|string} Year as a number, or the rate set id
+ */
+function parseTaxYearValue(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 /**
  * Load saved settings from storage
  */
@@ -123,18 +519,91 @@ async function loadSettings() {
     const result = await browserAPI.storage.local.get('settings');
 
     if (result.settings) {
-      const { yearlySalary, tableNumber, taxYear, useWithholding } = result.settings;
+      const {
+        yearlySalary,
+        salaryHistory,
+        tableNumber,
+        taxYear,
+        useWithholding,
+        taxCard,
+        overtimeCategories,
+        annualHourDivisor,
+        positionPercentage,
+        fixedSupplements,
+        holidayPayRate,
+        otherIncome,
+        payoutDelayMonths,
+        yearToDateMode,
+        manualYearToDate
+      } = result.settings;
 
       if (yearlySalary) {
         yearlySalaryInput.value = yearlySalary;
       }
 
+      if (salaryHistory) {
+        renderSalaryChanges(salaryHistory);
+      }
+
       if (tableNumber) {
         tableNumberInput.value = tableNumber;
       }
 
-      if (taxYear) {
-        taxYearSelect.value = taxYear;
+      if (annualHourDivisor) {
+        annualHourDivisorInput.value = annualHourDivisor;
+      }
+
+      if (positionPercentage) {
+        positionPercentageInput.value = positionPercentage;
+      }
+
+      if (fixedSupplements) {
+        fixedSupplementsInput.value = fixedSupplements;
+      }
+
+      if (holidayPayRate !== undefined) {
+        holidayPayRateSelect.value = String(holidayPayRate);
+      }
+
+      if (otherIncome) {
+        for (const [field, input] of Object.entries(otherIncomeInputs)) {
+          if (otherIncome[field]) {
+            input.value = otherIncome[field];
+          }
+        }
+      }
+
+      if (payoutDelayMonths !== undefined) {
+        payoutDelayMonthsSelect.value = String(payoutDelayMonths);
+      }
+
+      if (yearToDateMode) {
+        yearToDateModeSelect.value = yearToDateMode;
+      }
+
+      if (manualYearToDate !== undefined) {
+        manualYearToDateInput.value = manualYearToDate;
+      }
+      updateYearToDateFields();
+
+      if (taxCard) {
+        taxCardTypeSelect.value = taxCard.type;
+        if (taxCard.percentage !== undefined) {
+          taxPercentageInput.value = taxCard.percentage;
+        }
+        if (taxCard.remaining !== undefined) {
+          frikortRemainingInput.value = taxCard.remaining;
+        }
+      }
+      updateTaxCardFields();
+
+      if (overtimeCategories && overtimeCategories.length > 0) {
+        renderCategories(overtimeCategories);
+      }
+
+      // Only restore years that still have a rate set, otherwise keep "auto"
+      if (taxYear && taxYearSelect.querySelector(`option[value="${taxYear}"]`)) {
+        taxYearSelect.value = String(taxYear);
       }
 
       // Set calculation method (default to 'actual' if not set)
@@ -145,6 +614,650 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Show which official withholding tables are loaded
+ * @param {object} withholdingTables - { [year]: { tableNumber, rows } }
+ */
+function showLoadedTables(withholdingTables) {
+  storedWithholdingTables = withholdingTables || {};
+  const entries = Object.entries(withholdingTables || {});
+
+  if (entries.length === 0) {
+    tableFileStatus.textContent = 'Ingen tabell lastet, forskuddstrekket anslås med formel.';
+    clearTableFileButton.classList.add('hidden');
+    return;
+  }
+
+  const descriptions = entries.map(([year, table]) => `tabell ${table.tableNumber} for ${year}`);
+  tableFileStatus.textContent = `Lastet: ${descriptions.join(', ')}.`;
+  clearTableFileButton.classList.remove('hidden');
+}
+
+/**
+ * Load stored withholding tables and show their status
+ */
+async function loadWithholdingTables() {
+  try {
+    const result = await browserAPI.storage.local.get('withholdingTables');
+    showLoadedTables(result.withholdingTables);
+  } catch (error) {
+    console.error('Error loading withholding tables:', error);
+  }
+}
+
+/**
+ * Work out which tax year a table file belongs to
+ * Prefers a year in the file name (e.g. "trekktabell_2026.txt"), then the
+ * selected tax year, then the current year.
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {number} Tax year
+ */
+function getTableFileYear(fileName) {
+  const match = fileName.match(/20\d{2}/);
+  if (match) {
+    return parseInt(match[0], 10);
+  }
+
+  const rateSet = getCustomRateSet(taxYearSelect.value);
+  if (rateSet) {
+    return rateSet.year;
+  }
+
+  if (taxYearSelect.value !== 'auto') {
+    return parseInt(taxYearSelect.value, 10);
+  }
+
+  return new Date().getFullYear();
+}
+
+/**
+ * Handle upload of a Skatteetaten trekktabell file
+ *
+ * Only the monthly salary table for the entered table number is kept,
+ * since the full file is too large for extension storage.
+ */
+async function handleTableFile() {
+  const file = tableFileInput.files[0];
+  if (!file) return;
+
+  clearError(tableFileError, tableFileInput);
+
+  const tableNumber = parseInt(tableNumberInput.value, 10);
+  const tableValidation = validateTableNumber(tableNumber);
+  if (tableValidation) {
+    showError(tableFileError, tableFileInput, 'Fyll inn skattetabell før du laster inn trekktabellen');
+    tableFileInput.value = '';
+    return;
+  }
+
+  try {
+    const text = await file.text();
+    // Pension tables are separate records (tabelltype 1) in the file
+    const tableType = parseTableNumber(tableNumber).special === 'pension'
+      ? TABLE_TYPES.PENSION
+      : TABLE_TYPES.SALARY;
+    const tables = parseTrekktabellFile(text, { tableNumbers: [tableNumber], tableType });
+    const year = getTableFileYear(file.name);
+
+    const result = await browserAPI.storage.local.get('withholdingTables');
+    const withholdingTables = result.withholdingTables || {};
+    withholdingTables[year] = { tableNumber, rows: tables[tableNumber] };
+
+    await browserAPI.storage.local.set({ withholdingTables });
+    showLoadedTables(withholdingTables);
+  } catch (error) {
+    console.error('Error loading table file:', error);
+    showError(tableFileError, tableFileInput, `Kunne ikke lese trekktabellen: ${error.message}`);
+  }
+
+  tableFileInput.value = '';
+}
+
+/**
+ * Remove all loaded withholding tables (falls back to the formula)
+ */
+async function clearWithholdingTables() {
+  try {
+    await browserAPI.storage.local.remove('withholdingTables');
+    showLoadedTables({});
+  } catch (error) {
+    console.error('Error removing withholding tables:', error);
+  }
+}
+
+/**
+ * Read calculation parameters from the form (saved or not)
+ * @returns {object|null} Parameters for calculateOvertimeTakeHome(), or null if the form is incomplete
+ */
+function readCalculationParams() {
+  const yearlySalary = parseInt(yearlySalaryInput.value, 10);
+  const tableNumber = parseInt(tableNumberInput.value, 10);
+  const annualHourDivisor = readNumber(annualHourDivisorInput, 1950);
+  const positionPercentage = readNumber(positionPercentageInput, 100);
+  const fixedSupplements = readNumber(fixedSupplementsInput, 0);
+
+  const otherIncome = readOtherIncome();
+  const salaryHistory = readSalaryChanges();
+
+  const taxCard = readTaxCard();
+  const issues = validateSettings({
+    yearlySalary, salaryHistory, tableNumber, taxCard,
+    annualHourDivisor, positionPercentage, fixedSupplements, otherIncome
+  });
+  if (issues.length > 0) {
+    return null;
+  }
+
+  // "Automatisk" follows the payout of the viewed period; the popup uses the current month
+  const today = new Date();
+  const payoutDelayMonths = parseInt(payoutDelayMonthsSelect.value, 10);
+  const payout = getPayoutPeriod(today, payoutDelayMonths);
+  const taxYear = taxYearSelect.value === 'auto'
+    ? findNearestTaxYear(payout.year)
+    : parseTaxYearValue(taxYearSelect.value);
+
+  const yearToDateGross = yearToDateModeSelect.value === 'manual'
+    ? readNumber(manualYearToDateInput, 0)
+    : calculateYearToDateGross(storedOvertimeHistory, payout.year, payout.month, { payoutDelayMonths });
+
+  return {
+    yearlySalary: isNaN(yearlySalary) ? undefined : yearlySalary,
+    salaryHistory,
+    annualHourDivisor,
+    positionPercentage,
+    fixedSupplements,
+    holidayPayRate: parseFloat(holidayPayRateSelect.value),
+    yearToDateGross: isNaN(yearToDateGross) ? 0 : yearToDateGross,
+    otherIncome,
+    periodDate: today,
+    payoutDelayMonths,
+    tableNumber: isNaN(tableNumber) ? undefined : tableNumber,
+    taxYear,
+    withholdingTable: findWithholdingTable(taxYear, tableNumber),
+    taxCard
+  };
+}
+
+/**
+ * Find a loaded withholding table for a tax year and table number
+ * @param {number} taxYear - Tax year
+ * @param {number} tableNumber - Table number
+ * @returns {Array|null} Table rows, or null if no matching table is loaded
+ */
+function findWithholdingTable(taxYear, tableNumber) {
+  const table = storedWithholdingTables[taxYear];
+  return table && table.tableNumber === tableNumber ? table.rows : null;
+}
+
+/**
+ * Show how many overtime hours are needed for the target amount
+ */
+function updateTargetResult() {
+  const targetAmount = parseFloat(targetAmountInput.value);
+  if (isNaN(targetAmount) || targetAmount <= 0) {
+    targetResult.textContent = '';
+    return;
+  }
+
+  const params = readCalculationParams();
+  if (!params) {
+    targetResult.textContent = 'Fyll inn innstillingene over for å beregne.';
+    return;
+  }
+
+  // Hours are given for the first category
+  const category = readCategories()[0];
+  const multiplier = category && !isNaN(category.multiplier) ? category.multiplier : 1.4;
+  const method = getCalculationMethod();
+  const { hours, reachable, result } = calculateHoursForTakeHome(params, targetAmount, { method, multiplier });
+
+  if (!reachable) {
+    targetResult.textContent = 'Beløpet krever mer enn 200 timer overtid.';
+    return;
+  }
+
+  // Round up to a tenth so the shown hours always reach the target
+  const premium = Math.round((multiplier - 1) * 100);
+  const formattedHours = (Math.ceil(hours * 10) / 10).toLocaleString('nb-NO');
+  targetResult.textContent =
+    `Du trenger ca. ${formattedHours} timer overtid (${premium} %), ${Math.round(result.grossPay).toLocaleString('nb-NO')} kr brutto.`;
+}
+
+/**
+ * Show the selected tab panel
+ * @param {string} panelId - Id of the panel to show
+ */
+function showTab(panelId) {
+  tabButtons.forEach(button => {
+    const active = button.dataset.panel === panelId;
+    button.classList.toggle('active', active);
+    document.getElementById(button.dataset.panel).classList.toggle('hidden', !active);
+  });
+
+  if (panelId === 'oneOffPanel') {
+    updateOneOffResult();
+  }
+  if (panelId === 'comparePanel') {
+    updateComparison();
+  }
+}
+
+/**
+ * Format an amount as "12 345 kr"
+ * @param {number} amount - Amount in NOK
+ * @returns {string} Formatted amount
+ */
+function formatKroner(amount) {
+  return `${Math.round(amount).toLocaleString('nb-NO')} kr`;
+}
+
+/**
+ * Calculate and show the take-home of a bonus or etterbetaling
+ */
+function updateOneOffResult() {
+  const amount = parseFloat(oneOffAmountInput.value);
+  if (isNaN(amount) || amount <= 0) {
+    oneOffResult.classList.add('hidden');
+    return;
+  }
+
+  oneOffResult.classList.remove('hidden');
+  const params = readCalculationParams();
+  if (!params) {
+    oneOffResult.textContent = 'Fyll inn innstillingene først.';
+    return;
+  }
+
+  // Payout month from the month input, default this month
+  const today = new Date();
+  const [year, month] = oneOffMonthInput.value
+    ? oneOffMonthInput.value.split('-').map(part => parseInt(part, 10))
+    : [today.getFullYear(), today.getMonth() + 1];
+  const taxYear = taxYearSelect.value === 'auto' ? findNearestTaxYear(year) : params.taxYear;
+
+  const result = calculateOneOffPaymentTakeHome({
+    amount,
+    yearlySalary: params.yearlySalary,
+    salaryHistory: params.salaryHistory,
+    fixedSupplements: params.fixedSupplements,
+    yearToDateGross: params.yearToDateGross,
+    otherIncome: params.otherIncome,
+    // Etterbetaling of salary earns feriepenger, a bonus usually not
+    holidayPayRate: oneOffTypeSelect.value === 'etterbetaling' ? params.holidayPayRate : 0,
+    tableNumber: params.tableNumber,
+    taxYear,
+    payoutDate: new Date(year, month - 1, 1),
+    withholdingTable: findWithholdingTable(taxYear, params.tableNumber),
+    taxCard: params.taxCard
+  });
+
+  const rows = [
+    ['Brutto', formatKroner(result.amount), ''],
+    [WITHHOLDING_LABELS[result.withholdingSource], `−${formatKroner(result.withholding)}`, ''],
+    ['Utbetalt', formatKroner(result.takeHomeWithholding), 'total'],
+    ['Faktisk skatt', `−${formatKroner(result.actualTax)}`, ''],
+    ['Etter faktisk skatt', formatKroner(result.takeHome), 'total']
+  ];
+  if (result.holidayPay.amount > 0) {
+    rows.push([`Feriepenger ${result.holidayPay.payoutYear} (netto)`, `+${formatKroner(result.holidayPay.net)}`, '']);
+  }
+
+  oneOffResult.innerHTML = rows.map(([label, value, className]) => `
+    <div class="result-row ${className}">
+      <span>${label}:</span>
+      <span>${value}</span>
+    </div>`).join('');
+
+  // Explain the difference, settled in the tax return (skatteoppgjøret)
+  const difference = result.withholding - result.actualTax;
+  if (Math.abs(difference) >= 100) {
+    const note = document.createElement('p');
+    note.className = 'result-note';
+    note.textContent = difference > 0
+      ? `Det trekkes ca. ${formatKroner(difference)} for mye, som du får igjen på skatteoppgjøret.`
+      : `Det trekkes ca. ${formatKroner(-difference)} for lite, som du må betale på skatteoppgjøret.`;
+    oneOffResult.appendChild(note);
+  }
+}
+
+// Labels for the calculation modes in the comparison
+const METHOD_LABELS = {
+  actual: 'Faktisk skatt',
+  withholding: 'Forskuddstrekk'
+};
+
+/**
+ * Add a scenario row to the comparison
+ * @param {object} scenario - { tableNumber, taxYear, yearlySalary, method } (empty uses the settings)
+ */
+function addScenarioRow(scenario = {}) {
+  const row = document.createElement('div');
+  row.className = 'scenario-row';
+  row.innerHTML = `
+    <input type="number" class="scenario-table" min="7000" max="9400" placeholder="8000">
+    <select class="scenario-year">
+      <option value="">Samme</option>
+    </select>
+    <input type="number" class="scenario-salary" min="100000" max="5000000" step="10000" placeholder="800000">
+    <select class="scenario-method">
+      <option value="">Samme</option>
+      <option value="actual">${METHOD_LABELS.actual}</option>
+      <option value="withholding">${METHOD_LABELS.withholding}</option>
+    </select>
+    <button type="button" class="scenario-remove" title="Fjern scenario">✕</button>
+  `;
+
+  row.querySelector('.scenario-table').value = scenario.tableNumber || '';
+  fillTaxYearOptions(row.querySelector('.scenario-year'));
+  row.querySelector('.scenario-year').value = scenario.taxYear || '';
+  row.querySelector('.scenario-salary').value = scenario.yearlySalary || '';
+  row.querySelector('.scenario-method').value = scenario.method || '';
+  row.querySelector('.scenario-remove').addEventListener('click', () => {
+    row.remove();
+    updateComparison();
+  });
+
+  scenarioList.appendChild(row);
+}
+
+/**
+ * Read scenario rows from the comparison, with only the filled in fields
+ * @returns {Array} [{ tableNumber, taxYear, yearlySalary, method }]
+ */
+function readScenarios() {
+  return Array.from(scenarioList.querySelectorAll('.scenario-row')).map(row => {
+    const scenario = {};
+    const tableNumber = parseInt(row.querySelector('.scenario-table').value, 10);
+    const taxYear = row.querySelector('.scenario-year').value;
+    const yearlySalary = parseInt(row.querySelector('.scenario-salary').value, 10);
+    const method = row.querySelector('.scenario-method').value;
+
+    if (!isNaN(tableNumber)) scenario.tableNumber = tableNumber;
+    if (taxYear) scenario.taxYear = parseTaxYearValue(taxYear);
+    if (!isNaN(yearlySalary)) scenario.yearlySalary = yearlySalary;
+    if (method) scenario.method = method;
+    return scenario;
+  });
+}
+
+/**
+ * Describe what a scenario changes, e.g. "Tabell 8000 · 2024"
+ * @param {object} scenario - Scenario from readScenarios()
+ * @returns {string} Label for the comparison
+ */
+function describeScenario(scenario) {
+  const parts = [];
+  if (scenario.tableNumber) parts.push(`Tabell ${scenario.tableNumber}`);
+  if (scenario.taxYear) parts.push(describeTaxYear(scenario.taxYear));
+  if (scenario.yearlySalary) parts.push(formatKroner(scenario.yearlySalary));
+  if (scenario.method) parts.push(METHOD_LABELS[scenario.method]);
+  return parts.length > 0 ? parts.join(' · ') : 'Som innstillingene';
+}
+
+/**
+ * Describe a tax year or custom rate set, e.g. "2025" or "Statsbudsjettet 2027"
+ * @param {number|string} taxYear - Year or rate set id
+ * @returns {string} Label
+ */
+function describeTaxYear(taxYear) {
+  const rateSet = getCustomRateSet(taxYear);
+  return rateSet ? rateSet.name : String(taxYear);
+}
+
+/**
+ * Compare the scenarios for the same overtime hours and show the differences
+ */
+function updateComparison() {
+  const hours = parseFloat(compareHoursInput.value);
+  scenarioError.textContent = '';
+  if (isNaN(hours) || hours < 0) {
+    compareResult.classList.add('hidden');
+    return;
+  }
+
+  compareResult.classList.remove('hidden');
+  const params = readCalculationParams();
+  if (!params) {
+    compareResult.textContent = 'Fyll inn innstillingene først.';
+    return;
+  }
+
+  const scenarios = readScenarios();
+  const scenarioValidation = scenarios
+    .map(scenario => (scenario.tableNumber && validateTableNumber(scenario.tableNumber)) ||
+      (scenario.yearlySalary && validateSalary(scenario.yearlySalary)))
+    .find(Boolean);
+  if (scenarioValidation) {
+    scenarioError.textContent = scenarioValidation;
+    compareResult.classList.add('hidden');
+    return;
+  }
+
+  // Hours are given for the first category, like the target amount
+  const category = readCategories()[0];
+  const multiplier = category && !isNaN(category.multiplier) ? category.multiplier : 1.4;
+  const method = getCalculationMethod();
+
+  const comparison = compareScenarios({ ...params, overtimeEntries: [{ hours, multiplier }] }, [
+    { label: 'Dine innstillinger', method },
+    ...scenarios.map(scenario => ({
+      ...scenario,
+      label: describeScenario(scenario),
+      method: scenario.method || method,
+      // A different salary replaces the salary changes
+      salaryHistory: scenario.yearlySalary ? null : params.salaryHistory,
+      withholdingTable: findWithholdingTable(
+        scenario.taxYear || params.taxYear, scenario.tableNumber || params.tableNumber
+      )
+    }))
+  ]);
+
+  const formatDifference = (amount) => {
+    if (Math.round(amount) === 0) return '–';
+    return amount > 0 ? `+${formatKroner(amount)}` : `−${formatKroner(-amount)}`;
+  };
+  const formatRate = (rate) => `${(rate * 100).toLocaleString('nb-NO', { maximumFractionDigits: 1 })} %`;
+
+  const rows = comparison.scenarios.map((scenario, index) => {
+    const highlight = comparison.spread >= 1 && index === comparison.highest ? 'best'
+      : comparison.spread >= 1 && index === comparison.lowest ? 'worst' : '';
+    const differenceClass = scenario.difference.takeHome >= 1 ? 'positive'
+      : scenario.difference.takeHome <= -1 ? 'negative' : '';
+    return `
+    <div class="comparison-row ${highlight}">
+      <span>${escapeHTML(scenario.label)}</span>
+      <span>${formatKroner(scenario.takeHome)}</span>
+      <span>${formatRate(scenario.effectiveRate)}</span>
+      <span class="${differenceClass}">${index === 0 ? '' : formatDifference(scenario.difference.takeHome)}</span>
+    </div>`;
+  });
+
+  compareResult.innerHTML = `
+    <div class="comparison-row heading">
+      <span>Scenario</span>
+      <span>Netto</span>
+      <span>Skatt</span>
+      <span>Forskjell</span>
+    </div>${rows.join('')}`;
+
+  const note = document.createElement('p');
+  note.className = 'result-note';
+  const formattedHours = hours.toLocaleString('nb-NO');
+  note.textContent = comparison.spread >= 1
+    ? `${formatKroner(comparison.spread)} skiller høyeste og laveste netto for ${formattedHours} timer.`
+    : 'Samme netto i alle scenarioene.';
+  compareResult.appendChild(note);
+}
+
+/**
+ * Register the custom rate sets and show them in the lists
+ * Invalid stored sets are left out, so the calculations keep working.
+ * @param {Array} rateSets - [{ id, name, year, rates }]
+ */
+function showRateSets(rateSets) {
+  storedRateSets = (rateSets || []).filter(set => validateRateSet(set).valid);
+  registerCustomRateSets(storedRateSets);
+
+  const selected = rateSetSelect.value;
+  rateSetSelect.replaceChildren(rateSetSelect.options[0]);
+  storedRateSets.forEach(set => rateSetSelect.appendChild(new Option(`${set.name} (${set.year})`, set.id)));
+  rateSetSelect.value = selected;
+  if (rateSetSelect.selectedIndex === -1) {
+    rateSetSelect.selectedIndex = 0;
+  }
+
+  fillTaxYearOptions(taxYearSelect);
+  scenarioList.querySelectorAll('.scenario-year').forEach(fillTaxYearOptions);
+}
+
+/**
+ * Load the stored custom rate sets
+ */
+async function loadRateSets() {
+  try {
+    const result = await browserAPI.storage.local.get('customRateSets');
+    showRateSets(result.customRateSets);
+  } catch (error) {
+    console.error('Error loading custom rate sets:', error);
+  }
+}
+
+/**
+ * Fill the rate set form
+ * @param {object} set - { name, year, rates } (rates as stored, with threshold null in the top bracket)
+ */
+function fillRateSetForm(set) {
+  rateSetNameInput.value = set.name || '';
+  rateSetYearInput.value = set.year || '';
+  rateSetRatesInput.value = set.rates ? JSON.stringify(set.rates, null, 2) : '';
+}
+
+/**
+ * Show the selected rate set in the form, or an empty form for new rates
+ */
+function selectRateSet() {
+  const rateSet = storedRateSets.find(set => set.id === rateSetSelect.value);
+  fillRateSetForm(rateSet || {});
+  rateSetError.textContent = '';
+  rateSetStatus.textContent = '';
+  compareRateSetButton.classList.toggle('hidden', !rateSet);
+  deleteRateSetButton.classList.toggle('hidden', !rateSet);
+}
+
+/**
+ * Fill in the official rates of the year nearest the one entered, as a starting point
+ */
+function fillOfficialRates() {
+  const latestYear = getAvailableTaxYears().slice(-1)[0];
+  const year = readNumber(rateSetYearInput, latestYear + 1);
+  const officialYear = findNearestTaxYear(year);
+
+  fillRateSetForm({
+    name: rateSetNameInput.value || `Statsbudsjettet ${year}`,
+    year,
+    rates: getTaxRates(officialYear)
+  });
+  rateSetStatus.textContent = `Satsene for ${officialYear} er fylt inn. Endre dem og lagre.`;
+}
+
+/**
+ * Read the rate set in the form
+ * @returns {object} { set, error } - error is a message if the form cannot be read or the set is invalid
+ */
+function readRateSetForm() {
+  let rates;
+  try {
+    rates = JSON.parse(rateSetRatesInput.value);
+  } catch (error) {
+    return { set: null, error: `Satsene er ikke gyldig JSON: ${error.message}` };
+  }
+
+  const set = {
+    id: rateSetSelect.value || `egne-${Date.now()}`,
+    name: rateSetNameInput.value.trim(),
+    year: parseInt(rateSetYearInput.value, 10),
+    rates
+  };
+  const { valid, errors } = validateRateSet(set);
+  return { set, error: valid ? null : `Ugyldige satser: ${errors.join('; ')}` };
+}
+
+/**
+ * Import a rate set from a JSON file into the form
+ * The file holds { name, year, rates } or only the rates. It is checked
+ * right away, and again when it is saved.
+ */
+async function handleRateSetFile() {
+  const file = rateSetFileInput.files[0];
+  if (!file) return;
+
+  rateSetError.textContent = '';
+  try {
+    const imported = JSON.parse(await file.text());
+    const set = imported && imported.rates ? imported : { rates: imported };
+    rateSetSelect.value = '';
+    fillRateSetForm({
+      name: set.name || file.name.replace(/\.json$/i, ''),
+      year: set.year || parseInt(rateSetYearInput.value, 10) || '',
+      rates: set.rates
+    });
+
+    const { error } = readRateSetForm();
+    rateSetError.textContent = error || '';
+    rateSetStatus.textContent = error ? '' : 'Satsene er importert og kontrollert. Lagre for å bruke dem.';
+  } catch (error) {
+    console.error('Error importing rate set:', error);
+    rateSetError.textContent = `Kunne ikke lese filen: ${error.message}`;
+  }
+
+  rateSetFileInput.value = '';
+}
+
+/**
+ * Validate and save the rate set in the form
+ */
+async function saveRateSet() {
+  const { set, error } = readRateSetForm();
+  rateSetError.textContent = error || '';
+  if (error) return;
+
+  const rateSets = storedRateSets.filter(existing => existing.id !== set.id).concat(set);
+  try {
+    await browserAPI.storage.local.set({ customRateSets: rateSets });
+    showRateSets(rateSets);
+    rateSetSelect.value = set.id;
+    selectRateSet();
+    rateSetStatus.textContent = 'Satsene er lagret. Velg dem som skatteår i innstillingene eller sammenlign dem.';
+  } catch (saveError) {
+    console.error('Error saving rate set:', saveError);
+    rateSetError.textContent = 'Kunne ikke lagre satsene. Vennligst prøv igjen.';
+  }
+}
+
+/**
+ * Delete the selected rate set
+ * Settings that used it fall back to the automatic tax year.
+ */
+async function deleteRateSet() {
+  const rateSets = storedRateSets.filter(set => set.id !== rateSetSelect.value);
+  try {
+    await browserAPI.storage.local.set({ customRateSets: rateSets });
+    showRateSets(rateSets);
+    rateSetSelect.value = '';
+    selectRateSet();
+  } catch (error) {
+    console.error('Error deleting rate set:', error);
+  }
+}
+
+/**
+ * Compare the selected rate set with the settings in the comparison tab
+ */
+function compareRateSet() {
+  addScenarioRow({ taxYear: rateSetSelect.value });
+  showTab('comparePanel');
+}
+
 /**
  * Save settings to storage
  * @param {object} settings - Settings object
@@ -169,26 +1282,38 @@ async function handleSubmit(event) {
   // Get form values
   const yearlySalary = parseInt(yearlySalaryInput.value, 10);
   const tableNumber = parseInt(tableNumberInput.value, 10);
-  const taxYear = parseInt(taxYearSelect.value, 10);
+  const taxYear = taxYearSelect.value === 'auto' ? 'auto' : parseTaxYearValue(taxYearSelect.value);
 
-  // Clear previous errors
-  clearError(salaryError, yearlySalaryInput);
-  clearError(tableError, tableNumberInput);
+  const salaryHistory = readSalaryChanges();
+  const annualHourDivisor = readNumber(annualHourDivisorInput, 1950);
+  const positionPercentage = readNumber(positionPercentageInput, 100);
+  const fixedSupplements = readNumber(fixedSupplementsInput, 0);
+  const otherIncome = readOtherIncome();
+  const yearToDateMode = yearToDateModeSelect.value;
+  const manualYearToDate = readNumber(manualYearToDateInput, 0);
+  const taxCard = readTaxCard();
+  const overtimeCategories = readCategories();
 
-  // Validate inputs
-  let hasErrors = false;
+  // Clear previous errors
+  clearSettingsIssues();
 
-  const salaryValidation = validateSalary(yearlySalary);
-  if (salaryValidation) {
-    showError(salaryError, yearlySalaryInput, salaryValidation);
-    hasErrors = true;
-  }
+  // Validate inputs: the profile with validateParameters(), the categories in the form
+  const issues = validateSettings({
+    yearlySalary,
+    salaryHistory,
+    tableNumber,
+    taxCard,
+    annualHourDivisor,
+    positionPercentage,
+    fixedSupplements,
+    otherIncome,
+    yearToDateGross: yearToDateMode === 'manual' ? manualYearToDate : undefined
+  });
+  showSettingsIssues(issues);
 
-  const tableValidation = validateTableNumber(tableNumber);
-  if (tableValidation) {
-    showError(tableError, tableNumberInput, tableValidation);
-    hasErrors = true;
-  }
+  const categoryValidation = validateCategories(overtimeCategories);
+  categoryError.textContent = categoryValidation || '';
+  const hasErrors = issues.length > 0 || categoryValidation !== null;
 
   // If validation fails, stop here
   if (hasErrors) {
@@ -205,10 +1330,21 @@ async function handleSubmit(event) {
 
   // Save settings
   await saveSettings({
-    yearlySalary,
-    tableNumber,
+    yearlySalary: isNaN(yearlySalary) ? null : yearlySalary,
+    salaryHistory,
+    tableNumber: isNaN(tableNumber) ? null : tableNumber,
     taxYear,
-    useWithholding
+    useWithholding,
+    taxCard,
+    overtimeCategories,
+    annualHourDivisor,
+    positionPercentage,
+    fixedSupplements,
+    holidayPayRate: parseFloat(holidayPayRateSelect.value),
+    otherIncome,
+    payoutDelayMonths: parseInt(payoutDelayMonthsSelect.value, 10),
+    yearToDateMode,
+    manualYearToDate
   });
 
   // Re-enable form
@@ -233,7 +1369,7 @@ function setupRealtimeValidation() {
 
   tableNumberInput.addEventListener('input', () => {
     const tableNum = parseInt(tableNumberInput.value, 10);
-    const error = validateTableNumber(tableNum);
+    const error = validateTableNumberForCard(tableNum, taxCardTypeSelect.value);
 
     if (error && tableNumberInput.value !== '') {
       showError(tableError, tableNumberInput, error);
@@ -247,11 +1383,45 @@ function setupRealtimeValidation() {
  * Initialize popup
  */
 function init() {
-  // Load saved settings
-  loadSettings();
+  // Build year list before restoring the saved selection
+  fillTaxYearOptions(taxYearSelect);
+  renderCategories(DEFAULT_CATEGORIES);
+  addScenarioRow({ method: 'withholding' });
+
+  // Load saved settings, after the custom rate sets they can refer to
+  loadRateSets().then(loadSettings);
+  loadWithholdingTables();
+  loadOvertimeHistory();
 
   // Setup event listeners
   form.addEventListener('submit', handleSubmit);
+  taxCardTypeSelect.addEventListener('change', updateTaxCardFields);
+  yearToDateModeSelect.addEventListener('change', updateYearToDateFields);
+  clearHistoryButton.addEventListener('click', clearOvertimeHistory);
+  addCategoryButton.addEventListener('click', () => addCategoryRow());
+  addSalaryChangeButton.addEventListener('click', () => addSalaryChangeRow());
+  tableFileInput.addEventListener('change', handleTableFile);
+  clearTableFileButton.addEventListener('click', clearWithholdingTables);
+  tabButtons.forEach(button => button.addEventListener('click', () => showTab(button.dataset.panel)));
+  oneOffTypeSelect.addEventListener('change', updateOneOffResult);
+  oneOffAmountInput.addEventListener('input', updateOneOffResult);
+  oneOffMonthInput.addEventListener('change', updateOneOffResult);
+  compareHoursInput.addEventListener('input', updateComparison);
+  scenarioList.addEventListener('input', updateComparison);
+  scenarioList.addEventListener('change', updateComparison);
+  addScenarioButton.addEventListener('click', () => {
+    addScenarioRow();
+    updateComparison();
+  });
+  rateSetSelect.addEventListener('change', selectRateSet);
+  fillOfficialRatesButton.addEventListener('click', fillOfficialRates);
+  rateSetFileInput.addEventListener('change', handleRateSetFile);
+  saveRateSetButton.addEventListener('click', saveRateSet);
+  compareRateSetButton.addEventListener('click', compareRateSet);
+  deleteRateSetButton.addEventListener('click', deleteRateSet);
+  targetAmountInput.addEventListener('input', updateTargetResult);
+  form.addEventListener('input', updateTargetResult);
+  form.addEventListener('change', updateTargetResult);
   setupRealtimeValidation();
 }
 
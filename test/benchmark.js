@@ -0,0 +1,72 @@
+/**
+ * Benchmark for the Batch and Memoized Calculation API
+ *
+ * Compares calculating take-home pay for many hours values one by one
+ * without the cache (cleared before every call) against
+ * calculateOvertimeTakeHomeBatch(), which reuses the base values.
+ *
+ * Run with: node test/benchmark.js [number of hours values]
+ */
+
+const {
+  calculateOvertimeTakeHome,
+  calculateOvertimeTakeHomeBatch,
+  clearCalculationCache
+} = require('../lib/trekktabell.js');
+
+const COUNT = parseInt(process.argv[2], 10) || 500;
+const ROUNDS = 5;
+
+const profile = {
+  yearlySalary: 700000,
+  tableNumber: 8115,
+  taxYear: 2025,
+  yearToDateGross: 20000,
+  periodDate: new Date(2025, 2, 15)
+};
+
+// Hours values as a slider would produce them: 0 to COUNT / 10 in steps of 0.1
+const hoursList = Array.from({ length: COUNT }, (_, i) => i / 10);
+
+/**
+ * Run a function several times and return the fastest run in milliseconds
+ * @param {Function} fn - Function to time
+ * @returns {number} Fastest run in ms
+ */
+function time(fn) {
+  let best = Infinity;
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = process.hrtime.bigint();
+    fn();
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return best;
+}
+
+function uncached() {
+  return hoursList.map(hours => {
+    clearCalculationCache();
+    return calculateOvertimeTakeHome({ ...profile, overtimeHours: hours });
+  });
+}
+
+function batch() {
+  clearCalculationCache();
+  return calculateOvertimeTakeHomeBatch(profile, hoursList);
+}
+
+// Both ways must give the same results
+const expected = JSON.stringify(uncached());
+if (JSON.stringify(batch()) !== expected) {
+  console.error('✗ Batch results differ from single calculations');
+  process.exit(1);
+}
+
+const uncachedMs = time(uncached);
+const batchMs = time(batch);
+
+console.log('=== Benchmark: batch and memoized calculation ===\n');
+console.log(`Hours values:        ${COUNT}`);
+console.log(`One by one, no cache: ${uncachedMs.toFixed(1)} ms`);
+console.log(`Batch with cache:     ${batchMs.toFixed(1)} ms`);
+console.log(`Speedup:              ${(uncachedMs / batchMs).toFixed(1)}×`);
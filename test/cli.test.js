@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for the Command-Line Calculator
+ *
+ * Runs the CLI in-process with captured output and checks the results
+ * against the library, the output formats and the exit codes.
+ *
+ * Run with: node test/cli.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, EXIT_CODES } = require('../bin/overtidskassa.js');
+const { TAX_RATES } = require('../lib/tax-rates.js');
+const {
+  calculateOvertimeTakeHome,
+  calculateMonthlyWithholding
+} = require('../lib/trekktabell.js');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ ${message}`);
+  }
+}
+
+/**
+ * Run the CLI and capture its output
+ */
+function cli(...argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = run(argv, {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+function runTests() {
+  console.log('\n=== Testing Command-Line Calculator ===\n');
+
+  const profile = ['--salary', '700000', '--table', '8115', '--period', '2025-03-15'];
+
+  // Test 1: net
+  console.log('--- Test net ---');
+  const net = cli('net', ...profile, '--hours', '12.5', '--format', 'json');
+  const expected = calculateOvertimeTakeHome({
+    yearlySalary: 700000, tableNumber: 8115, overtimeHours: 12.5, periodDate: new Date(2025, 2, 15)
+  });
+  assert(net.code === EXIT_CODES.OK, 'net exits with 0');
+  assert(JSON.stringify(JSON.parse(net.stdout)) === JSON.stringify(expected), 'net JSON is the library result');
+
+  const netText = cli('net', ...profile, '--hours', '12.5');
+  assert(/Netto:\s+3 556 kr/.test(netText.stdout.replace(/ /g, ' ')), 'net text shows the take-home');
+  assert(netText.stdout.includes('skatteår 2025'), 'net text shows the tax year');
+  // Overtime in May is paid in June, when no forskuddstrekk is taken
+  const juneText = cli('net', '--salary', '700000', '--table', '8115', '--period', '2025-05-15', '--hours', '10')
+    .stdout.replace(/ /g, ' ');
+  assert(/Forskuddstrekk:\s+0 kr\n/.test(juneText) && !juneText.includes('−0 kr'),
+    'A June payout shows the withholding as 0 kr');
+
+  const netCsv = cli('net', ...profile, '--hours', '10', '--multiplier=2', '--format', 'csv')
+    .stdout.trim().split('\n');
+  assert(netCsv.length === 2 && netCsv[0].startsWith('hours,grossPay,actualTax,takeHome'),
+    'net CSV has a header and a row');
+  const doubleHours = calculateOvertimeTakeHome({
+    yearlySalary: 700000, tableNumber: 8115, periodDate: new Date(2025, 2, 15),
+    overtimeEntries: [{ hours: 10, multiplier: 2 }]
+  });
+  assert(netCsv[1].split(',')[1] === String(doubleHours.grossPay), 'net uses the multiplier');
+
+  // A payout year without rates is calculated with the nearest year
+  const lastRatesYear = Math.max(...Object.keys(TAX_RATES).map(Number));
+  const beyond = ['--salary', '700000', '--table', '8115', '--period', `${lastRatesYear}-12`];
+  const beyondText = cli('net', ...beyond, '--hours', '10');
+  assert(beyondText.code === EXIT_CODES.OK &&
+    beyondText.stdout.includes(`skatteår ${lastRatesYear}, satser for ${lastRatesYear + 1} mangler`),
+    'December overtime after the last year with rates uses the nearest year');
+  const lastYear = ['--salary', '700000', '--table', '8115', '--period', `${lastRatesYear}-03`];
+  const lastYearText = cli('net', ...lastYear, '--hours', '10').stdout;
+  assert(lastYearText.includes(`(satser for ${lastRatesYear + 1} mangler)`) &&
+    !lastYearText.includes(', satser for'),
+    'Feriepenger paid out after the last year with rates are marked approximate');
+  const beyondTable = JSON.parse(cli('table', ...beyond, '--to', '10', '--format', 'json').stdout);
+  assert(beyondTable.taxYear === lastRatesYear, 'table falls back to the nearest year');
+  const beyondReverse = cli('reverse', ...beyond, '--target', '5000', '--format', 'json');
+  assert(beyondReverse.code === EXIT_CODES.OK && JSON.parse(beyondReverse.stdout).result.approximate,
+    'reverse falls back to the nearest year');
+
+  // Test 2: withholding
+  console.log('\n--- Test withholding ---');
+  const withholding = JSON.parse(cli(
+    'withholding', '--gross', '50000', '--table', '8100', '--year', '2025', '--month', '12', '--format', 'json'
+  ).stdout);
+  assert(withholding.withholding === calculateMonthlyWithholding(50000, 8100, 2025, 12),
+    'Withholding matches the library');
+  assert(withholding.netPay === 50000 - withholding.withholding, 'Net pay is gross minus withholding');
+
+  // Test 3: reverse
+  console.log('\n--- Test reverse ---');
+  const reverse = JSON.parse(cli('reverse', ...profile, '--target', '10000', '--format', 'json').stdout);
+  assert(reverse.reachable && reverse.takeHome >= 10000, 'Reverse reaches the target');
+  assert(reverse.hours > 30 && reverse.hours < 40, `Reverse finds about 35 hours (${reverse.hours})`);
+  const unreachable = cli('reverse', ...profile, '--target', '1000000', '--format', 'json');
+  assert(unreachable.code === EXIT_CODES.OK && JSON.parse(unreachable.stdout).reachable === false,
+    'Unreachable target is a result, not an error');
+
+  // Test 4: table sweep
+  console.log('\n--- Test table ---');
+  const table = JSON.parse(cli(
+    'table', ...profile, '--from', '0', '--to', '2', '--step', '0.5', '--format', 'json'
+  ).stdout);
+  assert(table.rows.length === 5, 'Table has one row per step, both ends included');
+  assert(table.rows[4].hours === 2 && table.rows[4].takeHome > table.rows[3].takeHome,
+    'Take-home grows with hours');
+  const tableCsv = cli('table', ...profile, '--to', '40', '--format', 'csv').stdout.trim().split('\n');
+  assert(tableCsv.length === 10, 'Table CSV has a header and 9 rows for 0-40 in steps of 5');
+  const tableText = cli('table', ...profile, '--to', '10').stdout;
+  assert(tableText.includes('Timer') && tableText.includes('Netto'), 'Table text has column headings');
+
+  // Test 5: withholding table file
+  console.log('\n--- Test table file ---');
+  const tableFile = path.join(os.tmpdir(), `overtidskassa-cli-${process.pid}.txt`);
+  // Table 8100, monthly salary: 50,000 → 12,000 and 51,000 → 12,300
+  fs.writeFileSync(tableFile, ['8100105000012000', '8100105100012300'].join('\n'));
+  const fromFile = JSON.parse(cli(
+    'withholding', '--gross', '50500', '--table', '8100', '--year', '2025',
+    '--table-file', tableFile, '--format', 'json'
+  ).stdout);
+  // Pension table 7100 is stored as tabelltype 1, next to a salary record for the same number
+  fs.writeFileSync(tableFile, ['7100105000011000', '7100115000010000'].join('\n'));
+  const fromPensionFile = JSON.parse(cli(
+    'withholding', '--gross', '50500', '--table', '7100', '--year', '2025',
+    '--table-file', tableFile, '--format', 'json'
+  ).stdout);
+  fs.unlinkSync(tableFile);
+  assert(fromFile.withholdingSource === 'table' && fromFile.withholding === 12000,
+    'Withholding is looked up in the file');
+  assert(fromPensionFile.withholdingSource === 'table' && fromPensionFile.withholding === 10000,
+    'Pension tables are read from the pension records');
+  const missingFile = cli(
+    'withholding', '--gross', '50000', '--table', '8100', '--table-file', '/nonexistent/table.txt'
+  );
+  assert(missingFile.code === EXIT_CODES.INVALID_INPUT, 'Unreadable table file is invalid input');
+
+  // Test 6: invalid input and usage errors
+  console.log('\n--- Test errors ---');
+  const invalid = cli('net', '--salary', '70000', '--table', '1234', '--hours', '10');
+  assert(invalid.code === EXIT_CODES.INVALID_INPUT, 'Invalid values exit with 1');
+  assert(
+    invalid.stderr.includes('Årslønn må være mellom') && invalid.stderr.includes('Ugyldig skattetabell'),
+    'All validateParameters errors are reported in Norwegian');
+  assert(invalid.stdout === '', 'Nothing is written to stdout on errors');
+  const missingSalary = cli('net', '--table', '8115', '--hours', '10');
+  assert(missingSalary.stderr.includes('Årslønn må oppgis som et tall (--salary)'),
+    'Messages name the option to fix');
+  assert(cli('net', ...profile).code === EXIT_CODES.INVALID_INPUT, 'Missing hours is invalid input');
+  assert(cli('net', ...profile, '--hours', '250').code === EXIT_CODES.INVALID_INPUT,
+    'Too many hours is invalid input');
+  assert(cli('withholding', '--table', '8100').code === EXIT_CODES.INVALID_INPUT, 'Missing gross is invalid input');
+  assert(cli('reverse', ...profile, '--target', '-5').code === EXIT_CODES.INVALID_INPUT,
+    'Negative target is invalid');
+  assert(cli('table', ...profile, '--step', '0').code === EXIT_CODES.INVALID_INPUT, 'Zero step is invalid');
+
+  assert(cli('net', ...profile, '--hours', 'ti').code === EXIT_CODES.USAGE, 'Non-numeric value is a usage error');
+  assert(cli('net', ...profile, '--timer', '10').code === EXIT_CODES.USAGE, 'Unknown option is a usage error');
+  assert(cli('sum').code === EXIT_CODES.USAGE, 'Unknown command is a usage error');
+  assert(cli().code === EXIT_CODES.USAGE, 'Missing command is a usage error');
+  assert(cli('net', ...profile, '--hours', '1', '--format', 'xml').code === EXIT_CODES.USAGE,
+    'Unknown format is a usage error');
+  assert(cli('net', '--period', '2025/03').code === EXIT_CODES.USAGE, 'Malformed period is a usage error');
+
+  const unknownYear = cli('net', ...profile, '--hours', '10', '--year', '2099');
+  assert(unknownYear.code === EXIT_CODES.INVALID_INPUT && unknownYear.stderr.includes('skattesatser for 2099'),
+    'Tax year without rates is invalid input');
+
+  const help = cli('--help');
+  assert(help.code === EXIT_CODES.OK && help.stdout.startsWith('Bruk:'), '--help prints usage');
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log(`Total:  ${testsPassed + testsFailed}`);
+
+  if (testsFailed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${testsFailed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
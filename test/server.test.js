@@ -0,0 +1,199 @@
+/**
+ * Tests for the Local HTTP JSON API
+ *
+ * Starts the server on a free local port and sends real HTTP requests,
+ * comparing the responses with the library.
+ *
+ * Run with: node test/server.test.js
+ */
+
+const http = require('http');
+const { TAX_RATES } = require('../lib/tax-rates.js');
+const { createServer } = require('../bin/overtidskassa-server.js');
+const {
+  calculateOvertimeTakeHome,
+  calculateMonthlyWithholding,
+  calculateAnnualTax
+} = require('../lib/trekktabell.js');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ ${message}`);
+  }
+}
+
+/**
+ * Send a request to the local server
+ * @returns {Promise<object>} { status, headers, body } with the body parsed as JSON
+ */
+function request(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request({ host: '127.0.0.1', port, method, path }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(payload);
+    req.end();
+  });
+}
+
+async function runTests() {
+  console.log('\n=== Testing HTTP JSON API ===\n');
+
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const post = (path, body) => request(port, 'POST', path, body);
+
+  try {
+    // Test 1: Endpoint description
+    console.log('--- Test description ---');
+    const description = await request(port, 'GET', '/openapi.json');
+    assert(description.status === 200 && description.body.openapi.startsWith('3.'), 'Serves an OpenAPI document');
+    assert(['/overtime', '/withholding', '/annual-tax'].every(path => description.body.paths[path].post),
+      'Describes every endpoint');
+    const overtimeSchema = description.body.paths['/overtime'].post.requestBody.content['application/json'].schema;
+    assert(overtimeSchema.properties.yearlySalary.type === 'number', 'Describes the request parameters');
+
+    // Test 2: Overtime
+    console.log('\n--- Test /overtime ---');
+    const overtime = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, overtimeHours: 12.5, periodDate: '2025-03-15'
+    });
+    const expected = calculateOvertimeTakeHome({
+      yearlySalary: 700000, tableNumber: 8115, overtimeHours: 12.5, periodDate: new Date(2025, 2, 15)
+    });
+    assert(overtime.status === 200, '/overtime responds with 200');
+    assert(overtime.headers['content-type'].startsWith('application/json'), 'Responds with JSON');
+    assert(JSON.stringify(overtime.body) === JSON.stringify(expected), '/overtime returns the library result');
+
+    const entries = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, periodDate: '2025-03-15',
+      overtimeEntries: [{ hours: 4, multiplier: 2, label: 'Helg' }], unknownField: true
+    });
+    assert(entries.status === 200 && entries.body.categories[0].label === 'Helg',
+      'Accepts categories and ignores unknown fields');
+
+    // Test 3: Withholding and annual tax
+    console.log('\n--- Test /withholding and /annual-tax ---');
+    const withholding = await post('/withholding', {
+      monthlyGross: 50000, tableNumber: 8100, taxYear: 2025, payoutMonth: 12
+    });
+    assert(withholding.status === 200 &&
+      withholding.body.withholding === calculateMonthlyWithholding(50000, 8100, 2025, 12),
+      '/withholding returns the library result');
+
+    const annualTax = await post('/annual-tax', { annualGross: 700000, tableNumber: 8100, taxYear: 2025 });
+    assert(annualTax.status === 200 && annualTax.body.tax === calculateAnnualTax(700000, 8100, 2025),
+      '/annual-tax returns the library result');
+
+    // Test 4: Validation
+    console.log('\n--- Test validation ---');
+    const invalid = await post('/overtime', { yearlySalary: 50000, tableNumber: 1234, overtimeHours: 10 });
+    assert(invalid.status === 400, 'Invalid parameters give 400');
+    assert(invalid.body.errors.includes('Yearly salary must be between 100,000 and 5,000,000 NOK') &&
+      invalid.body.errors.some(error => error.startsWith('Invalid table number')),
+      'Errors come from validateParameters');
+
+    const badDate = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, overtimeHours: 1, periodDate: 'mars'
+    });
+    assert(badDate.status === 400 && badDate.body.errors[0].includes('YYYY-MM-DD'), 'Malformed date gives 400');
+
+    const missing = await post('/withholding', { tableNumber: 8100 });
+    assert(missing.status === 400 && missing.body.errors.includes('Missing parameter: monthlyGross'),
+      'Missing required parameter gives 400');
+
+    const badYear = await post('/annual-tax', { annualGross: 700000, tableNumber: 8100, taxYear: 1999 });
+    assert(badYear.status === 400, 'Tax year without rates gives 400');
+
+    const badJson = await post('/overtime', '{ "yearlySalary": ');
+    assert(badJson.status === 400 && badJson.body.error.startsWith('Invalid JSON'), 'Malformed JSON gives 400');
+
+    const arrayBody = await post('/overtime', [1, 2]);
+    assert(arrayBody.status === 400, 'Body must be a JSON object');
+
+    const tooLarge = await post('/overtime', { padding: 'x'.repeat(2 * 1024 * 1024) });
+    assert(tooLarge.status === 413 && tooLarge.body.error === 'Request body is too large',
+      'A body over 1 MB gives 413 with a JSON error');
+    const afterTooLarge = await post('/withholding', { monthlyGross: 50000, tableNumber: 8100 });
+    assert(afterTooLarge.status === 200, 'The server keeps serving after a body that is too large');
+
+    const notArray = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, overtimeEntries: { hours: 4, multiplier: 2 }
+    });
+    assert(notArray.status === 400 && notArray.body.errors.includes('overtimeEntries must be an array'),
+      'Parameter types are checked before validateParameters');
+    const badEntry = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, overtimeEntries: [{ hours: '4', multiplier: 2 }]
+    });
+    assert(badEntry.status === 400 && badEntry.body.errors.includes('overtimeEntries[0].hours must be a number'),
+      'Array items are checked');
+    const stringYear = await post('/withholding', { monthlyGross: 50000, tableNumber: 8100, taxYear: '2026' });
+    assert(stringYear.status === 400 && stringYear.body.errors.includes('taxYear must be an integer'),
+      'taxYear must be an integer');
+    const badMonth = await post('/withholding', { monthlyGross: 50000, tableNumber: 8100, payoutMonth: 13 });
+    assert(badMonth.status === 400 && badMonth.body.errors.includes('payoutMonth must be 1-12'),
+      'Schema limits are checked');
+    const badCard = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, overtimeHours: 1, taxCard: { type: 'skattekort' }
+    });
+    assert(badCard.status === 400 && badCard.body.errors[0].startsWith('taxCard.type must be one of'),
+      'Nested properties are checked');
+
+    // Test 5: Tax year fallback
+    console.log('\n--- Test tax year fallback ---');
+    const lastRatesYear = Math.max(...Object.keys(TAX_RATES).map(Number));
+    const beyondRates = await post('/overtime', {
+      yearlySalary: 700000, tableNumber: 8115, overtimeHours: 10, periodDate: `${lastRatesYear}-12-10`
+    });
+    assert(beyondRates.status === 200 &&
+      beyondRates.body.taxYear === lastRatesYear && beyondRates.body.approximate,
+      'Payout year without rates uses the nearest year, marked approximate');
+
+    // Test 6: Routing
+    console.log('\n--- Test routing ---');
+    assert((await request(port, 'GET', '/overtime')).status === 405, 'GET on a calculation endpoint gives 405');
+    assert((await post('/openapi.json', {})).status === 405, 'POST on the description gives 405');
+    assert((await post('/unknown', {})).status === 404, 'Unknown endpoint gives 404');
+    const preflight = await request(port, 'OPTIONS', '/overtime');
+    assert(preflight.status === 204 && preflight.headers['access-control-allow-origin'] === '*',
+      'Answers CORS preflight requests');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log(`Total:  ${testsPassed + testsFailed}`);
+
+  if (testsFailed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${testsFailed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
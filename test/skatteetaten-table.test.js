@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for the Comparison with Skatteetaten's Trekktabell
+ *
+ * Checks that the comparison in validate-against-skatteetaten.js flags
+ * intervals more than WITHHOLDING_TOLERANCE_KRONER from the table, and runs
+ * it on the checked-in extract of the official 2026 table file when present.
+ * The extract is a copy of complete records from Skatteetaten's file, in the
+ * same fixed-width format (see trekktabell-parser.js).
+ *
+ * Run with: node test/skatteetaten-table.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareWithTableFile, WITHHOLDING_TOLERANCE_KRONER } = require('./validate-against-skatteetaten.js');
+const { calculateMonthlyWithholding } = require('../lib/trekktabell.js');
+
+const OFFICIAL_EXTRACT = path.join(__dirname, 'fixtures', 'trekktabell-2026-utdrag.txt');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ ${message}`);
+  }
+}
+
+/**
+ * Build one fixed-width monthly record
+ */
+function record(tableNumber, tableType, grunnlag, trekk) {
+  return `${tableNumber}1${tableType}${String(grunnlag).padStart(5, '0')}${String(trekk).padStart(5, '0')}`;
+}
+
+function runTests() {
+  console.log('\n=== Testing Comparison with Skatteetaten\'s Table ===\n');
+
+  // Test 1: intervals outside the tolerance are counted
+  console.log('--- Test comparison ---');
+  const formula = (grunnlag, tableNumber) => calculateMonthlyWithholding(grunnlag, tableNumber, 2026);
+  const syntheticFile = [
+    record(8115, 0, 40000, formula(40000, 8115)),
+    record(8115, 0, 50000, formula(50000, 8115) + WITHHOLDING_TOLERANCE_KRONER),
+    record(8115, 0, 60000, formula(60000, 8115) + WITHHOLDING_TOLERANCE_KRONER + 1),
+    record(7100, 1, 30000, formula(30000, 7100)),
+    record(7100, 0, 30000, 0),   // Salary record of a pension table, not compared
+    record(1234, 0, 30000, 0)    // Unsupported table number, skipped
+  ].join('\n');
+
+  const comparisons = compareWithTableFile(syntheticFile, 2026);
+  assert(comparisons.map(comparison => comparison.tableNumber).join() === '7100,8115',
+    'Supported tables are compared in order');
+  const salaryTable = comparisons.find(comparison => comparison.tableNumber === 8115);
+  assert(salaryTable.intervals === 3 && salaryTable.outside === 1,
+    `Only the interval more than ${WITHHOLDING_TOLERANCE_KRONER} kr off is outside the tolerance`);
+  assert(salaryTable.maxDifference === WITHHOLDING_TOLERANCE_KRONER + 1, 'Reports the largest difference');
+  const pensionTable = comparisons.find(comparison => comparison.tableNumber === 7100);
+  assert(pensionTable.intervals === 1 && pensionTable.outside === 0,
+    'Pension tables are compared with the pension records');
+
+  // Test 2: official extract
+  console.log('\n--- Test official table extract ---');
+  if (fs.existsSync(OFFICIAL_EXTRACT)) {
+    compareWithTableFile(fs.readFileSync(OFFICIAL_EXTRACT, 'utf8'), 2026).forEach(comparison => {
+      assert(comparison.outside === 0,
+        `Table ${comparison.tableNumber}: ${comparison.intervals} intervals within ` +
+        `±${WITHHOLDING_TOLERANCE_KRONER} kr (largest difference ${comparison.maxDifference} kr)`);
+    });
+  } else {
+    console.log(`⚠ No official extract at ${path.relative(process.cwd(), OFFICIAL_EXTRACT)}, ` +
+      'the formula is not compared with Skatteetaten\'s table');
+  }
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log(`Total:  ${testsPassed + testsFailed}`);
+
+  if (testsFailed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${testsFailed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for the Trekktabell File Parser and Table Lookup
+ *
+ * Verifies parsing of Skatteetaten's fixed-width table format and that
+ * lookup-based withholding is used when a table is supplied.
+ *
+ * Run with: node test/trekktabell-parser.test.js
+ */
+
+const { parseTrekktabellFile, TABLE_PERIODS, TABLE_TYPES } = require('../lib/trekktabell-parser.js');
+const {
+  lookupMonthlyWithholding,
+  calculateOvertimeTakeHome
+} = require('../lib/trekktabell.js');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ ${message}`);
+  }
+}
+
+function assertThrows(fn, message) {
+  try {
+    fn();
+    testsFailed++;
+    console.error(`✗ ${message} (did not throw)`);
+  } catch (error) {
+    testsPassed++;
+    console.log(`✓ ${message} (${error.message})`);
+  }
+}
+
+/**
+ * Build one fixed-width record
+ */
+function record(tableNumber, period, tableType, grunnlag, trekk) {
+  return `${tableNumber}${period}${tableType}${String(grunnlag).padStart(5, '0')}${String(trekk).padStart(5, '0')}`;
+}
+
+function runTests() {
+  console.log('\n=== Testing Trekktabell Parser ===\n');
+
+  const sampleFile = [
+    record(8115, 1, 0, 50100, 12150),
+    record(8115, 1, 0, 50000, 12100),
+    record(8115, 1, 0, 50200, 12200),
+    record(8115, 1, 1, 50000, 9000),   // Pension table, ignored
+    record(8115, 3, 0, 12000, 2900),   // Weekly table, ignored
+    record(8200, 1, 0, 50000, 10000),
+    ''
+  ].join('\r\n');
+
+  // Test 1: parseTrekktabellFile
+  console.log('--- Test parseTrekktabellFile ---');
+  const tables = parseTrekktabellFile(sampleFile);
+  assert(Object.keys(tables).length === 2, 'Parses monthly salary records for two tables');
+  assert(tables[8115].length === 3, 'Skips pension and weekly records');
+  assert(tables[8115][0][0] === 50000 && tables[8115][2][0] === 50200, 'Sorts rows by trekkgrunnlag');
+  assert(tables[8115][1][1] === 12150, 'Reads trekk amount');
+
+  const filtered = parseTrekktabellFile(sampleFile, { tableNumbers: [8200] });
+  assert(Object.keys(filtered).length === 1 && filtered[8200], 'Filters to requested table numbers');
+
+  const pension = parseTrekktabellFile(sampleFile, { tableType: TABLE_TYPES.PENSION });
+  assert(pension[8115][0][1] === 9000, 'Can select pension tables');
+
+  const weekly = parseTrekktabellFile(sampleFile, { period: TABLE_PERIODS.WEEK });
+  assert(weekly[8115][0][0] === 12000, 'Can select weekly tables');
+
+  assertThrows(() => parseTrekktabellFile('81151050000'), 'Rejects short records');
+  assertThrows(() => parseTrekktabellFile('8115105000012A45'), 'Rejects non-numeric fields');
+  assertThrows(() => parseTrekktabellFile(sampleFile, { tableNumbers: [9999] }), 'Rejects files without matching records');
+
+  // Test 2: lookupMonthlyWithholding
+  console.log('\n--- Test lookupMonthlyWithholding ---');
+  const rows = tables[8115];
+  assert(lookupMonthlyWithholding(49999, rows) === 0, 'No withholding below the first interval');
+  assert(lookupMonthlyWithholding(50000, rows) === 12100, 'Exact interval start');
+  assert(lookupMonthlyWithholding(50150, rows) === 12150, 'Income inside an interval uses its trekk');
+  assert(lookupMonthlyWithholding(50400, rows) === 12300, 'Above the table the last marginal rate is extended');
+  assertThrows(() => lookupMonthlyWithholding(50000, []), 'Rejects empty table');
+
+  // Test 3: calculateOvertimeTakeHome with a table
+  console.log('\n--- Test calculateOvertimeTakeHome with table ---');
+
+  // Synthetic table: 40% of each 100 NOK interval from 0 to 99,900
+  const syntheticRows = [];
+  for (let grunnlag = 0; grunnlag < 100000; grunnlag += 100) {
+    syntheticRows.push([grunnlag, Math.round(grunnlag * 0.4)]);
+  }
+
+  const withTable = calculateOvertimeTakeHome({
+    yearlySalary: 600000,
+    overtimeHours: 10,
+    tableNumber: 8115,
+    taxYear: 2026,
+    withholdingTable: syntheticRows
+  });
+  const withFormula = calculateOvertimeTakeHome({
+    yearlySalary: 600000,
+    overtimeHours: 10,
+    tableNumber: 8115,
+    taxYear: 2026
+  });
+
+  assert(withTable.withholdingSource === 'table', 'Reports table as withholding source');
+  assert(withFormula.withholdingSource === 'formula', 'Falls back to formula without a table');
+  const expectedTableWithholding =
+    lookupMonthlyWithholding(50000 + withTable.grossPay, syntheticRows) - lookupMonthlyWithholding(50000, syntheticRows);
+  assert(withTable.withholding === expectedTableWithholding, 'Withholding is the difference of two table lookups');
+  assert(withTable.actualTax === withFormula.actualTax, 'Actual tax is unaffected by the table');
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log(`Total:  ${testsPassed + testsFailed}`);
+
+  if (testsFailed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${testsFailed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
@@ -9,15 +9,45 @@
 
 const {
   parseTableNumber,
+  applyTableRules,
+  mergeRates,
+  runTaxRules,
+  registerCustomRateSets,
+  getCustomRateSet,
+  validateRateSet,
   calculateTrinnskatt,
+  calculateTrygdeavgift,
   calculateMonthlyWithholding,
+  getWithholdingMonthFactor,
+  getPayoutPeriod,
+  calculateFrikortWithholding,
   calculateAnnualTax,
+  calculateTaxComponents,
+  summarizeOtherIncome,
+  calculateMarginalTaxRate,
+  calculateBracketProximity,
+  calculateMarginalRateCurve,
   calculateOvertimeTakeHome,
+  calculateOvertimeTakeHomeBatch,
+  clearCalculationCache,
+  calculateOneOffPaymentTakeHome,
+  calculateTimeOffComparison,
+  calculateHoursForTakeHome,
+  compareScenarios,
   formatNOK,
-  validateParameters
+  validateParameters,
+  VALIDATION_MESSAGES,
+  splitMertid,
+  calculateYearToDateGross,
+  getSalaryOnDate,
+  calculateProratedSalary,
+  toOre,
+  fromOre,
+  applyRate,
+  ESTIMATE_UNCERTAINTY
 } = require('../lib/trekktabell.js');
 
-const { TAX_RATES } = require('../lib/tax-rates.js');
+const { TAX_RATES, STANDARD_TAX_RULES, getAvailableTaxYears, findNearestTaxYear } = require('../lib/tax-rates.js');
 
 // Simple test framework
 let testsPassed = 0;
@@ -61,7 +91,16 @@ function runTests() {
   assert(table9050.amount === 50000, 'Table 9050 should have 50,000 NOK addition');
 
   const table7150 = parseTableNumber(7150);
-  assert(table7150 === null, 'Table 7150 should not be supported (special table)');
+  assert(table7150.special === 'pension', 'Table 7150 should be a pension table');
+  assert(table7150.amount === 150000, 'Table 7150 should have 150,000 NOK deduction');
+
+  const table7615 = parseTableNumber(7615);
+  assert(table7615.special === 'tiltakssone', 'Table 7615 should be a tiltakssone table');
+  assert(table7615.amount === 115000, 'Table 7615 should have 115,000 NOK deduction');
+
+  assert(parseTableNumber(8115).special === null, 'Table 8115 should be an ordinary table');
+  assert(parseTableNumber(7450) === null, 'Table 7450 should not be supported (gap between series)');
+  assert(parseTableNumber(6100) === null, 'Table 6100 should not be supported');
 
   // Test 2: calculateTrinnskatt
   console.log('\n--- Test calculateTrinnskatt ---');
@@ -119,7 +158,8 @@ function runTests() {
     yearlySalary: 900000,
     overtimeHours: 10,
     tableNumber: 8115,
-    taxYear: 2026
+    taxYear: 2026,
+    periodDate: new Date(2026, 2, 15) // Paid in April, a month with full trekk
   });
 
   console.log(`  Overtime calculation for 10 hours (900k/year, table 8115):`);
@@ -217,11 +257,19 @@ function runTests() {
   const invalid2 = validateParameters({
     yearlySalary: 600000,
     overtimeHours: 10,
-    tableNumber: 7150,
+    tableNumber: 6100,
     taxYear: 2026
   });
   assert(invalid2.valid === false, 'Unsupported table number should fail validation');
 
+  const validSpecial = validateParameters({
+    yearlySalary: 600000,
+    overtimeHours: 10,
+    tableNumber: 7615,
+    taxYear: 2026
+  });
+  assert(validSpecial.valid === true, 'Tiltakssone table number should pass validation');
+
   const invalid3 = validateParameters({
     yearlySalary: 600000,
     overtimeHours: 10,
@@ -229,6 +277,10 @@ function runTests() {
     taxYear: 2099
   });
   assert(invalid3.valid === false, 'Unavailable tax year should fail validation');
+  assert(invalid3.issues.length === 1 && invalid3.issues[0].code === 'taxYearUnavailable' &&
+    invalid3.issues[0].params.taxYear === 2099, 'Issues have a code and the values for the message');
+  assert(invalid3.errors[0] === VALIDATION_MESSAGES.taxYearUnavailable({ taxYear: 2099 }),
+    'Errors are the English messages for the issues');
 
   // Test 7: formatNOK
   console.log('\n--- Test formatNOK ---');
@@ -248,6 +300,958 @@ function runTests() {
   assert(formatted3.startsWith('kr '), 'Should start with "kr "');
   assert(formatted3.match(/1.?000.?000/), 'Should format large numbers with separators');
 
+  // Test 8: Special tables
+  console.log('\n--- Test special tables ---');
+
+  const ordinary = calculateOvertimeTakeHome({ yearlySalary: 800000, overtimeHours: 10, tableNumber: 8115, taxYear: 2026 });
+  const zone = calculateOvertimeTakeHome({ yearlySalary: 800000, overtimeHours: 10, tableNumber: 7615, taxYear: 2026 });
+  const pension = calculateOvertimeTakeHome({ yearlySalary: 800000, overtimeHours: 10, tableNumber: 7115, taxYear: 2026 });
+
+  // At 800k: ordinary marginal rate = 13.7% + 7.6% + 22% = 43.3%
+  // Tiltakssone: 11.7% + 7.6% + 18.5% = 37.8%
+  assertApprox(ordinary.effectiveRate, 0.433, 0.001, 'Ordinary marginal rate at 800k');
+  assertApprox(zone.effectiveRate, 0.378, 0.001, 'Tiltakssone marginal rate at 800k');
+  assert(zone.takeHome > ordinary.takeHome, 'Tiltakssone gives higher take-home');
+
+  // Pension: 13.7% + 5.1% + 22% = 40.8%
+  assertApprox(pension.effectiveRate, 0.408, 0.001, 'Pension table marginal rate at 800k');
+
+  // Finnmarksfradrag lowers total tax by 30,000 × (18.5%) compared to no deduction
+  const zoneAnnual = calculateAnnualTax(800000, 7500, 2026);
+  const rates = TAX_RATES[2026];
+  const expectedZoneAnnual =
+    calculateTrinnskatt(800000, rates.trinnskatt.map((b, i) => i === 3 ? { ...b, rate: 0.117 } : b)) +
+    800000 * 0.076 +
+    (800000 - rates.minstefradrag.max - rates.personfradrag - 30000) * 0.185;
+  assertApprox(zoneAnnual, expectedZoneAnnual, 0.01, 'Tiltakssone annual tax includes finnmarksfradrag and reduced rates');
+
+  // Test 9: Tax card types
+  console.log('\n--- Test tax card types ---');
+
+  const tabell = calculateOvertimeTakeHome({ yearlySalary: 600000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026 });
+  assert(tabell.taxCardType === 'tabelltrekk', 'Tabelltrekk is the default tax card');
+
+  const prosent = calculateOvertimeTakeHome({
+    yearlySalary: 600000,
+    overtimeHours: 10,
+    taxYear: 2026,
+    taxCard: { type: 'prosenttrekk', percentage: 35 }
+  });
+  assertApprox(prosent.withholding, prosent.grossPay * 0.35, 0.01, 'Prosenttrekk withholds the percentage of gross');
+  assert(prosent.withholdingSource === 'prosenttrekk', 'Prosenttrekk is reported as withholding source');
+  assert(prosent.actualTax === tabell.actualTax, 'Actual tax does not depend on the tax card');
+
+  const frikortUnused = calculateOvertimeTakeHome({
+    yearlySalary: 150000,
+    overtimeHours: 10,
+    taxYear: 2026,
+    taxCard: { type: 'frikort', remaining: 10000 }
+  });
+  assert(frikortUnused.withholding === 0, 'No withholding while frikort covers the payment');
+  assert(!frikortUnused.frikort.exhausted, 'Frikort is not exhausted');
+  assertApprox(frikortUnused.frikort.remainingAfter, 10000 - frikortUnused.grossPay, 0.01, 'Remaining frikort is reduced by the payment');
+
+  const frikortUsedUp = calculateOvertimeTakeHome({
+    yearlySalary: 150000,
+    overtimeHours: 10,
+    taxYear: 2026,
+    taxCard: { type: 'frikort', remaining: 500 }
+  });
+  assert(frikortUsedUp.frikort.exhausted, 'Frikort runs out when payment exceeds the remaining amount');
+  assert(frikortUsedUp.frikort.remainingAfter === 0, 'Nothing is left on the frikort');
+  assertApprox(frikortUsedUp.withholding, (frikortUsedUp.grossPay - 500) * 0.5, 0.01, '50% trekk above the frikort amount');
+  assertApprox(frikortUsedUp.frikort.hoursUntilExhausted, 500 / frikortUsedUp.overtimeRate, 0.1, 'Reports hours until the frikort runs out');
+
+  const frikortDirect = calculateFrikortWithholding(1000, 0, 0.5);
+  assert(frikortDirect.withholding === 500 && frikortDirect.exhausted, 'Empty frikort gives 50% withholding on everything');
+
+  const validProsent = validateParameters({
+    yearlySalary: 600000, overtimeHours: 10, taxYear: 2026,
+    taxCard: { type: 'prosenttrekk', percentage: 35 }
+  });
+  assert(validProsent.valid === true, 'Prosenttrekk without table number passes validation');
+
+  const invalidProsent = validateParameters({
+    yearlySalary: 600000, overtimeHours: 10, taxYear: 2026,
+    taxCard: { type: 'prosenttrekk', percentage: 135 }
+  });
+  assert(invalidProsent.valid === false, 'Prosenttrekk above 100% fails validation');
+
+  const invalidTabell = validateParameters({ yearlySalary: 600000, overtimeHours: 10, taxYear: 2026 });
+  assert(invalidTabell.valid === false, 'Tabelltrekk without table number fails validation');
+
+  const nullTaxCardParams = {
+    yearlySalary: 600000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026, taxCard: null
+  };
+  assert(validateParameters(nullTaxCardParams).valid === true, 'A null tax card is validated as tabelltrekk');
+  assertApprox(
+    calculateOvertimeTakeHome(nullTaxCardParams).withholding,
+    calculateOvertimeTakeHome({ ...nullTaxCardParams, taxCard: undefined }).withholding, 0.001,
+    'A null tax card is calculated as tabelltrekk'
+  );
+  const stringTaxCard = validateParameters({ ...nullTaxCardParams, taxCard: 'frikort' });
+  assert(
+    stringTaxCard.valid === false && stringTaxCard.errors.length === 1,
+    'A tax card that is not an object fails validation'
+  );
+
+  // Test 10: Overtime categories
+  console.log('\n--- Test overtime categories ---');
+
+  const singleCategory = calculateOvertimeTakeHome({ yearlySalary: 780000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026 });
+  const sameAsEntries = calculateOvertimeTakeHome({
+    yearlySalary: 780000,
+    overtimeEntries: [{ hours: 10, multiplier: 1.4 }],
+    tableNumber: 8100,
+    taxYear: 2026
+  });
+  assert(singleCategory.takeHome === sameAsEntries.takeHome, 'overtimeHours equals a single 40% category');
+  assert(singleCategory.categories.length === 1 && singleCategory.categories[0].label === '40 %', 'Default category is labelled 40 %');
+
+  const mixed = calculateOvertimeTakeHome({
+    yearlySalary: 780000,
+    overtimeEntries: [
+      { hours: 4, multiplier: 1.5, label: 'Kveld' },
+      { hours: 6, multiplier: 2.0, label: 'Helg' }
+    ],
+    tableNumber: 8100,
+    taxYear: 2026
+  });
+  const hourly = 780000 / 1950;
+  assertApprox(mixed.grossPay, hourly * (4 * 1.5 + 6 * 2.0), 0.01, 'Gross pay sums all categories');
+  assertApprox(mixed.categories[0].grossPay, hourly * 4 * 1.5, 0.01, 'Category gross uses its multiplier');
+  assertApprox(mixed.categories[1].rate, hourly * 2.0, 0.01, 'Category rate is hourly × multiplier');
+  assertApprox(
+    mixed.categories[0].takeHome + mixed.categories[1].takeHome, mixed.takeHome, 0.02,
+    'Category take-home adds up to total'
+  );
+  assertApprox(
+    mixed.categories[0].takeHome / mixed.categories[0].grossPay,
+    mixed.categories[1].takeHome / mixed.categories[1].grossPay, 0.0001,
+    'Categories share the same marginal rate'
+  );
+  assertApprox(mixed.overtimeRate, mixed.grossPay / 10, 0.01, 'Overtime rate is the average across categories');
+
+  const invalidEntries = validateParameters({
+    yearlySalary: 600000,
+    overtimeEntries: [{ hours: 5, multiplier: 0.5 }],
+    tableNumber: 8100,
+    taxYear: 2026
+  });
+  assert(invalidEntries.valid === false, 'Multiplier below 1 fails validation');
+  const nullEntries = validateParameters({
+    yearlySalary: 600000, overtimeEntries: [null], tableNumber: 8100, taxYear: 2026
+  });
+  assert(
+    nullEntries.valid === false && nullEntries.errors.length === 1,
+    'An overtime category that is not an object fails validation'
+  );
+
+  // Test 11: Hourly basis, part-time and mertid
+  console.log('\n--- Test hourly basis and mertid ---');
+
+  const divisor1687 = calculateOvertimeTakeHome({
+    yearlySalary: 675000, annualHourDivisor: 1687.5, overtimeHours: 10, tableNumber: 8100, taxYear: 2026
+  });
+  assertApprox(divisor1687.hourlyRate, 400, 0.01, 'Hourly rate uses the annual hour divisor');
+
+  const withSupplements = calculateOvertimeTakeHome({
+    yearlySalary: 700000, fixedSupplements: 80000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026
+  });
+  assertApprox(withSupplements.hourlyRate, 400, 0.01, 'Fixed supplements are included in the hourly basis');
+
+  // 80% position, 1950 divisor: 32.5 hours per month up to full time
+  const partTime = calculateOvertimeTakeHome({
+    yearlySalary: 624000, positionPercentage: 80, overtimeHours: 40, tableNumber: 8100, taxYear: 2026
+  });
+  assertApprox(partTime.hourlyRate, 400, 0.01, 'Part-time hourly rate uses the position hours');
+  assertApprox(partTime.mertidHours, 32.5, 0.01, 'Hours up to full time are mertid');
+  assertApprox(partTime.grossPay, 32.5 * 400 + 7.5 * 400 * 1.4, 0.01, 'Mertid has no premium, the rest is overtime');
+  assert(partTime.categories[0].label === 'Mertid', 'Mertid is reported as its own category');
+
+  const partTimeShort = calculateOvertimeTakeHome({
+    yearlySalary: 624000, positionPercentage: 80, overtimeHours: 10, tableNumber: 8100, taxYear: 2026
+  });
+  assertApprox(partTimeShort.grossPay, 10 * 400, 0.01, 'Few extra hours are all mertid');
+
+  const fullTime = calculateOvertimeTakeHome({ yearlySalary: 780000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026 });
+  assert(fullTime.mertidHours === 0, 'Full-time positions have no mertid');
+
+  const split = splitMertid([{ hours: 5, multiplier: 2.0 }, { hours: 5, multiplier: 1.5 }], 7);
+  assert(split.mertidHours === 7, 'splitMertid uses the whole capacity');
+  assert(split.entries[1].hours === 0 && split.entries[0].hours === 3, 'Mertid is taken from the lowest premium first');
+
+  const invalidPosition = validateParameters({
+    yearlySalary: 600000, positionPercentage: 120, overtimeHours: 10, tableNumber: 8100, taxYear: 2026
+  });
+  assert(invalidPosition.valid === false, 'Position above 100% fails validation');
+
+  // Test 12: Feriepenger
+  console.log('\n--- Test feriepenger ---');
+
+  const withHolidayPay = calculateOvertimeTakeHome({ yearlySalary: 780000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025 });
+  assertApprox(withHolidayPay.holidayPay.amount, withHolidayPay.grossPay * 0.12, 0.01, 'Default feriepenger is 12% of overtime pay');
+  assert(withHolidayPay.holidayPay.payoutYear === 2026, 'Feriepenger are paid the year after');
+  assert(!withHolidayPay.holidayPay.approximate, 'Payout year rates are available');
+  const expectedHolidayTax = calculateAnnualTax(780000 + withHolidayPay.holidayPay.amount, 8100, 2026) - calculateAnnualTax(780000, 8100, 2026);
+  assertApprox(withHolidayPay.holidayPay.tax, expectedHolidayTax, 0.01, 'Feriepenger are taxed with payout year rates');
+  assertApprox(
+    withHolidayPay.totalValue, withHolidayPay.takeHome + withHolidayPay.holidayPay.net, 0.01,
+    'Total value includes net feriepenger'
+  );
+
+  const minimumRate = calculateOvertimeTakeHome({
+    yearlySalary: 780000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, holidayPayRate: 0.102
+  });
+  assertApprox(minimumRate.holidayPay.amount, minimumRate.grossPay * 0.102, 0.01, 'Feriepenger rate is configurable');
+
+  const lastYear = calculateOvertimeTakeHome({ yearlySalary: 780000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026 });
+  assert(lastYear.holidayPay.approximate, 'Missing payout year rates are marked approximate');
+
+  const noHolidayPay = calculateOvertimeTakeHome({
+    yearlySalary: 780000, overtimeHours: 10, tableNumber: 8100, taxYear: 2026, holidayPayRate: 0
+  });
+  assert(noHolidayPay.totalValue === noHolidayPay.takeHome, 'Rate 0 leaves feriepenger out');
+
+  // Test 13: Year-to-date overtime
+  console.log('\n--- Test year-to-date overtime ---');
+
+  const history = { '2025-01': 10000, '2025-03': 5000, '2025-05': 8000, '2024-12': 20000 };
+  assert(calculateYearToDateGross(history, 2025, 5) === 15000, 'Year-to-date sums earlier months of the same year');
+  assert(calculateYearToDateGross(history, 2025, 1) === 0, 'January has no year-to-date overtime');
+  assert(calculateYearToDateGross(undefined, 2025, 6) === 0, 'Missing history counts as zero');
+
+  // Summed by payout month: December overtime paid in January counts toward the next year
+  const byPayout = { payoutDelayMonths: 1 };
+  assert(calculateYearToDateGross(history, 2025, 5, byPayout) === 35000,
+    'December overtime paid in January counts toward the payout year');
+  assert(calculateYearToDateGross({ '2024-12': 20000 }, 2025, 2) === 0 &&
+    calculateYearToDateGross({ '2024-12': 20000 }, 2025, 2, byPayout) === 20000,
+    'Without a payout delay, overtime counts in the month it was worked');
+  assert(calculateYearToDateGross(history, 2025, 4, byPayout) === 30000 &&
+    calculateYearToDateGross(history, 2025, 3, byPayout) === 30000 &&
+    calculateYearToDateGross(history, 2025, 2, byPayout) === 20000,
+    'Overtime counts from the month after its payout');
+
+  // Just below trinn 4 (697150 in 2025): earlier overtime pushes this month into the next step
+  const withoutHistory = calculateOvertimeTakeHome({ yearlySalary: 690000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025 });
+  const withHistory = calculateOvertimeTakeHome({
+    yearlySalary: 690000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, yearToDateGross: 20000
+  });
+  assert(withHistory.yearToDateGross === 20000, 'Year-to-date gross is reported in the result');
+  assert(withHistory.actualTax > withoutHistory.actualTax, 'Earlier overtime raises the marginal tax');
+  const expectedStackedTax = calculateAnnualTax(690000 + 20000 + withHistory.grossPay, 8100, 2025) -
+    calculateAnnualTax(690000 + 20000, 8100, 2025);
+  assertApprox(withHistory.actualTax, expectedStackedTax, 0.01, 'Overtime is taxed on top of year-to-date income');
+  assertApprox(withHistory.withholding, withoutHistory.withholding, 0.01, 'Withholding ignores year-to-date overtime');
+
+  const invalidYearToDate = validateParameters({
+    yearlySalary: 600000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, yearToDateGross: -1
+  });
+  assert(invalidYearToDate.valid === false, 'Negative year-to-date overtime fails validation');
+
+  // Test 14: Hours for a target take-home amount
+  console.log('\n--- Test hours for target amount ---');
+
+  const targetParams = { yearlySalary: 690000, tableNumber: 8100, taxYear: 2025, periodDate: new Date(2025, 2, 15) };
+  const actualTarget = calculateHoursForTakeHome(targetParams, 10000);
+  assert(actualTarget.reachable, 'Target of 10 000 kr is reachable');
+  assert(actualTarget.takeHome >= 10000, 'Returned hours reach the target');
+  const justBelow = calculateOvertimeTakeHome({ ...targetParams, overtimeHours: actualTarget.hours - 0.01 });
+  assert(justBelow.takeHome < 10000, 'Returned hours are the minimum needed (within 0.01 h)');
+  assert(
+    JSON.stringify(actualTarget.result) ===
+      JSON.stringify(calculateOvertimeTakeHome({ ...targetParams, overtimeHours: actualTarget.hours })),
+    'Probing through the prepared profile gives the same result as a direct calculation'
+  );
+
+  const withholdingTarget = calculateHoursForTakeHome(targetParams, 10000, { method: 'withholding' });
+  assert(withholdingTarget.takeHome >= 10000, 'Withholding mode reaches the target after withholding');
+  assert(withholdingTarget.hours > actualTarget.hours, 'Withholding mode needs more hours than actual tax');
+
+  // Salary just below trinn 4: the target is only reached past the kink
+  const kinkParams = { yearlySalary: 695000, tableNumber: 8100, taxYear: 2025 };
+  const kinkTarget = calculateHoursForTakeHome(kinkParams, 8000);
+  const kinkResult = calculateOvertimeTakeHome({ ...kinkParams, overtimeHours: kinkTarget.hours });
+  assert(kinkResult.grossPay > 697150 - 695000, 'Target above the trinnskatt threshold crosses the kink');
+  assertApprox(kinkResult.takeHome, 8000, 5, 'Hours across a kink still hit the target');
+
+  const premiumTarget = calculateHoursForTakeHome(targetParams, 10000, { multiplier: 2 });
+  assert(premiumTarget.hours < actualTarget.hours, 'Higher premium needs fewer hours');
+
+  const zeroTarget = calculateHoursForTakeHome(targetParams, 0);
+  assert(zeroTarget.hours === 0, 'Zero target needs zero hours');
+
+  const unreachable = calculateHoursForTakeHome(targetParams, 1000000);
+  assert(!unreachable.reachable && unreachable.hours === null, 'Unreachable target returns null hours');
+
+  // Test 15: Bracket proximity and marginal rates
+  console.log('\n--- Test bracket proximity and marginal rates ---');
+
+  for (const income of [120000, 150000, 250000, 500000, 800000, 1000000, 1500000]) {
+    // Over 1,000 kr, so rounding to whole øre does not show in the rate
+    const numeric = (calculateAnnualTax(income + 1000, 8100, 2025) - calculateAnnualTax(income, 8100, 2025)) / 1000;
+    assertApprox(calculateMarginalTaxRate(income, 8100, 2025), numeric, 0.0001, `Marginal rate at ${income} matches the tax on the next krone`);
+  }
+
+  const proximity = calculateBracketProximity({ annualIncome: 690000, tableNumber: 8100, taxYear: 2025, overtimeRate: 500 });
+  assert(proximity.trinn === 2, 'Income of 690 000 is in trinn 2 (2025)');
+  assert(proximity.nextTrinn.trinn === 3 && proximity.nextTrinn.threshold === 697150, 'Next step is trinn 3 at 697 150');
+  assert(proximity.nextTrinn.distance === 7150, 'Distance to next step in NOK');
+  assert(proximity.nextTrinn.hours === 14.3, 'Distance to next step in overtime hours');
+  assert(proximity.minstefradragCap.reached, 'Minstefradrag is capped at 690 000');
+
+  const lowIncome = calculateBracketProximity({ annualIncome: 150000, tableNumber: 8100, taxYear: 2025, overtimeRate: 500 });
+  assert(!lowIncome.minstefradragCap.reached, 'Minstefradrag is not capped at 150 000');
+  assertApprox(lowIncome.minstefradragCap.distance, 92000 / 0.46 - 150000, 0.01, 'Distance to minstefradrag cap in NOK');
+
+  const topStep = calculateBracketProximity({ annualIncome: 2000000, tableNumber: 8100, taxYear: 2025 });
+  assert(topStep.nextTrinn === null, 'Top step has no next step');
+
+  const withoutRate = calculateBracketProximity({ annualIncome: 690000, tableNumber: 8100, taxYear: 2025 });
+  assert(withoutRate.nextTrinn.hours === null, 'Hours are null without an overtime rate');
+
+  const curve = calculateMarginalRateCurve(650000, 750000, 8100, 2025);
+  assert(curve.length === 2, 'Curve across one threshold has two segments');
+  assert(curve[0].from === 650000 && curve[1].to === 750000, 'Curve covers the requested range');
+  assert(curve[0].to === 697150 && curve[1].from === 697150, 'Segments meet at the trinnskatt threshold');
+  assertApprox(curve[1].rate - curve[0].rate, 0.137 - 0.04, 0.001, 'Rate jumps by the trinnskatt step');
+
+  const fullCurve = calculateMarginalRateCurve(0, 1500000, 8100, 2025);
+  assert(fullCurve.every((segment, i) => i === 0 || segment.from === fullCurve[i - 1].to), 'Curve segments are contiguous');
+  assert(fullCurve.every((segment, i) => i === 0 || segment.rate !== fullCurve[i - 1].rate), 'Segments with equal rates are merged');
+
+  const bracketResult = calculateOvertimeTakeHome({ yearlySalary: 690000, overtimeHours: 5, tableNumber: 8100, taxYear: 2025 });
+  assert(bracketResult.bracket.trinn === 2, 'Take-home result reports the trinnskatt step');
+  assert(bracketResult.bracket.nextTrinn.hours > 0, 'Take-home result reports hours to the next step');
+
+  // Test 16: Payout month
+  console.log('\n--- Test payout month ---');
+
+  assert(getWithholdingMonthFactor(6) === 0, 'No tabelltrekk in June');
+  assert(getWithholdingMonthFactor(12) === 0.5, 'Half tabelltrekk in December');
+  assert(getWithholdingMonthFactor(3) === 1 && getWithholdingMonthFactor() === 1, 'Full tabelltrekk in other months');
+
+  const normalMonth = calculateMonthlyWithholding(50000, 8100, 2026);
+  assert(calculateMonthlyWithholding(50000, 8100, 2026, 6) === 0, 'Monthly withholding is zero in June');
+  assertApprox(calculateMonthlyWithholding(50000, 8100, 2026, 12), normalMonth / 2, 1, 'Monthly withholding is halved in December (whole kroner)');
+  assert(calculateMonthlyWithholding(50000, 8100, 2026, 4) === normalMonth, 'Payout month does not change a normal month');
+
+  const nextMonth = getPayoutPeriod(new Date(2025, 4, 20));
+  assert(nextMonth.year === 2025 && nextMonth.month === 6, 'Overtime worked in May is paid in June');
+  const rollover = getPayoutPeriod(new Date(2025, 11, 10));
+  assert(rollover.year === 2026 && rollover.month === 1, 'Overtime worked in December is paid in January next year');
+  assert(getPayoutPeriod(new Date(2025, 4, 20), 0).month === 5, 'Payout delay 0 pays in the same month');
+
+  const payoutParams = { yearlySalary: 700000, overtimeHours: 10, tableNumber: 8100 };
+  const paidInApril = calculateOvertimeTakeHome({ ...payoutParams, periodDate: new Date(2025, 2, 15) });
+  const paidInJune = calculateOvertimeTakeHome({ ...payoutParams, periodDate: new Date(2025, 4, 15) });
+  const paidInDecember = calculateOvertimeTakeHome({ ...payoutParams, periodDate: new Date(2025, 10, 15) });
+  assert(paidInJune.payout.month === 6 && paidInJune.withholding === 0, 'Overtime paid in June has no withholding');
+  assertApprox(paidInDecember.withholding, paidInApril.withholding / 2, 1, 'Overtime paid in December has half withholding (whole kroner)');
+  assert(paidInJune.actualTax === paidInApril.actualTax, 'Payout month does not change the actual tax');
+
+  const prosentJune = calculateOvertimeTakeHome({
+    ...payoutParams, periodDate: new Date(2025, 4, 15), taxCard: { type: 'prosenttrekk', percentage: 35 }
+  });
+  assert(prosentJune.withholding > 0, 'Prosenttrekk is taken in June');
+
+  const workedDecember = calculateOvertimeTakeHome({ ...payoutParams, periodDate: new Date(2025, 11, 15) });
+  assert(workedDecember.taxYear === 2026, 'Overtime worked in December is taxed in the payout year');
+  const sameMonth = calculateOvertimeTakeHome({ ...payoutParams, periodDate: new Date(2025, 11, 15), payoutDelayMonths: 0 });
+  assert(sameMonth.taxYear === 2025 && sameMonth.payout.month === 12, 'Same-month payout stays in the worked year');
+  assert(sameMonth.approximate === false && sameMonth.requestedYear === 2025, 'Payout year with rates is exact');
+
+  // Payout in a year without rates yet falls back to the nearest year
+  const lastRatesYear = Math.max(...Object.keys(TAX_RATES).map(Number));
+  const beyondRates = calculateOvertimeTakeHome({ ...payoutParams, periodDate: new Date(lastRatesYear, 11, 15) });
+  assert(beyondRates.taxYear === lastRatesYear && beyondRates.requestedYear === lastRatesYear + 1 &&
+    beyondRates.approximate, 'Payout after the last year with rates uses that year, marked approximate');
+  const beyondOneOff = calculateOneOffPaymentTakeHome({
+    amount: 10000, yearlySalary: 700000, tableNumber: 8100, payoutDate: new Date(lastRatesYear + 1, 0, 15)
+  });
+  assert(beyondOneOff.taxYear === lastRatesYear && beyondOneOff.approximate, 'One-off payments fall back the same way');
+
+  const invalidDelay = validateParameters({ ...payoutParams, taxYear: 2025, payoutDelayMonths: 5 });
+  assert(invalidDelay.valid === false, 'Payout delay above 2 months fails validation');
+
+  // Test 17: Tax breakdown by component
+  console.log('\n--- Test tax breakdown ---');
+
+  const components = calculateTaxComponents(690000, 8100, 2025);
+  assertApprox(components.total, calculateAnnualTax(690000, 8100, 2025), 0.001, 'Components add up to the annual tax');
+  assert(components.minstefradrag === 92000, 'Minstefradrag is capped at the 2025 maximum');
+  assertApprox(components.alminneligInntekt, 690000 - 92000 - 108550 - 100000, 0.001, 'Alminnelig inntekt after deductions and table adjustment');
+  assertApprox(components.trygdeavgift, 690000 * 0.077, 0.001, 'Trygdeavgift on the whole income');
+
+  const breakdownResult = calculateOvertimeTakeHome({
+    yearlySalary: 690000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, periodDate: new Date(2025, 2, 15)
+  });
+  const actualBreakdown = breakdownResult.taxBreakdown.actual;
+  assertApprox(actualBreakdown.total, breakdownResult.actualTax, 0.01, 'Actual breakdown total equals actual tax');
+  assertApprox(
+    actualBreakdown.trinnskatt + actualBreakdown.trygdeavgift + actualBreakdown.inntektsskatt, actualBreakdown.total, 0.02,
+    'Actual components add up to the total'
+  );
+  assertApprox(actualBreakdown.trygdeavgift, breakdownResult.grossPay * 0.077, 0.01, 'Trygdeavgift is 7.7% of the overtime');
+  assertApprox(actualBreakdown.inntektsskatt, breakdownResult.grossPay * 0.22, 0.01, 'Inntektsskatt is 22% when minstefradrag is capped');
+  assertApprox(
+    actualBreakdown.alminneligInntekt.after - actualBreakdown.alminneligInntekt.before, breakdownResult.grossPay, 0.01,
+    'Alminnelig inntekt grows by the overtime when minstefradrag is capped'
+  );
+
+  const withholdingBreakdown = breakdownResult.taxBreakdown.withholding;
+  assertApprox(withholdingBreakdown.total, breakdownResult.withholding, 0.01, 'Withholding breakdown total equals withholding');
+  assert(withholdingBreakdown.trinnskatt > actualBreakdown.trinnskatt, 'Withholding annualises the overtime into a higher step');
+
+  const lowBreakdown = calculateOvertimeTakeHome({
+    yearlySalary: 150000, overtimeHours: 10, tableNumber: 8000, taxYear: 2025, periodDate: new Date(2025, 2, 15)
+  }).taxBreakdown.actual;
+  assert(lowBreakdown.minstefradrag.after > lowBreakdown.minstefradrag.before, 'Minstefradrag grows below the cap');
+
+  const prosentBreakdown = calculateOvertimeTakeHome({
+    yearlySalary: 690000, overtimeHours: 10, taxYear: 2025, taxCard: { type: 'prosenttrekk', percentage: 35 }
+  });
+  assert(prosentBreakdown.taxBreakdown.withholding === null, 'Prosenttrekk has no withholding components');
+
+  // Test 18: Skatteetaten rounding and trygdeavgift phase-in
+  console.log('\n--- Test rounding and trygdeavgift phase-in ---');
+
+  const rates2025 = TAX_RATES[2025];
+  assert(calculateTrygdeavgift(99650, rates2025.trygdeavgift) === 0, 'No trygdeavgift at the threshold');
+  assert(calculateTrygdeavgift(100650, rates2025.trygdeavgift) === 250, 'Trygdeavgift is 25% of income above the threshold just above it');
+  assertApprox(calculateTrygdeavgift(200000, rates2025.trygdeavgift), 200000 * 0.077, 0.001, 'Full rate once the phase-in is over');
+  const phaseInEnd = 99650 * 0.25 / (0.25 - 0.077);
+  assertApprox(
+    calculateTrygdeavgift(phaseInEnd, rates2025.trygdeavgift), phaseInEnd * 0.077, 0.01,
+    'Phase-in meets the full rate without a jump'
+  );
+
+  const rounded = calculateMonthlyWithholding(50050, 8100, 2026);
+  assert(Number.isInteger(rounded), 'Withholding is rounded to whole kroner');
+  assert(calculateMonthlyWithholding(50000, 8100, 2026) === rounded, 'Income within a 100 kr interval uses the interval start');
+  assert(calculateMonthlyWithholding(50099.99, 8100, 2026) === rounded, 'Interval ends at 99 kr');
+  assert(calculateMonthlyWithholding(50100, 8100, 2026) > rounded, 'Next interval gives more trekk');
+
+  const unroundedComponents = calculateTaxComponents(123457, 8000, 2026);
+  const roundedComponents = calculateTaxComponents(123457, 8000, 2026, { roundDeductions: true });
+  assert(roundedComponents.minstefradrag % 10 === 0, 'Minstefradrag is rounded to whole 10 kr');
+  assert(roundedComponents.minstefradrag >= unroundedComponents.minstefradrag, 'Minstefradrag is rounded up');
+
+  // Withholding of every supported table is in whole kroner and grows with income
+  for (const table of [8000, 8115, 8400, 9010, 9400, 7100, 7615]) {
+    const low = calculateMonthlyWithholding(30000, table, 2026);
+    const high = calculateMonthlyWithholding(60000, table, 2026);
+    assert(Number.isInteger(low) && Number.isInteger(high) && high > low, `Table ${table} gives rounded, increasing trekk`);
+  }
+
+  // Test 19: Other income this year
+  console.log('\n--- Test other income ---');
+
+  const profile = { bonus: 50000, secondJob: 20000, benefitsInKind: 5000, capitalIncome: 10000, capitalDeductions: 30000 };
+  const summary = summarizeOtherIncome(profile);
+  assert(summary.personalIncome === 75000, 'Bonus, second job and benefits in kind are personal income');
+  assert(summary.capitalIncome === -20000, 'Capital deductions are netted against capital income');
+  assert(summarizeOtherIncome(null).personalIncome === 0, 'Missing profile counts as zero');
+
+  assertApprox(
+    calculateAnnualTax(600000, 8100, 2025, { bonus: 50000 }), calculateAnnualTax(650000, 8100, 2025), 0.001,
+    'Bonus is taxed like salary'
+  );
+  assertApprox(
+    calculateAnnualTax(600000, 8100, 2025, { capitalIncome: 10000 }) - calculateAnnualTax(600000, 8100, 2025), 2200, 0.001,
+    'Capital income only adds 22% inntektsskatt'
+  );
+
+  const salaryOnly = calculateOvertimeTakeHome({ yearlySalary: 680000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025 });
+  const withBonus = calculateOvertimeTakeHome({
+    yearlySalary: 680000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, otherIncome: { bonus: 40000 }
+  });
+  assert(withBonus.actualTax > salaryOnly.actualTax, 'A bonus pushes overtime into a higher trinnskatt step');
+  assert(withBonus.bracket.trinn === 3, 'Bracket position includes the bonus');
+  assert(withBonus.withholding === salaryOnly.withholding, 'Other income does not change withholding');
+
+  const lowSalary = { yearlySalary: 120000, overtimeHours: 10, tableNumber: 8000, taxYear: 2025 };
+  const lowWithoutCapital = calculateOvertimeTakeHome(lowSalary);
+  const lowWithCapital = calculateOvertimeTakeHome({ ...lowSalary, otherIncome: { capitalIncome: 100000 } });
+  assert(lowWithCapital.actualTax > lowWithoutCapital.actualTax, 'Capital income makes alminnelig inntekt positive for low salaries');
+
+  const invalidOther = validateParameters({
+    yearlySalary: 600000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, otherIncome: { bonus: -1 }
+  });
+  assert(invalidOther.valid === false, 'Negative other income fails validation');
+
+  // Test 20: One-off payments
+  console.log('\n--- Test one-off payments ---');
+
+  const bonusParams = { amount: 100000, yearlySalary: 700000, tableNumber: 8100, taxYear: 2025, payoutDate: new Date(2025, 2, 10) };
+  const bonus = calculateOneOffPaymentTakeHome(bonusParams);
+  assertApprox(
+    bonus.actualTax, calculateAnnualTax(800000, 8100, 2025) - calculateAnnualTax(700000, 8100, 2025), 0.01,
+    'Actual tax is the marginal tax on top of the salary'
+  );
+  const expectedBonusWithholding = calculateMonthlyWithholding(700000 / 12 + 100000, 8100, 2025, 3) -
+    calculateMonthlyWithholding(700000 / 12, 8100, 2025, 3);
+  assert(bonus.withholding === expectedBonusWithholding, 'Tabelltrekk withholds as if the month were repeated');
+  assert(bonus.withholding > bonus.actualTax, 'A large one-off payment is over-withheld by tabelltrekk');
+  assert(bonus.takeHome === bonus.amount - bonus.actualTax, 'Take-home is the amount minus actual tax');
+  assert(bonus.holidayPay.amount === 0, 'No feriepenger unless a rate is given');
+
+  const etterbetaling = calculateOneOffPaymentTakeHome({ ...bonusParams, amount: 20000, holidayPayRate: 0.12 });
+  assertApprox(etterbetaling.holidayPay.amount, 2400, 0.01, 'Etterbetaling can earn feriepenger');
+  assertApprox(etterbetaling.totalValue, etterbetaling.takeHome + etterbetaling.holidayPay.net, 0.01, 'Total value includes feriepenger');
+
+  const juneBonus = calculateOneOffPaymentTakeHome({ ...bonusParams, payoutDate: new Date(2025, 5, 20) });
+  assert(juneBonus.payout.month === 6 && juneBonus.withholding === 0, 'No tabelltrekk on a payment in June');
+  assert(juneBonus.actualTax === bonus.actualTax, 'Payout month does not change actual tax');
+
+  const prosentBonus = calculateOneOffPaymentTakeHome({ ...bonusParams, taxCard: { type: 'prosenttrekk', percentage: 40 } });
+  assertApprox(prosentBonus.withholding, 40000, 0.01, 'Prosenttrekk withholds the percentage of the payment');
+
+  const bonusWithOther = calculateOneOffPaymentTakeHome({ ...bonusParams, otherIncome: { secondJob: 200000 } });
+  assert(bonusWithOther.actualTax > bonus.actualTax, 'Other income raises the marginal tax on the payment');
+
+  // Test 21: Tax years
+  console.log('\n--- Test tax years ---');
+
+  const years = getAvailableTaxYears();
+  assert(years.includes(2024) && years.includes(2025) && years.includes(2026), 'Rate sets exist for 2024, 2025 and 2026');
+  assert(years.every((year, i) => i === 0 || year > years[i - 1]), 'Available years are sorted ascending');
+  assert(findNearestTaxYear(2025) === 2025, 'Available year is used as-is');
+  assert(findNearestTaxYear(2030) === years[years.length - 1], 'Future year falls back to newest rate set');
+  assert(findNearestTaxYear(2010) === years[0], 'Past year falls back to oldest rate set');
+
+  const overtime2024 = calculateOvertimeTakeHome({
+    yearlySalary: 600000,
+    overtimeHours: 10,
+    tableNumber: 8100,
+    periodDate: new Date(2024, 4, 15)
+  });
+  assert(overtime2024.taxYear === 2024, 'Tax year follows periodDate when taxYear is omitted');
+
+  const overtime2025 = calculateOvertimeTakeHome({
+    yearlySalary: 600000,
+    overtimeHours: 10,
+    tableNumber: 8100,
+    taxYear: 2025,
+    periodDate: new Date(2024, 4, 15)
+  });
+  assert(overtime2025.taxYear === 2025, 'Explicit taxYear takes precedence over periodDate');
+  assert(overtime2024.actualTax !== overtime2025.actualTax, 'Different years give different tax');
+
+  // Test 22: Salary history
+  console.log('\n--- Test salary history ---');
+
+  const salaryHistory = [{ from: '2025-05-01', yearlySalary: 660000 }];
+  assert(getSalaryOnDate(salaryHistory, new Date(2025, 3, 30), 600000) === 600000, 'Old salary applies before the change');
+  assert(getSalaryOnDate(salaryHistory, new Date(2025, 4, 1), 600000) === 660000, 'New salary applies from its date');
+  assert(getSalaryOnDate(null, new Date(2025, 4, 1), 600000) === 600000, 'Without history the yearly salary is used');
+  assert(getSalaryOnDate(salaryHistory, new Date(2025, 0, 1)) === 660000, 'Without a fallback the first entry is used');
+
+  assertApprox(
+    calculateProratedSalary(salaryHistory, 2025, 600000), (600000 * 120 + 660000 * 245) / 365, 0.01,
+    'Annual salary is pro-rated by days in effect'
+  );
+  assert(calculateProratedSalary(salaryHistory, 2026, 600000) === 660000, 'A change in an earlier year applies all year');
+  assert(calculateProratedSalary([], 2025, 600000) === 600000, 'Empty history gives the yearly salary');
+
+  const historyParams = {
+    yearlySalary: 600000, salaryHistory, overtimeHours: 10, tableNumber: 8100, taxYear: 2025
+  };
+  const beforeRaise = calculateOvertimeTakeHome({ ...historyParams, periodDate: new Date(2025, 2, 15) });
+  const afterRaise = calculateOvertimeTakeHome({ ...historyParams, periodDate: new Date(2025, 6, 15) });
+  assertApprox(beforeRaise.hourlyRate, 600000 / 1950, 0.01, 'Hourly rate uses the salary in the overtime month');
+  assertApprox(afterRaise.hourlyRate, 660000 / 1950, 0.01, 'Hourly rate uses the raised salary after the change');
+  assert(beforeRaise.annualSalary === afterRaise.annualSalary, 'Tax uses the same pro-rated salary all year');
+
+  const prorated = calculateProratedSalary(salaryHistory, 2025, 600000);
+  assertApprox(
+    afterRaise.actualTax,
+    calculateAnnualTax(prorated + afterRaise.grossPay, 8100, 2025) - calculateAnnualTax(prorated, 8100, 2025), 0.01,
+    'Actual tax is stacked on the pro-rated annual salary'
+  );
+
+  const historyValidation = validateParameters({ salaryHistory, overtimeHours: 10, tableNumber: 8100 });
+  assert(historyValidation.valid, 'Yearly salary is optional with a salary history');
+  const badHistory = validateParameters({
+    yearlySalary: 600000, salaryHistory: [{ from: '1. mai', yearlySalary: 660000 }], overtimeHours: 10, tableNumber: 8100
+  });
+  assert(!badHistory.valid, 'Salary changes need a valid date');
+
+  // Test 23: Time off in lieu (avspasering)
+  console.log('\n--- Test time off in lieu ---');
+
+  const timeOffParams = {
+    yearlySalary: 700000, overtimeHours: 10, tableNumber: 8100, taxYear: 2025, periodDate: new Date(2025, 2, 15)
+  };
+  const timeOffPayout = calculateOvertimeTakeHome(timeOffParams);
+  const comparison = calculateTimeOffComparison(timeOffParams);
+  assert(comparison.hours === 10, 'All overtime hours are banked');
+  assertApprox(comparison.payout.takeHome, timeOffPayout.takeHome, 0.01, 'Payout side is the normal overtime calculation');
+  assertApprox(
+    comparison.timeOff.bankedValueGross, 700000 / 1950 * 10, 0.005, 'Banked hours are valued at normal salary'
+  );
+  assertApprox(
+    comparison.timeOff.premiumGross + comparison.timeOff.bankedValueGross, timeOffPayout.grossPay, 0.01,
+    'Premium and banked salary add up to the overtime pay'
+  );
+  assert(comparison.timeOff.bankedValue < comparison.timeOff.bankedValueGross, 'Time off is valued after tax');
+  assertApprox(
+    comparison.taxDifference,
+    comparison.payout.tax - comparison.timeOff.premiumTax - (comparison.timeOff.bankedValueGross - comparison.timeOff.bankedValue),
+    0.01, 'Tax difference compares the payout with premium and banked salary'
+  );
+  assertApprox(
+    comparison.timeOff.premiumTakeHome + comparison.timeOff.holidayPay + comparison.breakEvenHourValue * 10,
+    comparison.payout.totalValue, 0.05, 'Break-even hour value makes both choices equal'
+  );
+  assert(
+    (comparison.timeOff.totalValue >= comparison.payout.totalValue) === (comparison.better === 'timeOff'),
+    'Better choice follows the total values'
+  );
+  assert(comparison.timeOff.holidayPay < comparison.payout.holidayPay, 'Only the premium earns feriepenger with time off');
+
+  const noHoursComparison = calculateTimeOffComparison({ ...timeOffParams, overtimeHours: 0 });
+  assert(noHoursComparison.breakEvenHourValue === null, 'No break-even without hours');
+
+  // Salary change between the worked period and the payout, and an hourly rate that is not whole øre
+  const changedSalaryParams = {
+    overtimeHours: 37.5,
+    fixedSupplements: 1,
+    salaryHistory: [{ from: '2025-01-01', yearlySalary: 700000 }, { from: '2025-04-01', yearlySalary: 760000 }],
+    tableNumber: 8100,
+    taxYear: 2025,
+    periodDate: new Date(2025, 2, 15)
+  };
+  const changedSalaryPayout = calculateOvertimeTakeHome(changedSalaryParams);
+  const changedSalaryComparison = calculateTimeOffComparison(changedSalaryParams);
+  assertApprox(
+    changedSalaryComparison.timeOff.bankedValueGross, Math.round(700001 / 1950 * 37.5 * 100) / 100, 0.001,
+    'Banked hours use the unrounded hourly rate of the worked period'
+  );
+  assertApprox(
+    changedSalaryComparison.timeOff.premiumGross,
+    changedSalaryPayout.grossPay - changedSalaryComparison.timeOff.bankedValueGross, 0.001,
+    'Premium is the rest of the overtime pay with a salary history'
+  );
+  assertApprox(
+    changedSalaryComparison.payout.totalValue, changedSalaryPayout.totalValue, 0.001,
+    'Payout side matches the take-home result with a salary history'
+  );
+
+  // Test 24: Integer øre arithmetic
+  console.log('\n--- Test integer øre arithmetic ---');
+
+  const isWholeOre = (amount) => fromOre(toOre(amount)) === amount;
+
+  assert(toOre(0.29) === 29 && fromOre(29) === 0.29, 'Kroner and øre convert without drift');
+  assert(applyRate(1, 0.5) === 1 && applyRate(3, 0.5) === 2, 'Half an øre rounds up');
+  assert(applyRate(-1, 0.5) === -1, 'Negative half øre rounds away from zero');
+  assert(applyRate(1234567, 0.017) === 20988, 'Rates are applied exactly (1 234 567 øre × 1.7 %)');
+
+  // Known results, identical in every JavaScript engine
+  assert(calculateAnnualTax(700000, 8100, 2025) === 159320.5, 'Annual tax at 700 000 is exactly 159 320,50');
+  assert(calculateMonthlyWithholding(50000, 8100, 2025) === 11937, 'Monthly withholding at 50 000 is exactly 11 937');
+  assert(calculateMonthlyWithholding(50000, 8100, 2025, 12) === 5968, 'December withholding is exactly 5 968');
+
+  const oddComponents = calculateTaxComponents(654321.55, 8115, 2025);
+  assert(
+    oddComponents.trinnskatt === 15437.91 && oddComponents.trygdeavgift === 50382.76 &&
+      oddComponents.inntektsskatt === 74529.74 && oddComponents.total === 140350.41,
+    'Tax components are rounded to whole øre'
+  );
+  assert(
+    toOre(oddComponents.trinnskatt) + toOre(oddComponents.trygdeavgift) + toOre(oddComponents.inntektsskatt) ===
+      toOre(oddComponents.total),
+    'Components add up to the total exactly'
+  );
+
+  const exactParams = {
+    yearlySalary: 700000, overtimeHours: 12.5, tableNumber: 8100, taxYear: 2025, periodDate: new Date(2025, 2, 15)
+  };
+  const exact = calculateOvertimeTakeHome(exactParams);
+  assert(
+    exact.grossPay === 6282.05 && exact.actualTax === 2726.41 && exact.withholding === 3125,
+    'Overtime result is exactly 6 282,05 gross, 2 726,41 tax and 3 125 withholding'
+  );
+  assert(
+    toOre(exact.actualTax) ===
+      toOre(calculateAnnualTax(700000 + exact.grossPay, 8100, 2025)) - toOre(calculateAnnualTax(700000, 8100, 2025)),
+    'Marginal tax is the exact difference of two annual taxes'
+  );
+  assert(toOre(exact.takeHome) === toOre(exact.grossPay) - toOre(exact.actualTax), 'Take-home has no rounding drift');
+
+  const amounts = [
+    exact.grossPay, exact.actualTax, exact.takeHome, exact.withholding, exact.takeHomeWithholding,
+    exact.holidayPay.amount, exact.holidayPay.tax, exact.holidayPay.net, exact.totalValue,
+    ...Object.values(exact.taxBreakdown.actual).filter(value => typeof value === 'number'),
+    ...exact.categories.map(category => category.takeHome)
+  ];
+  assert(amounts.every(isWholeOre), 'Every amount in the result is whole øre');
+
+  // Same inputs give the same result, regardless of what was calculated before
+  const repeated = calculateOvertimeTakeHome(exactParams);
+  assert(JSON.stringify(repeated) === JSON.stringify(exact), 'Repeated calculation is identical');
+
+  // Test 25: Batch and memoized calculation
+  console.log('\n--- Test batch calculation ---');
+
+  const batchProfile = { yearlySalary: 650000, tableNumber: 8115, taxYear: 2025, periodDate: new Date(2025, 8, 10) };
+  const batchHours = [0, 2.5, 10, 40];
+  const batchResults = calculateOvertimeTakeHomeBatch(batchProfile, batchHours);
+  assert(batchResults.length === batchHours.length, 'Batch returns one result per hours value');
+  assert(
+    batchResults.every((result, i) =>
+      JSON.stringify(result) === JSON.stringify(calculateOvertimeTakeHome({ ...batchProfile, overtimeHours: batchHours[i] }))
+    ),
+    'Batch results equal single calculations'
+  );
+
+  const batchEntries = calculateOvertimeTakeHomeBatch(batchProfile, [[{ hours: 5, multiplier: 2, label: 'Helg' }]]);
+  assert(batchEntries[0].categories[0].label === 'Helg' && batchEntries[0].categories[0].multiplier === 2,
+    'Batch items can be category entries');
+  const batchHelg = calculateOvertimeTakeHomeBatch(batchProfile, [5], { multiplier: 2 });
+  assert(batchHelg[0].grossPay === batchEntries[0].grossPay, 'Batch multiplier applies to plain hours');
+
+  const cachedTax = calculateAnnualTax(650000, 8115, 2025);
+  clearCalculationCache();
+  assert(calculateAnnualTax(650000, 8115, 2025) === cachedTax, 'Cleared cache gives the same result');
+  assert(Object.isFrozen(calculateTaxComponents(650000, 8115, 2025)) === false, 'Public results can be modified by callers');
+
+  // Test 26: Scenario comparison
+  console.log('\n--- Test scenario comparison ---');
+
+  const scenarioParams = {
+    yearlySalary: 700000, tableNumber: 8115, taxYear: 2025, overtimeHours: 10, periodDate: new Date(2025, 2, 15)
+  };
+  const scenarioComparison = compareScenarios(scenarioParams, [
+    { label: 'Dine innstillinger' },
+    { label: 'Tabell 8000', tableNumber: 8000 },
+    { label: 'Forskuddstrekk', method: 'withholding' },
+    { label: 'Høyere lønn', yearlySalary: 900000 },
+    { label: 'Flere timer', overtimeHours: 40 }
+  ]);
+  const single = calculateOvertimeTakeHome(scenarioParams);
+  const [own, table8000, withheld, higherSalary, moreHours] = scenarioComparison.scenarios;
+
+  assert(own.takeHome === single.takeHome && own.difference.takeHome === 0, 'First scenario is the reference');
+  assert(withheld.takeHome === single.takeHomeWithholding && withheld.tax === single.withholding,
+    'Withholding mode uses the withholding result');
+  assert(table8000.tableNumber === 8000 && table8000.takeHome === own.takeHome,
+    'Table number does not change actual take-home (see table-number-effect test)');
+  assert(higherSalary.grossPay > own.grossPay, 'Salary override changes the hourly rate');
+  assert(moreHours.grossPay === own.grossPay, 'Hours cannot be overridden per scenario');
+  assertApprox(higherSalary.difference.takeHome, higherSalary.takeHome - own.takeHome, 0.001,
+    'Difference is relative to the first scenario');
+  assert(scenarioComparison.highest === 3, 'Highest take-home is the higher salary');
+  const { highest, lowest } = scenarioComparison;
+  assertApprox(scenarioComparison.spread,
+    scenarioComparison.scenarios[highest].takeHome - scenarioComparison.scenarios[lowest].takeHome, 0.001,
+    'Spread is the difference between highest and lowest');
+
+  const tableParams = { ...scenarioParams, withholdingTable: [[0, 0], [100000, 99999]] };
+  const tableComparison = compareScenarios(tableParams, [
+    { method: 'withholding' },
+    { method: 'withholding', taxYear: 2024 }
+  ]);
+  assert(tableComparison.scenarios[0].result.withholdingSource === 'table', 'Shared withholding table is used');
+  assert(tableComparison.scenarios[1].result.withholdingSource === 'formula',
+    'Withholding table is dropped when the tax year changes');
+
+  // Test 27: Declarative tax rules
+  console.log('\n--- Test tax rule steps ---');
+
+  const ruleInputs = { personalIncome: toOre(650000), capitalIncome: 0, tableAdjustment: toOre(-115000) };
+  const ruleResult = runTaxRules(STANDARD_TAX_RULES, TAX_RATES[2025], ruleInputs);
+  const ruleComponents = calculateTaxComponents(650000, 8115, 2025);
+  assert(fromOre(ruleResult.total) === ruleComponents.total && fromOre(ruleResult.personfradrag) === 108550,
+    'Tax components are the result of the year\'s rule steps');
+  assert(TAX_RATES[2024].rules === STANDARD_TAX_RULES, 'Every year lists its rule steps');
+
+  // A new deduction is a data change: one more step before alminnelig inntekt
+  const unionDues = { id: 'fagforening', op: 'amount', rates: 'fagforening', deduction: true };
+  const extendedRules = [...STANDARD_TAX_RULES];
+  extendedRules.splice(extendedRules.findIndex(step => step.id === 'alminneligInntekt'), 0, unionDues);
+  const extended = runTaxRules(extendedRules, { ...TAX_RATES[2025], fagforening: 8000 }, ruleInputs);
+  assert(ruleResult.alminneligInntekt - extended.alminneligInntekt === toOre(8000),
+    'Extra deduction step reduces alminnelig inntekt');
+  assert(ruleResult.total - extended.total === applyRate(toOre(8000), 0.22), 'Extra deduction saves 22%');
+
+  const zoneRates = applyTableRules(TAX_RATES[2025], parseTableNumber(7615));
+  assert(zoneRates.rules.map(step => step.id).join() ===
+    'minstefradrag,personfradrag,finnmarksfradrag,alminneligInntekt,trinnskatt,trygdeavgift,inntektsskatt',
+    'Tiltakssone tables insert finnmarksfradrag before alminnelig inntekt');
+  assert(zoneRates.trinnskatt[3].rate === 0.117 && zoneRates.trinnskatt[4].rate === 0.167,
+    'Special table rates replace only trinn 3');
+  assert(TAX_RATES[2025].trinnskatt[3].rate === 0.137 && TAX_RATES[2025].rules.length === 6,
+    'Special tables do not change the year\'s rates');
+  assert(calculateTaxComponents(650000, 7615, 2025).finnmarksfradrag === 30000,
+    'Tiltakssone components report finnmarksfradrag');
+  assert(applyTableRules(TAX_RATES[2025], parseTableNumber(7115)).minstefradrag.max === 88700,
+    'Pension tables use the pension minstefradrag');
+
+  const merged = mergeRates(
+    { a: { b: 1, c: 2 }, list: [{ x: 1 }, { x: 2 }] },
+    { a: { c: 3 }, list: { 1: { x: 5 } } }
+  );
+  assert(merged.a.b === 1 && merged.a.c === 3 && Array.isArray(merged.list) && merged.list[1].x === 5,
+    'mergeRates merges objects by key and arrays by index');
+
+  let ruleError = null;
+  try {
+    runTaxRules([{ id: 'ukjent', op: 'square' }], TAX_RATES[2025], ruleInputs);
+  } catch (error) {
+    ruleError = error;
+  }
+  assert(ruleError && ruleError.message.includes('"square"'), 'Unknown rule operation throws');
+  ruleError = null;
+  try {
+    runTaxRules([{ id: 'fradrag', op: 'amount', rates: 'mangler' }], TAX_RATES[2025], ruleInputs);
+  } catch (error) {
+    ruleError = error;
+  }
+  assert(ruleError && ruleError.message.includes('"mangler"'), 'Step with missing rates throws');
+
+  // Test 28: Custom rate sets
+  console.log('\n--- Test custom rate sets ---');
+
+  // Rates as saved from JSON, where the top bracket has threshold null
+  const budgetRates = JSON.parse(JSON.stringify(TAX_RATES[2026]));
+  budgetRates.trinnskatt[3].rate = 0.15;
+  const budget = { id: 'budsjett-2027', name: 'Statsbudsjettet 2027', year: 2027, rates: budgetRates };
+  assert(validateRateSet(budget).valid, 'Official rates read from JSON are a valid rate set');
+
+  registerCustomRateSets([budget]);
+  assert(getCustomRateSet('budsjett-2027').rates.trinnskatt[5].threshold === Infinity,
+    'Top bracket has no upper limit once registered');
+  assert(calculateAnnualTax(700000, 8115, 'budsjett-2027') === calculateAnnualTax(700000, 8115, 2026),
+    'Rate set is used by its id (unchanged below trinn 3)');
+  assertApprox(calculateAnnualTax(900000, 8115, 'budsjett-2027') - calculateAnnualTax(900000, 8115, 2026),
+    (900000 - 725050) * 0.013, 0.05, 'Higher trinn 3 rate in the rate set');
+  const budgetWithholding = (tableNumber) => calculateMonthlyWithholding(80000, tableNumber, 'budsjett-2027');
+  assert(budgetWithholding(7115) > calculateMonthlyWithholding(80000, 7115, 2026),
+    'Special tables use the rate set');
+  assert(budgetWithholding(7615) === calculateMonthlyWithholding(80000, 7615, 2026),
+    'Tiltakssone tables keep their own trinn 3 rate');
+  const budgetResult = calculateOvertimeTakeHome({
+    yearlySalary: 900000, tableNumber: 8115, overtimeHours: 10, taxYear: 'budsjett-2027',
+    periodDate: new Date(2026, 9, 1)
+  });
+  assert(budgetResult.taxYear === 'budsjett-2027' && budgetResult.holidayPay.payoutYear === 2028,
+    'Holiday pay is paid the year after the rate set year');
+  const budgetParams = { yearlySalary: 900000, tableNumber: 8115, taxYear: 2026, overtimeHours: 10 };
+  assert(validateParameters({ ...budgetParams, taxYear: 'budsjett-2027' }).valid,
+    'Registered rate set is a valid tax year');
+
+  const budgetComparison = compareScenarios(budgetParams, [
+    { label: '2026' },
+    { label: 'Budsjett', taxYear: 'budsjett-2027' }
+  ]);
+  assert(budgetComparison.scenarios[1].difference.takeHome < 0,
+    'Rate set can be compared with the official rates');
+
+  // Changing the rates of a registered id clears cached results
+  registerCustomRateSets([{ ...budget, rates: TAX_RATES[2026] }]);
+  assert(calculateAnnualTax(900000, 8115, 'budsjett-2027') === calculateAnnualTax(900000, 8115, 2026),
+    'Re-registering replaces cached results');
+
+  const invalidRates = JSON.parse(JSON.stringify(budgetRates));
+  invalidRates.trygdeavgift.rate = 7.7;
+  invalidRates.trinnskatt[2].threshold = 100;
+  invalidRates.rules = [
+    ...invalidRates.rules,
+    { id: 'ekstra', op: 'flat', of: 'senere', rates: 'alminneligInntekt' }
+  ];
+  const invalid = validateRateSet({ ...budget, rates: invalidRates });
+  assert(!invalid.valid && invalid.errors.some(error => error.startsWith('trygdeavgift.rate')) &&
+    invalid.errors.some(error => error.startsWith('trinnskatt[2].threshold')) &&
+    invalid.errors.some(error => error.includes('"senere"')),
+    'Invalid rates, brackets and rule steps are reported');
+
+  const noZone = JSON.parse(JSON.stringify(budgetRates));
+  noZone.specialTables.tiltakssone.rules[0].before = 'ukjent';
+  assert(validateRateSet({ ...budget, rates: noZone }).errors.some(error => error.startsWith('tiltakssone:')),
+    'Special table rules are checked');
+  assert(validateRateSet({ ...budget, id: '2027', year: 27 }).errors.length === 2, 'Id and year are checked');
+
+  let rateSetError = null;
+  try {
+    registerCustomRateSets([budget, { ...budget, name: 'Ugyldig', rates: invalidRates }]);
+  } catch (error) {
+    rateSetError = error;
+  }
+  assert(rateSetError && rateSetError.message.includes('Ugyldig'), 'Invalid sets are not registered');
+  assert(getCustomRateSet('budsjett-2027').rates.trinnskatt[3].rate === 0.137,
+    'Earlier sets stay registered on errors');
+
+  registerCustomRateSets([]);
+  assert(getCustomRateSet('budsjett-2027') === null, 'Registering replaces earlier sets');
+
+  // Test 29: Uncertainty range
+  console.log('\n--- Test uncertainty range ---');
+
+  const within = ({ low, high }, value) => low <= value && value <= high;
+  const march = calculateOvertimeTakeHome({
+    yearlySalary: 680000, tableNumber: 8115, overtimeHours: 10, periodDate: new Date(2025, 1, 15)
+  });
+  assert(within(march.range.takeHome, march.takeHome) && within(march.range.actualTax, march.actualTax),
+    'Actual take-home lies within its range');
+  assert(within(march.range.takeHomeWithholding, march.takeHomeWithholding) &&
+    within(march.range.withholding, march.withholding), 'Withholding take-home lies within its range');
+  // Two trekk amounts, each within the tolerance of the table comparison
+  const tolerance = 2 * ESTIMATE_UNCERTAINTY.formulaWithholding;
+  assertApprox(march.range.withholding.low, march.withholding - tolerance, 0.001,
+    'Formula withholding range starts at the table comparison tolerance below');
+  assertApprox(march.range.withholding.high, march.withholding + tolerance, 0.001,
+    'Formula withholding range ends at the table comparison tolerance above');
+
+  // 680,000 is below the trinn 3 step (697,150 in 2025); with unknown other income it may be above
+  const trinn3 = TAX_RATES[2025].trinnskatt[2].threshold;
+  const withUnknownIncome = 680000 * (1 + ESTIMATE_UNCERTAINTY.unknownOtherIncome);
+  assert(680000 + march.grossPay < trinn3 && withUnknownIncome > trinn3, 'Range case straddles trinn 3');
+  assertApprox(march.range.actualTax.low, march.actualTax, 0.001, 'Actual tax range starts at the estimate');
+  const taxWithUnknownIncome = calculateAnnualTax(withUnknownIncome + march.grossPay, 8115, 2025) -
+    calculateAnnualTax(withUnknownIncome, 8115, 2025);
+  assertApprox(march.range.actualTax.high, taxWithUnknownIncome, 0.01,
+    'Actual tax range ends at the tax with unknown other income, in the next trinnskatt step');
+  assertApprox(march.range.takeHome.low, march.grossPay - march.range.actualTax.high, 0.001,
+    'Unknown other income near trinn 3 widens the take-home range downwards');
+
+  const farFromStep = calculateOvertimeTakeHome({
+    yearlySalary: 500000, tableNumber: 8115, overtimeHours: 10, periodDate: new Date(2025, 1, 15)
+  });
+  assertApprox(farFromStep.range.actualTax.high, farFromStep.range.actualTax.low, 0.02,
+    'Unknown other income within the same trinnskatt step does not widen the range');
+
+  const enteredIncome = calculateOvertimeTakeHome({
+    yearlySalary: 680000, tableNumber: 8115, overtimeHours: 10, periodDate: new Date(2025, 1, 15),
+    otherIncome: { bonus: 5000 }
+  });
+  assert(enteredIncome.range.actualTax.low === enteredIncome.range.actualTax.high,
+    'Entered other income gives an exact actual tax');
+
+  const withTable = calculateOvertimeTakeHome({
+    yearlySalary: 680000, tableNumber: 8115, overtimeHours: 10, periodDate: new Date(2025, 1, 15),
+    withholdingTable: [[50000, 12000], [55000, 14000], [60000, 16000], [65000, 18000]]
+  });
+  assert(withTable.withholdingSource === 'table' &&
+    withTable.range.withholding.low === withTable.range.withholding.high,
+    'Table lookup outside June and December gives an exact withholding');
+
+  const beforeJune = calculateOvertimeTakeHome({
+    yearlySalary: 680000, tableNumber: 8115, overtimeHours: 10, periodDate: new Date(2025, 3, 15)
+  });
+  assert(beforeJune.range.withholding.low === 0 &&
+    beforeJune.range.takeHomeWithholding.high === beforeJune.grossPay,
+    'Payout next to June includes a month without tabelltrekk');
+
+  const percentage = calculateOvertimeTakeHome({
+    yearlySalary: 680000, tableNumber: 8115, overtimeHours: 10, periodDate: new Date(2025, 3, 15),
+    taxCard: { type: 'prosenttrekk', percentage: 35 }
+  });
+  assert(percentage.range.withholding.low === percentage.withholding &&
+    percentage.range.withholding.high === percentage.withholding, 'Prosenttrekk is exact');
+
   // Summary
   console.log('\n=== Test Summary ===');
   console.log(`Passed: ${testsPassed}`);
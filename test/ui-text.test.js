@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for the Shared UI Text
+ *
+ * Verifies the labels, validation messages and escaping shared by the
+ * popup, the hover popup and the command-line calculator.
+ *
+ * Run with: node test/ui-text.test.js
+ */
+
+const { WITHHOLDING_LABELS, VALIDATION_TEXT, translateValidationIssue, escapeHTML } = require('../lib/ui-text.js');
+const { validateParameters, VALIDATION_MESSAGES } = require('../lib/trekktabell.js');
+
+// Simple test framework
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (condition) {
+    testsPassed++;
+    console.log(`✓ ${message}`);
+  } else {
+    testsFailed++;
+    console.error(`✗ ${message}`);
+  }
+}
+
+function runTests() {
+  console.log('\n=== Testing Shared UI Text ===\n');
+
+  // Test 1: escapeHTML
+  console.log('--- Test escapeHTML ---');
+  assert(escapeHTML('<img src=x onerror="alert(1)">') === '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;',
+    'Tags and double quotes are escaped');
+  assert(escapeHTML("Tom & Jerry's") === 'Tom &amp; Jerry&#39;s', 'Ampersands and single quotes are escaped');
+  assert(escapeHTML('Bonus 50 %') === 'Bonus 50 %', 'Plain text is unchanged');
+  assert(escapeHTML(1234) === '1234', 'Numbers are escaped as text');
+
+  // Test 2: withholding labels
+  console.log('\n--- Test withholding labels ---');
+  assert(['formula', 'table', 'prosenttrekk', 'frikort'].every(source => WITHHOLDING_LABELS[source]),
+    'Every withholdingSource has a label');
+
+  // Test 3: validation messages
+  console.log('\n--- Test validation messages ---');
+  assert(Object.keys(VALIDATION_MESSAGES).every(code => VALIDATION_TEXT[code]),
+    'Every validateParameters() issue code has a Norwegian message');
+  const { issues } = validateParameters({
+    yearlySalary: 60000, overtimeHours: 10, tableNumber: 8115, otherIncome: { capitalIncome: -1 }
+  });
+  assert(issues.map(translateValidationIssue).join('; ') ===
+    'Årslønn må være mellom 100 000 og 5 000 000 kr; Kapitalinntekter: beløpet kan ikke være negativt',
+    'Issues are translated with their params');
+
+  // Summary
+  console.log('\n=== Test Summary ===');
+  console.log(`Passed: ${testsPassed}`);
+  console.log(`Failed: ${testsFailed}`);
+  console.log(`Total:  ${testsPassed + testsFailed}`);
+
+  if (testsFailed === 0) {
+    console.log('\n✓ All tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n✗ ${testsFailed} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests();
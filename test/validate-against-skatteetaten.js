@@ -5,144 +5,245 @@
  * the official Skatteetaten withholding calculator:
  * https://tabellkort.app.skatteetaten.no/
  *
- * Usage: node test/validate-against-skatteetaten.js
+ * With Skatteetaten's trekktabell file for 2026, every monthly salary and
+ * pension table in the file is also compared against the formula, interval
+ * by interval. The script then fails (exit code 1) if any interval is more
+ * than WITHHOLDING_TOLERANCE_KRONER from the official trekk. The same
+ * comparison runs in npm test on a checked-in extract of the file
+ * (see skatteetaten-table.test.js).
+ *
+ * Usage: node test/validate-against-skatteetaten.js [trekktabell-2026.txt]
  */
 
+const fs = require('fs');
 const {
   calculateMonthlyWithholding,
   calculateOvertimeTakeHome,
-  formatNOK
+  parseTableNumber,
+  formatNOK,
+  ESTIMATE_UNCERTAINTY
 } = require('../lib/trekktabell.js');
+const { parseTrekktabellFile, TABLE_TYPES } = require('../lib/trekktabell-parser.js');
 
-console.log('=============================================================================');
-console.log('VALIDATION AGAINST SKATTEETATEN CALCULATOR');
-console.log('=============================================================================\n');
-console.log('Compare these results with the official calculator at:');
-console.log('https://tabellkort.app.skatteetaten.no/\n');
-console.log('Instructions:');
-console.log('1. Open the Skatteetaten calculator in your browser');
-console.log('2. Select year: 2026');
-console.log('3. Select "Månedslønn" (monthly salary)');
-console.log('4. Enter the monthly gross and table number from each test case below');
-console.log('5. Compare the calculated withholding with our result');
-console.log('6. Expected accuracy: within ±2% (±50-200 NOK for typical salaries)\n');
-console.log('=============================================================================\n');
-
-// Test cases covering various salary levels and table numbers
-const testCases = [
-  {
-    description: 'Low salary, standard deduction table',
-    yearlySalary: 400000,
-    tableNumber: 8100,
-    overtimeHours: 8
-  },
-  {
-    description: 'Medium salary, standard deduction table',
-    yearlySalary: 600000,
-    tableNumber: 8100,
-    overtimeHours: 10
-  },
-  {
-    description: 'Medium-high salary, moderate deduction',
-    yearlySalary: 750000,
-    tableNumber: 8115,
-    overtimeHours: 12
-  },
-  {
-    description: 'High salary, moderate deduction',
-    yearlySalary: 900000,
-    tableNumber: 8115,
-    overtimeHours: 10
-  },
-  {
-    description: 'Very high salary, high deduction',
-    yearlySalary: 1200000,
-    tableNumber: 8150,
-    overtimeHours: 15
-  },
-  {
-    description: 'Medium salary, addition table (extra income)',
-    yearlySalary: 700000,
-    tableNumber: 9050,
-    overtimeHours: 10
-  },
-  {
-    description: 'High salary, addition table',
-    yearlySalary: 1000000,
-    tableNumber: 9100,
-    overtimeHours: 10
-  }
-];
+// Expected accuracy of the formula: kroner from the official trekk of an interval
+// (the same figure sizes the uncertainty range of the estimates)
+const WITHHOLDING_TOLERANCE_KRONER = ESTIMATE_UNCERTAINTY.formulaWithholding;
 
-let caseNumber = 1;
+const toleranceText = `±${WITHHOLDING_TOLERANCE_KRONER} kr`;
 
-testCases.forEach(testCase => {
-  console.log(`TEST CASE ${caseNumber}: ${testCase.description}`);
-  console.log('─────────────────────────────────────────────────────────────────────────────');
+/**
+ * Read the monthly tables of one tabelltype from a table file
+ * @param {string} text - Contents of the table file
+ * @param {number} tableType - Tabelltype (see TABLE_TYPES)
+ * @returns {object} { [tableNumber]: rows }, empty if the file has none of the type
+ */
+function readTables(text, tableType) {
+  try {
+    return parseTrekktabellFile(text, { tableType });
+  } catch (error) {
+    if (error.message.startsWith('No matching')) return {};
+    throw error;
+  }
+}
 
-  const { yearlySalary, tableNumber, overtimeHours } = testCase;
-  const monthlyGross = yearlySalary / 12;
+/**
+ * Compare the formula with every interval of an official table file
+ *
+ * Salary tables are read from the salary records and pension tables
+ * (7000-7400) from the pension records. Table numbers the extension does
+ * not support are skipped.
+ *
+ * @param {string} text - Contents of Skatteetaten's table file
+ * @param {number} taxYear - Tax year of the file
+ * @returns {Array} [{ tableNumber, intervals, maxDifference, outside }] - outside is
+ *   the number of intervals more than WITHHOLDING_TOLERANCE_KRONER from the official trekk
+ */
+function compareWithTableFile(text, taxYear) {
+  const salaryTables = readTables(text, TABLE_TYPES.SALARY);
+  const pensionTables = readTables(text, TABLE_TYPES.PENSION);
+
+  const comparisons = [];
+  const tableNumbers = new Set([...Object.keys(salaryTables), ...Object.keys(pensionTables)].map(Number));
+  for (const tableNumber of [...tableNumbers].sort((a, b) => a - b)) {
+    const parsed = parseTableNumber(tableNumber);
+    if (!parsed) continue;
+    const rows = parsed.special === 'pension' ? pensionTables[tableNumber] : salaryTables[tableNumber];
+    if (!rows) continue;
+
+    let maxDifference = 0;
+    let outside = 0;
+    rows.forEach(([grunnlag, trekk]) => {
+      const difference = Math.abs(calculateMonthlyWithholding(grunnlag, tableNumber, taxYear) - trekk);
+      maxDifference = Math.max(maxDifference, difference);
+      if (difference > WITHHOLDING_TOLERANCE_KRONER) outside++;
+    });
+    comparisons.push({ tableNumber, intervals: rows.length, maxDifference, outside });
+  }
 
-  // Calculate normal monthly withholding
-  const normalWithholding = calculateMonthlyWithholding(monthlyGross, tableNumber, 2026);
+  return comparisons;
+}
 
-  // Calculate overtime scenario
-  const overtimeResult = calculateOvertimeTakeHome({
-    yearlySalary,
-    overtimeHours,
-    tableNumber,
-    taxYear: 2026
+/**
+ * Print the manual test cases, and compare with a table file if given
+ * @param {string} [tableFile] - Path to Skatteetaten's table file for 2026
+ */
+function main(tableFile) {
+  console.log('=============================================================================');
+  console.log('VALIDATION AGAINST SKATTEETATEN CALCULATOR');
+  console.log('=============================================================================\n');
+  console.log('Compare these results with the official calculator at:');
+  console.log('https://tabellkort.app.skatteetaten.no/\n');
+  console.log('Instructions:');
+  console.log('1. Open the Skatteetaten calculator in your browser');
+  console.log('2. Select year: 2026');
+  console.log('3. Select "Månedslønn" (monthly salary)');
+  console.log('4. Enter the monthly gross and table number from each test case below');
+  console.log('5. Compare the calculated withholding with our result');
+  console.log(`6. Expected accuracy: within ${toleranceText} of the withholding amount\n`);
+  console.log('=============================================================================\n');
+
+  // Test cases covering various salary levels and table numbers
+  const testCases = [
+    {
+      description: 'Low salary, standard deduction table',
+      yearlySalary: 400000,
+      tableNumber: 8100,
+      overtimeHours: 8
+    },
+    {
+      description: 'Medium salary, standard deduction table',
+      yearlySalary: 600000,
+      tableNumber: 8100,
+      overtimeHours: 10
+    },
+    {
+      description: 'Medium-high salary, moderate deduction',
+      yearlySalary: 750000,
+      tableNumber: 8115,
+      overtimeHours: 12
+    },
+    {
+      description: 'High salary, moderate deduction',
+      yearlySalary: 900000,
+      tableNumber: 8115,
+      overtimeHours: 10
+    },
+    {
+      description: 'Very high salary, high deduction',
+      yearlySalary: 1200000,
+      tableNumber: 8150,
+      overtimeHours: 15
+    },
+    {
+      description: 'Medium salary, addition table (extra income)',
+      yearlySalary: 700000,
+      tableNumber: 9050,
+      overtimeHours: 10
+    },
+    {
+      description: 'High salary, addition table',
+      yearlySalary: 1000000,
+      tableNumber: 9100,
+      overtimeHours: 10
+    }
+  ];
+
+  let caseNumber = 1;
+
+  testCases.forEach(testCase => {
+    console.log(`TEST CASE ${caseNumber}: ${testCase.description}`);
+    console.log('─────────────────────────────────────────────────────────────────────────────');
+
+    const { yearlySalary, tableNumber, overtimeHours } = testCase;
+    const monthlyGross = yearlySalary / 12;
+
+    // Calculate normal monthly withholding
+    const normalWithholding = calculateMonthlyWithholding(monthlyGross, tableNumber, 2026);
+
+    // Calculate overtime scenario
+    const overtimeResult = calculateOvertimeTakeHome({
+      yearlySalary,
+      overtimeHours,
+      tableNumber,
+      taxYear: 2026,
+      periodDate: new Date(2026, 0, 15) // Paid in February, a month with full trekk
+    });
+
+    const combinedGross = monthlyGross + overtimeResult.grossPay;
+    const combinedWithholding = calculateMonthlyWithholding(combinedGross, tableNumber, 2026);
+
+    console.log(`\nInput Parameters:`);
+    console.log(`  Yearly Salary:     ${formatNOK(yearlySalary)}`);
+    console.log(`  Table Number:      ${tableNumber}`);
+    console.log(`  Tax Year:          2026`);
+    console.log(`  Overtime Hours:    ${overtimeHours} hours`);
+
+    console.log(`\nMonthly Withholding (Normal Salary):`);
+    console.log(`  Monthly Gross:     ${formatNOK(monthlyGross, true)}`);
+    console.log(`  Withholding:       ${formatNOK(normalWithholding, true)}`);
+    console.log(`  Effective Rate:    ${((normalWithholding / monthlyGross) * 100).toFixed(1)}%`);
+    console.log(`  Net Pay:           ${formatNOK(monthlyGross - normalWithholding, true)}`);
+
+    console.log(`\nMonthly Withholding (With Overtime):`);
+    console.log(`  Monthly Gross:     ${formatNOK(combinedGross, true)} (includes overtime)`);
+    console.log(`  Withholding:       ${formatNOK(combinedWithholding, true)}`);
+    console.log(`  Effective Rate:    ${((combinedWithholding / combinedGross) * 100).toFixed(1)}%`);
+    console.log(`  Net Pay:           ${formatNOK(combinedGross - combinedWithholding, true)}`);
+
+    console.log(`\nOvertime Breakdown:`);
+    console.log(`  Hourly Rate:       ${formatNOK(overtimeResult.hourlyRate, true)}`);
+    console.log(`  Overtime Rate:     ${formatNOK(overtimeResult.overtimeRate, true)} (×1.4)`);
+    console.log(`  Gross Overtime:    ${formatNOK(overtimeResult.grossPay, true)}`);
+    console.log(`  Tax on Overtime:   ${formatNOK(overtimeResult.withholding, true)}`);
+    console.log(`  NET TAKE-HOME:     ${formatNOK(overtimeResult.takeHome, true)} ← Main result`);
+    console.log(`  Marginal Tax Rate: ${(overtimeResult.effectiveRate * 100).toFixed(1)}%`);
+
+    console.log(`\nTo verify on Skatteetaten calculator:`);
+    console.log(`  1. Calculate withholding for monthly gross: ${formatNOK(monthlyGross, false)}`);
+    console.log(`     Expected result: ~${formatNOK(normalWithholding, false)} (${toleranceText})`);
+    console.log(`  2. Calculate withholding for combined gross: ${formatNOK(combinedGross, false)}`);
+    console.log(`     Expected result: ~${formatNOK(combinedWithholding, false)} (${toleranceText})`);
+    console.log(`  3. Difference should be: ~${formatNOK(overtimeResult.withholding, false)}`);
+
+    console.log('\n=============================================================================\n');
+    caseNumber++;
   });
 
-  const combinedGross = monthlyGross + overtimeResult.grossPay;
-  const combinedWithholding = calculateMonthlyWithholding(combinedGross, tableNumber, 2026);
-
-  console.log(`\nInput Parameters:`);
-  console.log(`  Yearly Salary:     ${formatNOK(yearlySalary)}`);
-  console.log(`  Table Number:      ${tableNumber}`);
-  console.log(`  Tax Year:          2026`);
-  console.log(`  Overtime Hours:    ${overtimeHours} hours`);
-
-  console.log(`\nMonthly Withholding (Normal Salary):`);
-  console.log(`  Monthly Gross:     ${formatNOK(monthlyGross, true)}`);
-  console.log(`  Withholding:       ${formatNOK(normalWithholding, true)}`);
-  console.log(`  Effective Rate:    ${((normalWithholding / monthlyGross) * 100).toFixed(1)}%`);
-  console.log(`  Net Pay:           ${formatNOK(monthlyGross - normalWithholding, true)}`);
-
-  console.log(`\nMonthly Withholding (With Overtime):`);
-  console.log(`  Monthly Gross:     ${formatNOK(combinedGross, true)} (includes overtime)`);
-  console.log(`  Withholding:       ${formatNOK(combinedWithholding, true)}`);
-  console.log(`  Effective Rate:    ${((combinedWithholding / combinedGross) * 100).toFixed(1)}%`);
-  console.log(`  Net Pay:           ${formatNOK(combinedGross - combinedWithholding, true)}`);
-
-  console.log(`\nOvertime Breakdown:`);
-  console.log(`  Hourly Rate:       ${formatNOK(overtimeResult.hourlyRate, true)}`);
-  console.log(`  Overtime Rate:     ${formatNOK(overtimeResult.overtimeRate, true)} (×1.4)`);
-  console.log(`  Gross Overtime:    ${formatNOK(overtimeResult.grossPay, true)}`);
-  console.log(`  Tax on Overtime:   ${formatNOK(overtimeResult.withholding, true)}`);
-  console.log(`  NET TAKE-HOME:     ${formatNOK(overtimeResult.takeHome, true)} ← Main result`);
-  console.log(`  Marginal Tax Rate: ${(overtimeResult.effectiveRate * 100).toFixed(1)}%`);
-
-  console.log(`\nTo verify on Skatteetaten calculator:`);
-  console.log(`  1. Calculate withholding for monthly gross: ${formatNOK(monthlyGross, false)}`);
-  console.log(`     Expected result: ~${formatNOK(normalWithholding, false)} (±2%)`);
-  console.log(`  2. Calculate withholding for combined gross: ${formatNOK(combinedGross, false)}`);
-  console.log(`     Expected result: ~${formatNOK(combinedWithholding, false)} (±2%)`);
-  console.log(`  3. Difference should be: ~${formatNOK(overtimeResult.withholding, false)}`);
-
-  console.log('\n=============================================================================\n');
-  caseNumber++;
-});
-
-console.log('SUMMARY OF EXPECTATIONS:');
-console.log('─────────────────────────────────────────────────────────────────────────────');
-console.log('Expected accuracy: ±2% of withholding amount');
-console.log('');
-console.log('Common sources of minor discrepancies:');
-console.log('  - Rounding differences (official tables round to nearest krone)');
-console.log('  - Minstefradrag calculation edge cases');
-console.log('  - Order of operations in complex scenarios');
-console.log('');
-console.log('These differences are acceptable for the stated goal of providing');
-console.log('a rough estimate of take-home overtime pay.');
-console.log('=============================================================================\n');
+  // Compare against the official table file, if given
+  if (tableFile) {
+    console.log(`COMPARISON WITH TABLE FILE: ${tableFile}`);
+    console.log('─────────────────────────────────────────────────────────────────────────────');
+
+    const comparisons = compareWithTableFile(fs.readFileSync(tableFile, 'utf8'), 2026);
+    comparisons.forEach(({ tableNumber, intervals, maxDifference, outside }) => {
+      console.log(`  Table ${tableNumber}: ${intervals} intervals, max difference ${formatNOK(maxDifference)}` +
+        (outside > 0 ? `, ${outside} outside ${toleranceText}` : ''));
+    });
+
+    const worstDifference = Math.max(0, ...comparisons.map(comparison => comparison.maxDifference));
+    const outsideTolerance = comparisons.reduce((sum, comparison) => sum + comparison.outside, 0);
+    console.log(`\n  Largest difference across all tables: ${formatNOK(worstDifference)}`);
+    if (outsideTolerance > 0) {
+      console.log(`  ✗ ${outsideTolerance} interval(s) outside ${toleranceText}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`  ✓ All intervals within ${toleranceText}`);
+    }
+    console.log('\n=============================================================================\n');
+  }
+
+  console.log('SUMMARY OF EXPECTATIONS:');
+  console.log('─────────────────────────────────────────────────────────────────────────────');
+  console.log(`Expected accuracy: ${toleranceText} of the official trekk for each income interval`);
+  console.log('');
+  console.log('Larger differences point to a rounding or deduction rule that differs');
+  console.log('from the trekkrutine. Pass the table file to check every interval:');
+  console.log('  npm run validate -- trekktabell-2026.txt');
+  console.log('=============================================================================\n');
+}
+
+if (require.main === module) {
+  main(process.argv[2]);
+}
+
+module.exports = { compareWithTableFile, WITHHOLDING_TOLERANCE_KRONER };